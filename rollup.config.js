@@ -2,7 +2,19 @@ import { defineConfig } from 'rollup'
 import terser from '@rollup/plugin-terser'
 
 export default defineConfig({
-	input: 'src/reverse-iterable-map.js',
+	input: [
+		'src/reverse-iterable-map.js',
+		'src/reverse-iterable-map-cursor.js',
+		'src/reverse-iterable-map-encoding.js',
+		'src/reverse-iterable-map-history.js',
+		'src/reverse-iterable-map-persistence.js',
+		'src/reverse-iterable-map-replication.js',
+		'src/expiring-reverse-iterable-map.js',
+		'src/immutable-reverse-iterable-map.js',
+		'src/lru-reverse-iterable-map.js',
+		'src/memory-storage-adapter.js',
+		'src/sorted-reverse-iterable-map.js',
+	],
 	output: {
 		dir: 'dist',
 	},
@@ -0,0 +1,606 @@
+import ReverseIterableMap from './reverse-iterable-map.js'
+
+/**
+ * @template K
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableMapNode<K, V>} ReverseIterableMapNode
+ */
+
+/**
+ * @typedef {object} ExpiringReverseIterableMapOptions
+ * @property {number} [ttl] The default time to live of an element in milliseconds. Defaults to `Infinity`.
+ * @property {() => number} [now] Returns the current time in milliseconds. Defaults to `Date.now`.
+ * @property {boolean} [indexed] Whether to maintain a positional index like with `ReverseIterableMap`. Defaults to `false`.
+ */
+
+/**
+ * An entry of the expiry queue. It’s stale if the element was deleted or its time to live was restarted since.
+ *
+ * @template K
+ * @typedef {{ key: K, expiry: number }} ExpiryEntry
+ */
+
+/**
+ * @typedef {object} ExpiringSetOptions
+ * @property {number} [ttl] The time to live of the element in milliseconds. Defaults to the map’s default time to live.
+ */
+
+/**
+ * A `ReverseIterableMap` whose elements expire after a time to live (TTL).
+ *
+ * Expired elements are treated as absent by all methods and iterators. They are removed lazily when they are accessed or explicitly with `purgeExpired()`.
+ *
+ * The finite expiries are kept in a binary min-heap so that purging only has to look at elements which have expired.
+ *
+ * @template K
+ * @template V
+ * @extends {ReverseIterableMap<K, V>}
+ */
+export default class ExpiringReverseIterableMap extends ReverseIterableMap {
+	/** @type {Map<K, number>} */ _expiries
+	/** @type {ExpiryEntry<K>[]} */ _expiryQueue
+	/** @type {number} */ _ttl
+	/** @type {() => number} */ _now
+
+	/**
+	 * @param {ExpiringReverseIterableMapOptions} [options]
+	 * @param {Iterable<[K, V] | readonly any[]>} [iterable]
+	 */
+	constructor(options = {}, iterable) {
+		const { ttl = Infinity, now = Date.now, indexed = false } = options
+		assertValidTtl(ttl)
+
+		super(undefined, { indexed })
+
+		this._expiries = new Map()
+		this._expiryQueue = []
+		this._ttl = ttl
+		this._now = now
+
+		if (iterable !== undefined) {
+			// Let the base class validate the iterable.
+			for (const [key, value] of new ReverseIterableMap(iterable)) {
+				this.set(key, value)
+			}
+		}
+	}
+
+	get [Symbol.toStringTag]() {
+		return 'ExpiringReverseIterableMap'
+	}
+
+	/**
+	 * The number of elements which have not expired. Purges expired elements which takes logarithmic time for each of them.
+	 *
+	 * @returns {number}
+	 */
+	get size() {
+		this.purgeExpired()
+
+		return super.size
+	}
+
+	clear() {
+		super.clear()
+		this._expiries.clear()
+		this._expiryQueue = []
+	}
+
+	/**
+	 * @param {K} key
+	 * @returns {boolean}
+	 */
+	has(key) {
+		this._purgeIfExpired(key)
+
+		return super.has(key)
+	}
+
+	/**
+	 * @param {K} key
+	 * @returns {V | undefined}
+	 */
+	get(key) {
+		this._purgeIfExpired(key)
+
+		return super.get(key)
+	}
+
+	/**
+	 * Returns the remaining time to live of an element in milliseconds.
+	 *
+	 * @param {K} key
+	 * @returns {number | undefined} the remaining time to live or `undefined` if the element does not exist.
+	 */
+	ttl(key) {
+		this._purgeIfExpired(key)
+		const expiry = this._expiries.get(key)
+
+		return expiry !== undefined ? expiry - this._now() : undefined
+	}
+
+	/**
+	 * Adds or updates an element and (re-)starts its time to live.
+	 *
+	 * @param {K} key
+	 * @param {V} value
+	 * @param {ExpiringSetOptions} [options]
+	 * @returns {this}
+	 */
+	set(key, value, options = {}) {
+		const ttl = this._getTtl(options)
+		this._purgeIfExpired(key)
+		super.set(key, value)
+		this._setExpiry(key, ttl)
+
+		return this
+	}
+
+	/**
+	 * Adds or updates an element in reverse insertion order and (re-)starts its time to live.
+	 *
+	 * @param {K} key
+	 * @param {V} value
+	 * @param {ExpiringSetOptions} [options]
+	 * @returns {this}
+	 */
+	setFirst(key, value, options = {}) {
+		const ttl = this._getTtl(options)
+		this._purgeIfExpired(key)
+		super.setFirst(key, value)
+		this._setExpiry(key, ttl)
+
+		return this
+	}
+
+	/**
+	 * @param {K} refKey
+	 * @param {K} key
+	 * @param {V} value
+	 * @param {ExpiringSetOptions} [options]
+	 * @returns {this}
+	 */
+	insertBefore(refKey, key, value, options = {}) {
+		const ttl = this._getTtl(options)
+		this._purgeIfExpired(refKey)
+		this._purgeIfExpired(key)
+		super.insertBefore(refKey, key, value)
+		this._setExpiry(key, ttl)
+
+		return this
+	}
+
+	/**
+	 * @param {K} refKey
+	 * @param {K} key
+	 * @param {V} value
+	 * @param {ExpiringSetOptions} [options]
+	 * @returns {this}
+	 */
+	insertAfter(refKey, key, value, options = {}) {
+		const ttl = this._getTtl(options)
+		this._purgeIfExpired(refKey)
+		this._purgeIfExpired(key)
+		super.insertAfter(refKey, key, value)
+		this._setExpiry(key, ttl)
+
+		return this
+	}
+
+	/**
+	 * @param {K} key
+	 * @returns {boolean}
+	 */
+	moveToFront(key) {
+		this._purgeIfExpired(key)
+
+		return super.moveToFront(key)
+	}
+
+	/**
+	 * @param {K} key
+	 * @returns {boolean}
+	 */
+	moveToBack(key) {
+		this._purgeIfExpired(key)
+
+		return super.moveToBack(key)
+	}
+
+	/**
+	 * @param {K} refKey
+	 * @param {K} key
+	 * @returns {boolean}
+	 */
+	moveBefore(refKey, key) {
+		this._purgeIfExpired(refKey)
+		this._purgeIfExpired(key)
+
+		return super.moveBefore(refKey, key)
+	}
+
+	/**
+	 * @param {K} refKey
+	 * @param {K} key
+	 * @returns {boolean}
+	 */
+	moveAfter(refKey, key) {
+		this._purgeIfExpired(refKey)
+		this._purgeIfExpired(key)
+
+		return super.moveAfter(refKey, key)
+	}
+
+	/**
+	 * @param {K} key
+	 * @returns {boolean}
+	 */
+	delete(key) {
+		this._purgeIfExpired(key)
+		this._expiries.delete(key)
+
+		return super.delete(key)
+	}
+
+	/**
+	 * @returns {[K, V] | undefined}
+	 */
+	first() {
+		this._purgeExpiredFirstNodes()
+
+		return super.first()
+	}
+
+	/**
+	 * @returns {[K, V] | undefined}
+	 */
+	last() {
+		this._purgeExpiredLastNodes()
+
+		return super.last()
+	}
+
+	/**
+	 * @returns {[K, V] | undefined}
+	 */
+	shift() {
+		this._purgeExpiredFirstNodes()
+
+		return super.shift()
+	}
+
+	/**
+	 * @returns {[K, V] | undefined}
+	 */
+	pop() {
+		this._purgeExpiredLastNodes()
+
+		return super.pop()
+	}
+
+	/**
+	 * @param {K} key
+	 * @returns {number}
+	 */
+	indexOf(key) {
+		this.purgeExpired()
+
+		return super.indexOf(key)
+	}
+
+	/**
+	 * @param {K} key
+	 * @param {import('./reverse-iterable-map.js').NeighborOptions} [options]
+	 * @returns {[K, V] | undefined}
+	 */
+	nextEntry(key, options) {
+		this.purgeExpired()
+
+		return super.nextEntry(key, options)
+	}
+
+	/**
+	 * @param {K} key
+	 * @param {import('./reverse-iterable-map.js').NeighborOptions} [options]
+	 * @returns {[K, V] | undefined}
+	 */
+	prevEntry(key, options) {
+		this.purgeExpired()
+
+		return super.prevEntry(key, options)
+	}
+
+	/**
+	 * @param {K} fromKey
+	 * @param {K} toKey
+	 * @param {import('./reverse-iterable-map.js').RangeOptions} [options]
+	 */
+	range(fromKey, toKey, options) {
+		this.purgeExpired()
+
+		return super.range(fromKey, toKey, options)
+	}
+
+	/**
+	 * The `purgeExpired()` method removes all expired elements.
+	 *
+	 * @returns {number} the number of removed elements.
+	 */
+	purgeExpired() {
+		const now = this._now()
+		let purgedCount = 0
+
+		while (this._expiryQueue.length > 0 && getExpiry(this._expiryQueue, 0) <= now) {
+			const { key, expiry } = popExpiryEntry(this._expiryQueue)
+
+			if (this._expiries.get(key) === expiry) {
+				this._expiries.delete(key)
+
+				if (super.delete(key)) {
+					purgedCount++
+				}
+			}
+		}
+
+		return purgedCount
+	}
+
+	/**
+	 * Removes expired elements from the start until reaching one that has not expired.
+	 */
+	_purgeExpiredFirstNodes() {
+		const now = this._now()
+
+		while (this._firstNode !== null && this._isExpired(this._firstNode.key, now)) {
+			this.delete(this._firstNode.key)
+		}
+	}
+
+	/**
+	 * Removes expired elements from the end until reaching one that has not expired.
+	 */
+	_purgeExpiredLastNodes() {
+		const now = this._now()
+
+		while (this._lastNode !== null && this._isExpired(this._lastNode.key, now)) {
+			this.delete(this._lastNode.key)
+		}
+	}
+
+	/**
+	 * Purges expired elements before creating an iterator so that they are not visited.
+	 *
+	 * @param {(node: ReverseIterableMapNode<K, V>) => [K, V] | K | V} getIteratorValue
+	 * @param {ReverseIterableMapNode<K, V> | null} [startNode]
+	 * @param {ReverseIterableMapNode<K, V> | null} [endNode]
+	 */
+	_iterableIterator(getIteratorValue, startNode, endNode) {
+		this.purgeExpired()
+
+		// An expired start node is no longer part of the map.
+		if (startNode !== undefined && startNode !== null && startNode.removed) {
+			return super._iterableIterator(getIteratorValue, null, null)
+		}
+
+		return super._iterableIterator(getIteratorValue, startNode, endNode)
+	}
+
+	/**
+	 * Purges expired elements before methods like `filter()` or `reduce()` walk the node chain.
+	 *
+	 * @param {boolean} forwards
+	 */
+	_getTraversalStartNode(forwards) {
+		this.purgeExpired()
+
+		return super._getTraversalStartNode(forwards)
+	}
+
+	/**
+	 * Purges an expired node right before a live iterator or a cursor visits it.
+	 *
+	 * @param {ReverseIterableMapNode<K, V>} node
+	 * @returns {boolean}
+	 */
+	_purgeStaleNode(node) {
+		this._purgeIfExpired(node.key)
+
+		return node.removed
+	}
+
+	/**
+	 * Treats an expired reference key as absent, e.g. for cursors and `nextKey()`.
+	 *
+	 * @param {K} refKey
+	 * @returns {ReverseIterableMapNode<K, V>}
+	 */
+	_getReferenceNode(refKey) {
+		this._purgeIfExpired(refKey)
+
+		return super._getReferenceNode(refKey)
+	}
+
+	/**
+	 * @param {K} key
+	 * @param {(node: ReverseIterableMapNode<K, V>) => [K, V] | K | V} getIteratorValue
+	 * @param {import('./reverse-iterable-map.js').IteratorForOptions} [options]
+	 */
+	_iteratorFor(key, getIteratorValue, options) {
+		this._purgeIfExpired(key)
+
+		return super._iteratorFor(key, getIteratorValue, options)
+	}
+
+	/**
+	 * Validates the time to live before an element is added so that an illegal one doesn’t leave an element without expiry behind.
+	 *
+	 * @param {ExpiringSetOptions} options
+	 * @returns {number}
+	 */
+	_getTtl({ ttl = this._ttl }) {
+		assertValidTtl(ttl)
+
+		return ttl
+	}
+
+	/**
+	 * @param {K} key
+	 * @param {number} ttl
+	 */
+	_setExpiry(key, ttl) {
+		const expiry = this._now() + ttl
+		this._expiries.set(key, expiry)
+
+		if (expiry === Infinity) {
+			return
+		}
+
+		// Stale entries are only skipped when they reach the top, so rebuild the queue once they make up most of it.
+		if (this._expiryQueue.length >= 2 * this._expiries.size) {
+			this._expiryQueue = createExpiryQueue(this._expiries)
+		} else {
+			pushExpiryEntry(this._expiryQueue, { key, expiry })
+		}
+	}
+
+	/**
+	 * @param {K} key
+	 * @param {number} now
+	 * @returns {boolean}
+	 */
+	_isExpired(key, now) {
+		const expiry = this._expiries.get(key)
+
+		return expiry !== undefined && expiry <= now
+	}
+
+	/**
+	 * @returns {import('./reverse-iterable-map.js').MapSnapshot<K, V> & { expiries: Map<K, number> }}
+	 */
+	_createSnapshot() {
+		return {
+			...super._createSnapshot(),
+			expiries: new Map(this._expiries),
+		}
+	}
+
+	/**
+	 * @param {import('./reverse-iterable-map.js').MapSnapshot<K, V> & { expiries: Map<K, number> }} snapshot
+	 */
+	_restoreSnapshot(snapshot) {
+		super._restoreSnapshot(snapshot)
+		this._expiries = snapshot.expiries
+		this._expiryQueue = createExpiryQueue(this._expiries)
+	}
+
+	/**
+	 * @param {K} key
+	 */
+	_purgeIfExpired(key) {
+		if (this._isExpired(key, this._now())) {
+			this._expiries.delete(key)
+			super.delete(key)
+		}
+	}
+}
+
+/**
+ * @param {number} ttl
+ */
+function assertValidTtl(ttl) {
+	if (!(ttl >= 0)) {
+		throw new RangeError('ttl must be a non-negative number')
+	}
+}
+
+/**
+ * Creates an expiry queue from the finite expiries. A sorted array is a valid binary min-heap.
+ *
+ * @template K
+ * @param {Map<K, number>} expiries
+ * @returns {ExpiryEntry<K>[]}
+ */
+function createExpiryQueue(expiries) {
+	/** @type {ExpiryEntry<K>[]} */ const queue = []
+
+	for (const [key, expiry] of expiries) {
+		if (expiry !== Infinity) {
+			queue.push({ key, expiry })
+		}
+	}
+
+	return queue.sort((a, b) => a.expiry - b.expiry)
+}
+
+/**
+ * @template K
+ * @param {ExpiryEntry<K>[]} queue
+ * @param {number} index
+ * @returns {number}
+ */
+function getExpiry(queue, index) {
+	return /** @type {ExpiryEntry<K>} */ (queue[index]).expiry
+}
+
+/**
+ * @template K
+ * @param {ExpiryEntry<K>[]} queue
+ * @param {ExpiryEntry<K>} entry
+ */
+function pushExpiryEntry(queue, entry) {
+	let index = queue.push(entry) - 1
+
+	while (index > 0) {
+		const parentIndex = (index - 1) >> 1
+
+		if (getExpiry(queue, parentIndex) <= entry.expiry) {
+			break
+		}
+
+		queue[index] = /** @type {ExpiryEntry<K>} */ (queue[parentIndex])
+		index = parentIndex
+	}
+
+	queue[index] = entry
+}
+
+/**
+ * Removes and returns the entry with the earliest expiry. The queue must not be empty.
+ *
+ * @template K
+ * @param {ExpiryEntry<K>[]} queue
+ * @returns {ExpiryEntry<K>}
+ */
+function popExpiryEntry(queue) {
+	const firstEntry = /** @type {ExpiryEntry<K>} */ (queue[0])
+	const lastEntry = /** @type {ExpiryEntry<K>} */ (queue.pop())
+
+	if (queue.length === 0) {
+		return firstEntry
+	}
+
+	let index = 0
+
+	while (true) {
+		let childIndex = 2 * index + 1
+
+		if (childIndex >= queue.length) {
+			break
+		}
+
+		if (childIndex + 1 < queue.length && getExpiry(queue, childIndex + 1) < getExpiry(queue, childIndex)) {
+			childIndex++
+		}
+
+		if (getExpiry(queue, childIndex) >= lastEntry.expiry) {
+			break
+		}
+
+		queue[index] = /** @type {ExpiryEntry<K>} */ (queue[childIndex])
+		index = childIndex
+	}
+
+	queue[index] = lastEntry
+
+	return firstEntry
+}
@@ -0,0 +1,361 @@
+import { describe, expect, test } from 'vitest'
+
+import ExpiringReverseIterableMap from './expiring-reverse-iterable-map.js'
+import ReverseIterableMapCursor from './reverse-iterable-map-cursor.js'
+
+function createClock() {
+	const clock = {
+		time: 0,
+		now: () => clock.time,
+	}
+
+	return clock
+}
+
+describe('ExpiringReverseIterableMap', () => {
+	test('Construct map', () => {
+		const map = new ExpiringReverseIterableMap()
+
+		expect(map.size).toBe(0)
+		expect(map.toString()).toBe('[object ExpiringReverseIterableMap]')
+	})
+
+	test('Construct map with iterable and default ttl', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ ttl: 10, now: clock.now }, [
+			[0, 'a'],
+			[1, 'b'],
+		])
+
+		expect(map.size).toBe(2)
+		expect(map.ttl(0)).toBe(10)
+
+		clock.time = 10
+		expect(map.size).toBe(0)
+		expect(map.ttl(0)).toBe(undefined)
+	})
+
+	test('Construct map with illegal arguments', () => {
+		expect(() => new ExpiringReverseIterableMap({ ttl: -1 })).toThrowError(RangeError('ttl must be a non-negative number'))
+		expect(() => {
+			// @ts-ignore because this is a deliberately wrong call to the constructor
+			new ExpiringReverseIterableMap({}, [1, 2, 3])
+		}).toThrowError(TypeError('iterable for Map should have array-like objects'))
+	})
+
+	test('An illegal ttl leaves the map unchanged', () => {
+		const map = new ExpiringReverseIterableMap({}, [[0, 'a']])
+
+		expect(() => map.set(1, 'b', { ttl: -1 })).toThrowError(RangeError('ttl must be a non-negative number'))
+		expect(() => map.setFirst(1, 'b', { ttl: NaN })).toThrowError(RangeError)
+		expect(() => map.insertBefore(0, 1, 'b', { ttl: -1 })).toThrowError(RangeError)
+		expect(() => map.insertAfter(0, 1, 'b', { ttl: -1 })).toThrowError(RangeError)
+		expect(() => map.set(0, 'x', { ttl: -1 })).toThrowError(RangeError)
+		expect([...map]).toEqual([[0, 'a']])
+		expect(map.ttl(0)).toBe(Infinity)
+	})
+
+	test('map.get() and map.has() treat expired elements as absent', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(0, 'a', { ttl: 5 })
+			.set(1, 'b', { ttl: 10 })
+			.set(2, 'c')
+
+		clock.time = 4
+		expect(map.get(0)).toBe('a')
+		expect(map.has(0)).toBe(true)
+
+		clock.time = 5
+		expect(map.get(0)).toBe(undefined)
+		expect(map.has(0)).toBe(false)
+		expect(map.has(1)).toBe(true)
+
+		clock.time = 1000
+		expect(map.has(1)).toBe(false)
+		expect(map.get(2)).toBe('c')
+		expect(map.ttl(2)).toBe(Infinity)
+	})
+
+	test('map.set() restarts the ttl and re-appends expired keys', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ ttl: 10, now: clock.now })
+			.set(0, 'a')
+			.set(1, 'b')
+
+		clock.time = 8
+		map.set(0, 'alpha')
+		expect([...map.keys()]).toEqual([0, 1])
+
+		clock.time = 12
+		expect([...map.entries()]).toEqual([[0, 'alpha']])
+
+		clock.time = 20
+		map.set(0, 'a')
+		map.setFirst(1, 'b', { ttl: 1 })
+		expect([...map.keys()]).toEqual([1, 0])
+
+		clock.time = 21
+		map.set(1, 'b')
+		expect([...map.keys()]).toEqual([0, 1])
+	})
+
+	test('Iterators skip expired elements', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(0, 'a', { ttl: 10 })
+			.set(1, 'b', { ttl: 5 })
+			.set(2, 'c', { ttl: 10 })
+
+		clock.time = 5
+		expect([...map.keys()]).toEqual([0, 2])
+		expect([...map.values().reverseIterator()]).toEqual(['c', 'a'])
+		expect([...map.iteratorFor(2).reverseIterator()]).toEqual([[2, 'c'], [0, 'a']])
+		expect([...map.iteratorFor(1)]).toEqual([])
+		expect(() => map.keysFor(1, { strict: true })).toThrowError(ReferenceError)
+
+		/** @type {number[]} */
+		const keys = []
+		map.forEachReverse((_value, key) => keys.push(key))
+		expect(keys).toEqual([2, 0])
+	})
+
+	test('map.insertBefore() and map.insertAfter() treat expired reference keys as absent', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(0, 'a', { ttl: 5 })
+			.set(1, 'b')
+
+		map.insertAfter(1, 2, 'c', { ttl: 5 })
+		expect([...map.keys()]).toEqual([0, 1, 2])
+
+		clock.time = 5
+		expect(() => map.insertBefore(0, 3, 'd')).toThrowError(ReferenceError)
+		expect(() => map.moveAfter(2, 1)).toThrowError(ReferenceError)
+		expect(map.moveToFront(2)).toBe(false)
+		expect([...map.keys()]).toEqual([1])
+	})
+
+	test('map.delete() of an expired element', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(0, 'a', { ttl: 5 })
+
+		clock.time = 5
+		expect(map.delete(0)).toBe(false)
+	})
+
+	test('map.first(), map.last(), map.shift() and map.pop() skip expired elements', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(0, 'a', { ttl: 5 })
+			.set(1, 'b')
+			.set(2, 'c')
+			.set(3, 'd', { ttl: 5 })
+
+		expect(map.first()).toEqual([0, 'a'])
+		expect(map.last()).toEqual([3, 'd'])
+
+		clock.time = 5
+		expect(map.first()).toEqual([1, 'b'])
+		expect(map.last()).toEqual([2, 'c'])
+
+		map.set(4, 'e', { ttl: 1 }).setFirst(5, 'f', { ttl: 1 })
+		clock.time = 6
+		expect(map.shift()).toEqual([1, 'b'])
+		expect(map.pop()).toEqual([2, 'c'])
+		expect(map.shift()).toBe(undefined)
+	})
+
+	test('map.at() and map.indexOf() skip expired elements', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(0, 'a', { ttl: 5 })
+			.set(1, 'b')
+			.set(2, 'c')
+
+		expect(map.at(0)).toEqual([0, 'a'])
+		expect(map.indexOf(2)).toBe(2)
+
+		clock.time = 5
+		expect(map.at(0)).toEqual([1, 'b'])
+		expect(map.indexOf(2)).toBe(1)
+		expect(map.indexOf(0)).toBe(-1)
+	})
+
+	test('map.nextKey() and map.prevKey() skip expired elements', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(0, 'a')
+			.set(1, 'b', { ttl: 5 })
+			.set(2, 'c')
+
+		expect(map.nextKey(0)).toBe(1)
+
+		clock.time = 5
+		expect(map.nextKey(0)).toBe(2)
+		expect(map.prevEntry(2)).toEqual([0, 'a'])
+		expect(() => map.nextKey(1)).toThrowError(ReferenceError)
+	})
+
+	test('map.range() skips expired elements', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(0, 'a')
+			.set(1, 'b', { ttl: 5 })
+			.set(2, 'c')
+
+		clock.time = 5
+		expect([...map.range(0, 2)]).toEqual([[0, 'a'], [2, 'c']])
+		expect(() => map.range(1, 2)).toThrowError(ReferenceError)
+	})
+
+	test('Live iterators skip elements which expired after they were created', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(0, 'a')
+			.set(1, 'b', { ttl: 5 })
+			.set(2, 'c')
+			.set(3, 'd', { ttl: 5 })
+		const iterator = map.keys()
+		const reverseIterator = map.keys().reverseIterator()
+
+		expect(iterator.next().value).toBe(0)
+		expect(reverseIterator.next().value).toBe(3)
+
+		clock.time = 5
+		expect([...iterator]).toEqual([2])
+		expect([...reverseIterator]).toEqual([2, 0])
+		expect(map.size).toBe(2)
+	})
+
+	test('Cursors skip expired elements', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(0, 'a', { ttl: 10 })
+			.set(1, 'b', { ttl: 5 })
+			.set(2, 'c', { ttl: 10 })
+			.set(3, 'd', { ttl: 5 })
+		const cursor = new ReverseIterableMapCursor(map, 0)
+		const otherCursor = new ReverseIterableMapCursor(map, 1)
+
+		clock.time = 5
+		expect(() => new ReverseIterableMapCursor(map, 1)).toThrowError(ReferenceError)
+		expect(otherCursor.key).toBe(2)
+		expect(cursor.peekNext()).toEqual([2, 'c'])
+		expect(cursor.next()).toEqual([2, 'c'])
+		expect(cursor.next()).toBe(undefined)
+		expect(cursor.prev()).toEqual([0, 'a'])
+
+		clock.time = 10
+		expect(cursor.key).toBe(undefined)
+		expect(map.size).toBe(0)
+	})
+
+	test('map.filter(), map.find() and map.reduceRight() skip expired elements', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(0, 'a')
+			.set(1, 'b', { ttl: 5 })
+			.set(2, 'c')
+
+		clock.time = 5
+		expect([...map.filter(() => true)]).toEqual([[0, 'a'], [2, 'c']])
+		expect(map.findKey((value) => value === 'b')).toBe(undefined)
+		expect(map.reduceRight((accumulator, value) => accumulator + value)).toBe('ca')
+	})
+
+	test('map.sort() and map.toSorted() skip expired elements', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(2, 'c')
+			.set(1, 'b', { ttl: 5 })
+			.set(0, 'a')
+
+		clock.time = 5
+		expect([...map.toSorted()]).toEqual([[0, 'a'], [2, 'c']])
+		expect([...map.sort().keys()]).toEqual([0, 2])
+		expect(map.size).toBe(2)
+	})
+
+	test('map.transaction() rolls back times to live', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(0, 'a', { ttl: 5 })
+
+		expect(() => map.transaction(() => {
+			map.set(0, 'alpha', { ttl: 100 })
+			map.set(1, 'b', { ttl: 100 })
+			throw new Error('failed')
+		})).toThrowError('failed')
+
+		expect(map.ttl(0)).toBe(5)
+		expect(map.has(1)).toBe(false)
+		expect(map.ttl(1)).toBe(undefined)
+	})
+
+	test('map.purgeExpired()', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(0, 'a', { ttl: 5 })
+			.set(1, 'b', { ttl: 15 })
+			.set(2, 'c', { ttl: 5 })
+			.set(3, 'd')
+
+		expect(map.purgeExpired()).toBe(0)
+
+		clock.time = 10
+		expect(map.purgeExpired()).toBe(2)
+		expect([...map.keys()]).toEqual([1, 3])
+		expect(map.purgeExpired()).toBe(0)
+
+		map.clear()
+		expect(map.ttl(3)).toBe(undefined)
+	})
+	test('map.purgeExpired() skips elements whose time to live was restarted or which were deleted', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ now: clock.now })
+			.set(0, 'a', { ttl: 5 })
+			.set(1, 'b', { ttl: 5 })
+			.set(2, 'c', { ttl: 5 })
+
+		map.set(0, 'alpha', { ttl: 20 })
+		map.delete(1)
+		map.set(1, 'beta', { ttl: 20 })
+		map.set(2, 'gamma', { ttl: Infinity })
+
+		for (let i = 0; i < 100; i++) {
+			map.set(3, i, { ttl: 10 + i })
+		}
+
+		clock.time = 10
+		expect(map.purgeExpired()).toBe(0)
+		expect([...map.keys()]).toEqual([0, 2, 1, 3])
+
+		clock.time = 108
+		expect(map.purgeExpired()).toBe(2)
+		expect([...map.keys()]).toEqual([2, 3])
+
+		clock.time = 109
+		expect(map.size).toBe(1)
+		expect(map.ttl(2)).toBe(Infinity)
+	})
+
+	test('Construct map with the indexed option', () => {
+		const clock = createClock()
+		const map = new ExpiringReverseIterableMap({ ttl: 10, now: clock.now, indexed: true }, [
+			[0, 'a'],
+			[1, 'b'],
+		])
+			.set(2, 'c', { ttl: 20 })
+
+		expect(map._indexed).toBe(true)
+		expect(map.at(-1)).toEqual([2, 'c'])
+		expect(map.indexOf(1)).toBe(1)
+
+		clock.time = 10
+		expect(map.at(0)).toEqual([2, 'c'])
+		expect(map.indexOf(2)).toBe(0)
+		expect(map.indexOf(1)).toBe(-1)
+	})
+})
@@ -0,0 +1,880 @@
+import { createReverseIterableIterator } from './reverse-iterable-iterator.js'
+import ReverseIterableMap from './reverse-iterable-map.js'
+
+/**
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableIterator<V>} ReverseIterableIterator
+ */
+
+/**
+ * @typedef {import('./reverse-iterable-map.js').IteratorForOptions} IteratorForOptions
+ */
+
+/**
+ * A leaf of the hash trie mapping a key to the sequence number of its element.
+ *
+ * @template K
+ * @typedef {{ kind: 'leaf', hash: number, key: K, seq: number }} TrieLeaf
+ */
+/**
+ * Leaves whose keys have the same hash.
+ *
+ * @template K
+ * @typedef {{ kind: 'collision', hash: number, leaves: TrieLeaf<K>[] }} TrieCollision
+ */
+/**
+ * A branch of the hash trie. `bitmap` has a bit set for each of the 32 possible hash fragments which has a child.
+ *
+ * @template K
+ * @typedef {{ kind: 'branch', bitmap: number, children: TrieNode<K>[] }} TrieBranch
+ */
+/**
+ * @template K
+ * @typedef {TrieLeaf<K> | TrieCollision<K> | TrieBranch<K>} TrieNode
+ */
+
+/**
+ * A node of the AVL tree which orders the elements by their sequence numbers.
+ *
+ * @template K
+ * @template V
+ * @typedef {object} OrderNode
+ * @property {number} seq
+ * @property {K} key
+ * @property {V} value
+ * @property {OrderNode<K, V> | null} left
+ * @property {OrderNode<K, V> | null} right
+ * @property {number} height
+ */
+
+/**
+ * The number of hash bits consumed per level of the hash trie.
+ */
+const BITS_PER_LEVEL = 5
+
+/**
+ * An immutable version of `ReverseIterableMap`.
+ *
+ * `set()`, `setFirst()` and `delete()` return a new map and leave the original one intact. The new map shares all unchanged parts with the original one so that each change only takes logarithmic time and space. Internally, a hash trie maps each key to a sequence number and a persistent AVL tree orders the elements by these numbers: `set()` appends after the greatest one and `setFirst()` prepends before the smallest one.
+ *
+ * Changes which have no effect return the map itself so that comparing versions by reference detects changes.
+ *
+ * @template K
+ * @template V
+ */
+export default class ImmutableReverseIterableMap {
+	/** @type {TrieNode<K> | null} */ _trie
+	/** @type {OrderNode<K, V> | null} */ _root
+	/** @type {number} */ _size
+	/** @type {number} */ _firstSeq
+	/** @type {number} */ _lastSeq
+
+	/**
+	 * @param {Iterable<[K, V] | readonly any[]>} [iterable] An iterable object whose elements are key-value pairs, e.g. a `ReverseIterableMap` object.
+	 */
+	constructor(iterable) {
+		this._trie = null
+		this._root = null
+		this._size = 0
+		this._firstSeq = 0
+		this._lastSeq = -1
+
+		if (iterable !== undefined) {
+			/** @type {ImmutableReverseIterableMap<K, V>} */ let map = this
+
+			for (const array of iterable) {
+				if (!Array.isArray(array)) {
+					throw new TypeError('iterable for Map should have array-like objects')
+				}
+
+				map = map.set(array[0], array[1])
+			}
+
+			this._setState(map._trie, map._root, map._size, map._firstSeq, map._lastSeq)
+		}
+	}
+
+	get [Symbol.toStringTag]() {
+		return 'ImmutableReverseIterableMap'
+	}
+
+	/**
+	 * The number of elements.
+	 *
+	 * @returns {number}
+	 */
+	get size() {
+		return this._size
+	}
+
+	/**
+	 * @param {K} key
+	 * @returns {boolean}
+	 */
+	has(key) {
+		return this._getSeq(key) !== undefined
+	}
+
+	/**
+	 * @param {K} key
+	 * @returns {V | undefined}
+	 */
+	get(key) {
+		const seq = this._getSeq(key)
+
+		if (seq === undefined) {
+			return undefined
+		}
+
+		return /** @type {OrderNode<K, V>} */ (findOrderNode(this._root, seq)).value
+	}
+
+	/**
+	 * Returns a new map with the element added at the end or with the value of an existing element updated.
+	 *
+	 * @param {K} key
+	 * @param {V} value
+	 * @returns {ImmutableReverseIterableMap<K, V>} the new map or, if the element already has this value, the map itself.
+	 */
+	set(key, value) {
+		return this._set(key, value, false)
+	}
+
+	/**
+	 * Returns a new map with the element added at the start or with the value of an existing element updated.
+	 *
+	 * @param {K} key
+	 * @param {V} value
+	 * @returns {ImmutableReverseIterableMap<K, V>} the new map or, if the element already has this value, the map itself.
+	 */
+	setFirst(key, value) {
+		return this._set(key, value, true)
+	}
+
+	/**
+	 * Returns a new map without the specified element.
+	 *
+	 * @param {K} key
+	 * @returns {ImmutableReverseIterableMap<K, V>} the new map or, if there is no such element, the map itself.
+	 */
+	delete(key) {
+		const hash = hashKey(key)
+		const seq = getTrieSeq(this._trie, hash, key)
+
+		if (seq === undefined) {
+			return this
+		}
+
+		return this._withState(
+			deleteTrieLeaf(this._trie, hash, key, 0),
+			deleteOrderNode(this._root, seq),
+			this._size - 1,
+			this._firstSeq,
+			this._lastSeq,
+		)
+	}
+
+	/**
+	 * Returns an empty map.
+	 *
+	 * @returns {ImmutableReverseIterableMap<K, V>} a new empty map or, if the map is empty, the map itself.
+	 */
+	clear() {
+		return this._size === 0 ? this : new ImmutableReverseIterableMap()
+	}
+
+	/**
+	 * @returns {[K, V] | undefined} the `[key, value]` pair of the first element or `undefined` if the map is empty.
+	 */
+	first() {
+		let node = this._root
+
+		while (node !== null && node.left !== null) {
+			node = node.left
+		}
+
+		return node !== null ? [node.key, node.value] : undefined
+	}
+
+	/**
+	 * @returns {[K, V] | undefined} the `[key, value]` pair of the last element or `undefined` if the map is empty.
+	 */
+	last() {
+		let node = this._root
+
+		while (node !== null && node.right !== null) {
+			node = node.right
+		}
+
+		return node !== null ? [node.key, node.value] : undefined
+	}
+
+	/**
+	 * @param {(value: V, key: K, map: ImmutableReverseIterableMap<K, V>) => void} callbackfn
+	 * @param {any} [thisArg]
+	 */
+	forEach(callbackfn, thisArg) {
+		for (const [key, value] of this.entries()) {
+			callbackfn.call(thisArg, value, key, this)
+		}
+	}
+
+	/**
+	 * @param {(value: V, key: K, map: ImmutableReverseIterableMap<K, V>) => void} callbackfn
+	 * @param {any} [thisArg]
+	 */
+	forEachReverse(callbackfn, thisArg) {
+		for (const [key, value] of this.entries().reverseIterator()) {
+			callbackfn.call(thisArg, value, key, this)
+		}
+	}
+
+	/**
+	 * @returns {ReverseIterableIterator<[K, V]>}
+	 */
+	[Symbol.iterator]() {
+		return this.entries()
+	}
+
+	/**
+	 * @returns {ReverseIterableIterator<[K, V]>}
+	 */
+	reverseIterator() {
+		return this.entries().reverseIterator()
+	}
+
+	/**
+	 * @returns {ReverseIterableIterator<[K, V]>}
+	 */
+	entries() {
+		return this._iterableIterator((node) => [node.key, node.value])
+	}
+
+	/**
+	 * @returns {ReverseIterableIterator<K>}
+	 */
+	keys() {
+		return this._iterableIterator((node) => node.key)
+	}
+
+	/**
+	 * @returns {ReverseIterableIterator<V>}
+	 */
+	values() {
+		return this._iterableIterator((node) => node.value)
+	}
+
+	/**
+	 * The `iteratorFor()` method returns an iterator of the `[key, value]` pairs in insertion order starting with the element specified by `key`. Its `reverseIterator()` walks from that element to the start.
+	 *
+	 * If no element with the key `key` exists, the iterator is empty or, with the `strict` option, an error is thrown.
+	 *
+	 * @param {K} key The key of the element to start iterating from.
+	 * @param {IteratorForOptions} [options]
+	 * @returns {ReverseIterableIterator<[K, V]>}
+	 * @throws {ReferenceError} if no element with the key `key` exists and the `strict` option is set.
+	 */
+	iteratorFor(key, options) {
+		return this._iteratorFor(key, (node) => [node.key, node.value], options)
+	}
+
+	/**
+	 * The `keysFor()` method works like `iteratorFor()` but returns an iterator of the keys.
+	 *
+	 * @param {K} key The key of the element to start iterating from.
+	 * @param {IteratorForOptions} [options]
+	 * @returns {ReverseIterableIterator<K>}
+	 * @throws {ReferenceError} if no element with the key `key` exists and the `strict` option is set.
+	 */
+	keysFor(key, options) {
+		return this._iteratorFor(key, (node) => node.key, options)
+	}
+
+	/**
+	 * The `valuesFor()` method works like `iteratorFor()` but returns an iterator of the values.
+	 *
+	 * @param {K} key The key of the element to start iterating from.
+	 * @param {IteratorForOptions} [options]
+	 * @returns {ReverseIterableIterator<V>}
+	 * @throws {ReferenceError} if no element with the key `key` exists and the `strict` option is set.
+	 */
+	valuesFor(key, options) {
+		return this._iteratorFor(key, (node) => node.value, options)
+	}
+
+	/**
+	 * The `equals()` method returns whether another map has the same elements in the same order. Keys and values are compared using [SameValueZero][1].
+	 *
+	 * Versions which share all of their elements are detected without comparing elements. Otherwise, this takes linear time.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Equality_comparisons_and_sameness#same-value-zero_equality
+	 *
+	 * @param {unknown} other
+	 * @returns {boolean}
+	 */
+	equals(other) {
+		if (!(other instanceof ImmutableReverseIterableMap)) {
+			return false
+		}
+
+		if (other._root === this._root) {
+			return true
+		}
+
+		if (other._size !== this._size) {
+			return false
+		}
+
+		const otherEntries = other.entries()
+
+		for (const [key, value] of this.entries()) {
+			const [otherKey, otherValue] = /** @type {[K, V]} */ (otherEntries.next().value)
+
+			if (!sameValueZero(key, otherKey) || !sameValueZero(value, otherValue)) {
+				return false
+			}
+		}
+
+		return true
+	}
+
+	/**
+	 * Returns a new mutable `ReverseIterableMap` object with the same elements.
+	 *
+	 * @returns {ReverseIterableMap<K, V>}
+	 */
+	toMutable() {
+		return new ReverseIterableMap(this)
+	}
+
+	/**
+	 * @param {K} key
+	 * @returns {number | undefined}
+	 */
+	_getSeq(key) {
+		return getTrieSeq(this._trie, hashKey(key), key)
+	}
+
+	/**
+	 * @param {K} key
+	 * @param {V} value
+	 * @param {boolean} atStart
+	 * @returns {ImmutableReverseIterableMap<K, V>}
+	 */
+	_set(key, value, atStart) {
+		const hash = hashKey(key)
+		const existingSeq = getTrieSeq(this._trie, hash, key)
+
+		if (existingSeq !== undefined) {
+			const node = /** @type {OrderNode<K, V>} */ (findOrderNode(this._root, existingSeq))
+
+			if (sameValueZero(node.value, value)) {
+				return this
+			}
+
+			return this._withState(this._trie, updateOrderNode(this._root, existingSeq, value), this._size, this._firstSeq, this._lastSeq)
+		}
+
+		const firstSeq = atStart ? this._firstSeq - 1 : this._firstSeq
+		const lastSeq = atStart ? this._lastSeq : this._lastSeq + 1
+		const seq = atStart ? firstSeq : lastSeq
+		// The first element also sets the other end.
+		const isFirstElement = this._size === 0
+
+		return this._withState(
+			setTrieLeaf(this._trie, { kind: 'leaf', hash, key, seq }, 0),
+			insertOrderNode(this._root, seq, key, value),
+			this._size + 1,
+			isFirstElement ? seq : firstSeq,
+			isFirstElement ? seq : lastSeq,
+		)
+	}
+
+	/**
+	 * @param {TrieNode<K> | null} trie
+	 * @param {OrderNode<K, V> | null} root
+	 * @param {number} size
+	 * @param {number} firstSeq
+	 * @param {number} lastSeq
+	 * @returns {ImmutableReverseIterableMap<K, V>}
+	 */
+	_withState(trie, root, size, firstSeq, lastSeq) {
+		/** @type {ImmutableReverseIterableMap<K, V>} */ const map = new ImmutableReverseIterableMap()
+		map._setState(trie, root, size, firstSeq, lastSeq)
+
+		return map
+	}
+
+	/**
+	 * @param {TrieNode<K> | null} trie
+	 * @param {OrderNode<K, V> | null} root
+	 * @param {number} size
+	 * @param {number} firstSeq
+	 * @param {number} lastSeq
+	 */
+	_setState(trie, root, size, firstSeq, lastSeq) {
+		this._trie = trie
+		this._root = root
+		this._size = size
+		this._firstSeq = firstSeq
+		this._lastSeq = lastSeq
+	}
+
+	/**
+	 * @param {K} key
+	 * @param {(node: OrderNode<K, V>) => [K, V] | K | V} getIteratorValue
+	 * @param {IteratorForOptions} [options]
+	 * @returns {ReverseIterableIterator<any>}
+	 */
+	_iteratorFor(key, getIteratorValue, { strict = false } = {}) {
+		const seq = this._getSeq(key)
+
+		if (seq === undefined) {
+			if (strict) {
+				throw new ReferenceError('reference key does not exist in map')
+			}
+
+			return this._iterableIterator(getIteratorValue, null)
+		}
+
+		return this._iterableIterator(getIteratorValue, this._root, seq)
+	}
+
+	/**
+	 * Returns an iterator walking the AVL tree in order. Since the map can’t change, it doesn’t need to handle modifications.
+	 *
+	 * @param {(node: OrderNode<K, V>) => [K, V] | K | V} getIteratorValue
+	 * @param {OrderNode<K, V> | null} [root]
+	 * @param {number} [startSeq] The sequence number of the element to start with in both directions. Defaults to the first or last element.
+	 * @returns {ReverseIterableIterator<any>}
+	 */
+	_iterableIterator(getIteratorValue, root = this._root, startSeq) {
+		/** @type {OrderNode<K, V>[]} */ let stack = []
+		let forwards = true
+
+		/**
+		 * Pushes `node` and its descendants on the near side onto the stack, skipping those before the start.
+		 *
+		 * @param {OrderNode<K, V> | null} node
+		 */
+		const descend = (node) => {
+			while (node !== null) {
+				if (startSeq === undefined || (forwards ? node.seq >= startSeq : node.seq <= startSeq)) {
+					stack.push(node)
+					node = forwards ? node.left : node.right
+				} else {
+					node = forwards ? node.right : node.left
+				}
+			}
+		}
+
+		descend(root)
+
+		return createReverseIterableIterator({
+			reverseIterator() {
+				stack = []
+				forwards = false
+				descend(root)
+
+				// Return the iterable itself.
+				return this
+			},
+
+			[Symbol.iterator]() {
+				// Return the iterable itself.
+				return this
+			},
+
+			next() {
+				const node = stack.pop()
+
+				if (node === undefined) {
+					return {
+						value: undefined,
+						done: true,
+					}
+				}
+
+				descend(forwards ? node.right : node.left)
+
+				return {
+					value: getIteratorValue(node),
+					done: false,
+				}
+			},
+		})
+	}
+}
+
+/**
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+function sameValueZero(a, b) {
+	return a === b || (a !== a && b !== b)
+}
+
+/** @type {WeakMap<object, number>} */
+const objectHashes = new WeakMap()
+let nextObjectHash = 0
+
+/**
+ * Returns a 32-bit hash which is the same for keys which are equal according to SameValueZero. Objects get an arbitrary but stable hash.
+ *
+ * @param {unknown} key
+ * @returns {number}
+ */
+function hashKey(key) {
+	switch (typeof key) {
+		case 'string':
+			return hashString(key)
+		case 'number':
+			// `0` and `-0` are the same key.
+			return Number.isInteger(key) && key >= -0x80000000 && key <= 0x7fffffff ? key | 0 : hashString(String(key))
+		case 'bigint':
+			return hashString(`${key}n`)
+		case 'boolean':
+			return key ? 1 : 2
+		case 'undefined':
+			return 3
+		case 'symbol':
+			// Symbols with the same description collide which the trie handles.
+			return hashString(String(key.description))
+		default: {
+			if (key === null) {
+				return 4
+			}
+
+			const object = /** @type {object} */ (key)
+			let hash = objectHashes.get(object)
+
+			if (hash === undefined) {
+				hash = nextObjectHash = (nextObjectHash + 0x9e3779b9) | 0
+				objectHashes.set(object, hash)
+			}
+
+			return hash
+		}
+	}
+}
+
+/**
+ * @param {string} string
+ * @returns {number}
+ */
+function hashString(string) {
+	let hash = 0
+
+	for (let i = 0; i < string.length; i++) {
+		hash = (Math.imul(31, hash) + string.charCodeAt(i)) | 0
+	}
+
+	return hash
+}
+
+/**
+ * @param {number} hash
+ * @param {number} shift
+ * @returns {number}
+ */
+function getHashFragment(hash, shift) {
+	return (hash >>> shift) & 0b11111
+}
+
+/**
+ * @param {number} bits
+ * @returns {number}
+ */
+function countBits(bits) {
+	let count = bits - ((bits >>> 1) & 0x55555555)
+	count = (count & 0x33333333) + ((count >>> 2) & 0x33333333)
+	return (Math.imul((count + (count >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24)
+}
+
+/**
+ * @template K
+ * @param {TrieNode<K> | null} node
+ * @param {number} hash
+ * @param {K} key
+ * @returns {number | undefined}
+ */
+function getTrieSeq(node, hash, key) {
+	let shift = 0
+
+	while (node !== null) {
+		if (node.kind === 'leaf') {
+			return sameValueZero(node.key, key) ? node.seq : undefined
+		}
+
+		if (node.kind === 'collision') {
+			const leaf = node.hash === hash ? node.leaves.find((leaf) => sameValueZero(leaf.key, key)) : undefined
+			return leaf !== undefined ? leaf.seq : undefined
+		}
+
+		const bit = 1 << getHashFragment(hash, shift)
+
+		if ((node.bitmap & bit) === 0) {
+			return undefined
+		}
+
+		node = /** @type {TrieNode<K>} */ (node.children[countBits(node.bitmap & (bit - 1))])
+		shift += BITS_PER_LEVEL
+	}
+
+	return undefined
+}
+
+/**
+ * Returns a copy of the trie with `leaf` added. Only called for keys which are not in the trie yet.
+ *
+ * @template K
+ * @param {TrieNode<K> | null} node
+ * @param {TrieLeaf<K>} leaf
+ * @param {number} shift
+ * @returns {TrieNode<K>}
+ */
+function setTrieLeaf(node, leaf, shift) {
+	if (node === null) {
+		return leaf
+	}
+
+	if (node.kind !== 'branch') {
+		if (node.hash === leaf.hash) {
+			const leaves = node.kind === 'leaf' ? [node] : node.leaves
+			return { kind: 'collision', hash: leaf.hash, leaves: [...leaves, leaf] }
+		}
+
+		return mergeTrieNodes(node, leaf, shift)
+	}
+
+	const bit = 1 << getHashFragment(leaf.hash, shift)
+	const index = countBits(node.bitmap & (bit - 1))
+	const children = [...node.children]
+
+	if ((node.bitmap & bit) === 0) {
+		children.splice(index, 0, leaf)
+	} else {
+		children[index] = setTrieLeaf(/** @type {TrieNode<K>} */ (children[index]), leaf, shift + BITS_PER_LEVEL)
+	}
+
+	return { kind: 'branch', bitmap: node.bitmap | bit, children }
+}
+
+/**
+ * Returns a branch containing two leaves or collisions with different hashes.
+ *
+ * @template K
+ * @param {TrieLeaf<K> | TrieCollision<K>} a
+ * @param {TrieLeaf<K> | TrieCollision<K>} b
+ * @param {number} shift
+ * @returns {TrieBranch<K>}
+ */
+function mergeTrieNodes(a, b, shift) {
+	const fragmentA = getHashFragment(a.hash, shift)
+	const fragmentB = getHashFragment(b.hash, shift)
+
+	if (fragmentA === fragmentB) {
+		return { kind: 'branch', bitmap: 1 << fragmentA, children: [mergeTrieNodes(a, b, shift + BITS_PER_LEVEL)] }
+	}
+
+	return {
+		kind: 'branch',
+		bitmap: (1 << fragmentA) | (1 << fragmentB),
+		children: fragmentA < fragmentB ? [a, b] : [b, a],
+	}
+}
+
+/**
+ * Returns a copy of the trie without the leaf for `key`. Only called for keys which are in the trie.
+ *
+ * @template K
+ * @param {TrieNode<K> | null} node
+ * @param {number} hash
+ * @param {K} key
+ * @param {number} shift
+ * @returns {TrieNode<K> | null}
+ */
+function deleteTrieLeaf(node, hash, key, shift) {
+	if (node === null || node.kind === 'leaf') {
+		return null
+	}
+
+	if (node.kind === 'collision') {
+		const leaves = node.leaves.filter((leaf) => !sameValueZero(leaf.key, key))
+		return leaves.length === 1 ? /** @type {TrieLeaf<K>} */ (leaves[0]) : { kind: 'collision', hash, leaves }
+	}
+
+	const bit = 1 << getHashFragment(hash, shift)
+	const index = countBits(node.bitmap & (bit - 1))
+	const child = deleteTrieLeaf(/** @type {TrieNode<K>} */ (node.children[index]), hash, key, shift + BITS_PER_LEVEL)
+	const children = [...node.children]
+
+	if (child === null) {
+		children.splice(index, 1)
+	} else {
+		children[index] = child
+	}
+
+	// A single leaf or collision doesn’t need a branch because lookups compare the keys anyway.
+	if (children.length === 1 && /** @type {TrieNode<K>} */ (children[0]).kind !== 'branch') {
+		return /** @type {TrieNode<K>} */ (children[0])
+	}
+
+	return children.length > 0 ? { kind: 'branch', bitmap: child === null ? node.bitmap & ~bit : node.bitmap, children } : null
+}
+
+/**
+ * @template K, V
+ * @param {OrderNode<K, V> | null} node
+ * @param {number} seq
+ * @returns {OrderNode<K, V> | null}
+ */
+function findOrderNode(node, seq) {
+	while (node !== null && node.seq !== seq) {
+		node = seq < node.seq ? node.left : node.right
+	}
+
+	return node
+}
+
+/**
+ * @template K, V
+ * @param {OrderNode<K, V> | null} node
+ * @returns {number}
+ */
+function getHeight(node) {
+	return node !== null ? node.height : 0
+}
+
+/**
+ * Creates a node and rebalances it if its subtrees’ heights differ by more than one.
+ *
+ * @template K, V
+ * @param {number} seq
+ * @param {K} key
+ * @param {V} value
+ * @param {OrderNode<K, V> | null} left
+ * @param {OrderNode<K, V> | null} right
+ * @returns {OrderNode<K, V>}
+ */
+function createBalancedNode(seq, key, value, left, right) {
+	const leftHeight = getHeight(left)
+	const rightHeight = getHeight(right)
+
+	if (leftHeight > rightHeight + 1) {
+		const { left: leftLeft, right: leftRight } = /** @type {OrderNode<K, V>} */ (left)
+		const pivot = /** @type {OrderNode<K, V>} */ (left)
+
+		if (getHeight(leftLeft) >= getHeight(leftRight)) {
+			return createNode(pivot.seq, pivot.key, pivot.value, leftLeft, createNode(seq, key, value, leftRight, right))
+		}
+
+		const middle = /** @type {OrderNode<K, V>} */ (leftRight)
+		return createNode(middle.seq, middle.key, middle.value, createNode(pivot.seq, pivot.key, pivot.value, leftLeft, middle.left), createNode(seq, key, value, middle.right, right))
+	}
+
+	if (rightHeight > leftHeight + 1) {
+		const { left: rightLeft, right: rightRight } = /** @type {OrderNode<K, V>} */ (right)
+		const pivot = /** @type {OrderNode<K, V>} */ (right)
+
+		if (getHeight(rightRight) >= getHeight(rightLeft)) {
+			return createNode(pivot.seq, pivot.key, pivot.value, createNode(seq, key, value, left, rightLeft), rightRight)
+		}
+
+		const middle = /** @type {OrderNode<K, V>} */ (rightLeft)
+		return createNode(middle.seq, middle.key, middle.value, createNode(seq, key, value, left, middle.left), createNode(pivot.seq, pivot.key, pivot.value, middle.right, rightRight))
+	}
+
+	return createNode(seq, key, value, left, right)
+}
+
+/**
+ * @template K, V
+ * @param {number} seq
+ * @param {K} key
+ * @param {V} value
+ * @param {OrderNode<K, V> | null} left
+ * @param {OrderNode<K, V> | null} right
+ * @returns {OrderNode<K, V>}
+ */
+function createNode(seq, key, value, left, right) {
+	return { seq, key, value, left, right, height: Math.max(getHeight(left), getHeight(right)) + 1 }
+}
+
+/**
+ * @template K, V
+ * @param {OrderNode<K, V> | null} node
+ * @param {number} seq
+ * @param {K} key
+ * @param {V} value
+ * @returns {OrderNode<K, V>}
+ */
+function insertOrderNode(node, seq, key, value) {
+	if (node === null) {
+		return createNode(seq, key, value, null, null)
+	}
+
+	return seq < node.seq
+		? createBalancedNode(node.seq, node.key, node.value, insertOrderNode(node.left, seq, key, value), node.right)
+		: createBalancedNode(node.seq, node.key, node.value, node.left, insertOrderNode(node.right, seq, key, value))
+}
+
+/**
+ * Returns a copy of the tree with a new value for the node with the sequence number `seq`. Only the path to that node is copied.
+ *
+ * @template K, V
+ * @param {OrderNode<K, V> | null} node
+ * @param {number} seq
+ * @param {V} value
+ * @returns {OrderNode<K, V> | null}
+ */
+function updateOrderNode(node, seq, value) {
+	if (node === null) {
+		return null
+	}
+
+	if (seq === node.seq) {
+		return { ...node, value }
+	}
+
+	return seq < node.seq
+		? { ...node, left: updateOrderNode(node.left, seq, value) }
+		: { ...node, right: updateOrderNode(node.right, seq, value) }
+}
+
+/**
+ * @template K, V
+ * @param {OrderNode<K, V> | null} node
+ * @param {number} seq
+ * @returns {OrderNode<K, V> | null}
+ */
+function deleteOrderNode(node, seq) {
+	if (node === null) {
+		return null
+	}
+
+	if (seq < node.seq) {
+		return createBalancedNode(node.seq, node.key, node.value, deleteOrderNode(node.left, seq), node.right)
+	}
+
+	if (seq > node.seq) {
+		return createBalancedNode(node.seq, node.key, node.value, node.left, deleteOrderNode(node.right, seq))
+	}
+
+	if (node.left === null) {
+		return node.right
+	}
+
+	if (node.right === null) {
+		return node.left
+	}
+
+	// Replace the node with its successor.
+	let successor = node.right
+	while (successor.left !== null) {
+		successor = successor.left
+	}
+
+	return createBalancedNode(successor.seq, successor.key, successor.value, node.left, deleteOrderNode(node.right, successor.seq))
+}
@@ -0,0 +1,179 @@
+import { describe, expect, test } from 'vitest'
+
+import ImmutableReverseIterableMap from './immutable-reverse-iterable-map.js'
+import ReverseIterableMap from './reverse-iterable-map.js'
+
+describe('ImmutableReverseIterableMap', () => {
+	test('Construct map', () => {
+		const map = new ImmutableReverseIterableMap()
+
+		expect(map.size).toBe(0)
+		expect(map.toString()).toBe('[object ImmutableReverseIterableMap]')
+		expect([...map]).toEqual([])
+		expect(map.first()).toBe(undefined)
+		expect(map.last()).toBe(undefined)
+	})
+
+	test('Construct map with iterable', () => {
+		const map = new ImmutableReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[0, 'alpha'],
+		])
+
+		expect(map.size).toBe(2)
+		expect([...map]).toEqual([[0, 'alpha'], [1, 'b']])
+		expect(() => {
+			// @ts-ignore because this is a deliberately wrong call to the constructor
+			new ImmutableReverseIterableMap([1, 2, 3])
+		}).toThrowError(TypeError('iterable for Map should have array-like objects'))
+	})
+
+	test('map.set(), map.setFirst() and map.delete() leave the original map intact', () => {
+		const map1 = new ImmutableReverseIterableMap([[1, 'b']])
+		const map2 = map1.set(2, 'c')
+		const map3 = map2.setFirst(0, 'a')
+		const map4 = map3.delete(1)
+		const map5 = map4.set(0, 'alpha')
+
+		expect([...map1]).toEqual([[1, 'b']])
+		expect([...map2]).toEqual([[1, 'b'], [2, 'c']])
+		expect([...map3]).toEqual([[0, 'a'], [1, 'b'], [2, 'c']])
+		expect([...map4]).toEqual([[0, 'a'], [2, 'c']])
+		expect([...map5]).toEqual([[0, 'alpha'], [2, 'c']])
+		expect(map5.size).toBe(2)
+		expect(map5.get(0)).toBe('alpha')
+		expect(map4.get(0)).toBe('a')
+		expect(map4.has(1)).toBe(false)
+		expect(map3.has(1)).toBe(true)
+	})
+
+	test('Changes without effect return the map itself', () => {
+		const map = new ImmutableReverseIterableMap(/** @type {[number, string | number][]} */ ([[0, 'a'], [NaN, NaN]]))
+		const emptyMap = map.clear()
+
+		expect(map.set(0, 'a')).toBe(map)
+		expect(map.setFirst(0, 'a')).toBe(map)
+		expect(map.set(NaN, NaN)).toBe(map)
+		expect(map.delete(1)).toBe(map)
+		expect(emptyMap.size).toBe(0)
+		expect(emptyMap.clear()).toBe(emptyMap)
+		expect(map.size).toBe(2)
+	})
+
+	test('Keys of all types', () => {
+		const object = {}
+		const symbol = Symbol('key')
+		const keys = [0, -0.5, 2 ** 40, NaN, '0', 10n, true, false, null, undefined, object, symbol, Symbol('key'), () => {}]
+		let map = new ImmutableReverseIterableMap()
+
+		keys.forEach((key, index) => {
+			map = map.set(key, index)
+		})
+
+		expect(map.size).toBe(keys.length)
+		expect([...map.keys()]).toEqual(keys)
+		keys.forEach((key, index) => expect(map.get(key)).toBe(index))
+		expect(map.get(-0)).toBe(0)
+		expect(map.get({})).toBe(undefined)
+		expect(map.get(Symbol('key'))).toBe(undefined)
+
+		for (const key of keys) {
+			map = map.delete(key)
+		}
+
+		expect(map.size).toBe(0)
+	})
+
+	test('Many elements', () => {
+		const entries = /** @type {[number, number][]} */ (Array.from({ length: 5000 }, (_, index) => [index * 7919 % 5000, index]))
+		const original = new ImmutableReverseIterableMap(entries)
+		let map = original
+
+		for (let key = 0; key < 5000; key += 2) {
+			map = map.delete(key)
+		}
+
+		for (let key = 0; key < 100; key++) {
+			map = map.setFirst(-key - 1, key)
+		}
+
+		const expected = [
+			...Array.from({ length: 100 }, (_, index) => [-100 + index, 99 - index]),
+			...entries.filter(([key]) => key % 2 === 1),
+		]
+
+		expect([...map]).toEqual(expected)
+		expect([...map.reverseIterator()]).toEqual([...expected].reverse())
+		expect(map.get(4999)).toBe(entries.findIndex(([key]) => key === 4999))
+		expect(original.size).toBe(5000)
+		expect([...original]).toEqual(entries)
+	})
+
+	test('Iterators', () => {
+		const map = new ImmutableReverseIterableMap([[0, 'a'], [1, 'b'], [2, 'c']])
+
+		expect([...map.keys()]).toEqual([0, 1, 2])
+		expect([...map.values().reverseIterator()]).toEqual(['c', 'b', 'a'])
+		expect([...map.reverseIterator()]).toEqual([[2, 'c'], [1, 'b'], [0, 'a']])
+		expect([...map.entries().filter(([key]) => key > 0).map(([, value]) => value)]).toEqual(['b', 'c'])
+
+		/** @type {number[]} */ const keys = []
+		map.forEach((_value, key) => keys.push(key))
+		map.forEachReverse((_value, key) => keys.push(key))
+		expect(keys).toEqual([0, 1, 2, 2, 1, 0])
+		expect(map.first()).toEqual([0, 'a'])
+		expect(map.last()).toEqual([2, 'c'])
+	})
+
+	test('map.iteratorFor(), map.keysFor() and map.valuesFor()', () => {
+		const map = new ImmutableReverseIterableMap([[0, 'a'], [1, 'b'], [2, 'c']]).setFirst(-1, 'z')
+
+		expect([...map.iteratorFor(1)]).toEqual([[1, 'b'], [2, 'c']])
+		expect([...map.iteratorFor(1).reverseIterator()]).toEqual([[1, 'b'], [0, 'a'], [-1, 'z']])
+		expect([...map.keysFor(-1)]).toEqual([-1, 0, 1, 2])
+		expect([...map.keysFor(-1).reverseIterator()]).toEqual([-1])
+		expect([...map.valuesFor(2)]).toEqual(['c'])
+		expect([...map.valuesFor(2).reverseIterator()]).toEqual(['c', 'b', 'a', 'z'])
+		expect([...map.iteratorFor(3)]).toEqual([])
+		expect([...map.iteratorFor(3).reverseIterator()]).toEqual([])
+		expect(() => map.keysFor(3, { strict: true })).toThrowError(ReferenceError('reference key does not exist in map'))
+	})
+
+	test('Iterating from an element of a large map', () => {
+		const map = new ImmutableReverseIterableMap(Array.from({ length: 1000 }, (_, index) => [index, index]))
+
+		for (const key of [0, 1, 499, 500, 998, 999]) {
+			expect([...map.keysFor(key)]).toEqual(Array.from({ length: 1000 - key }, (_, index) => key + index))
+			expect([...map.keysFor(key).reverseIterator()]).toEqual(Array.from({ length: key + 1 }, (_, index) => key - index))
+		}
+	})
+
+	test('map.equals()', () => {
+		const map = new ImmutableReverseIterableMap([[0, 'a'], [1, 'b']])
+
+		expect(map.equals(map)).toBe(true)
+		expect(map.equals(map.set(0, 'a'))).toBe(true)
+		expect(map.equals(map.delete(1).set(1, 'b'))).toBe(true)
+		expect(map.equals(new ImmutableReverseIterableMap([[0, 'a'], [1, 'b']]))).toBe(true)
+		expect(map.equals(map.set(1, 'beta'))).toBe(false)
+		expect(map.equals(map.delete(0).set(0, 'a'))).toBe(false)
+		expect(map.equals(map.delete(1))).toBe(false)
+		expect(map.equals(new ReverseIterableMap([[0, 'a'], [1, 'b']]))).toBe(false)
+	})
+
+	test('Conversion to and from ReverseIterableMap', () => {
+		const mutableMap = new ReverseIterableMap([[0, 'a'], [1, 'b']])
+		const map = new ImmutableReverseIterableMap(mutableMap)
+
+		mutableMap.set(2, 'c')
+		expect([...map]).toEqual([[0, 'a'], [1, 'b']])
+
+		const copy = map.toMutable()
+		expect(copy).toBeInstanceOf(ReverseIterableMap)
+		expect([...copy]).toEqual([[0, 'a'], [1, 'b']])
+
+		copy.delete(0)
+		expect(map.has(0)).toBe(true)
+	})
+})
@@ -0,0 +1,170 @@
+import ReverseIterableMap from './reverse-iterable-map.js'
+
+/**
+ * @template K
+ * @template V
+ * @typedef {object} LruReverseIterableMapOptions
+ * @property {number} capacity The maximum number of elements. Adding an element beyond that evicts the least-recently used elements.
+ * @property {(key: K, value: V) => void} [onEvict] Called once for each evicted element.
+ * @property {boolean} [promoteOnGet] Whether `get()` marks an element as most-recently used. Defaults to `true`. Marking an element is a `'move'` change for change listeners, so it’s also an undo step, a persistence write and a replication message.
+ */
+
+/**
+ * A least-recently-used (LRU) cache based on `ReverseIterableMap`.
+ *
+ * The first element is the least-recently used one and the last element is the most-recently used one. Setting an element (and, by default, getting it) moves it to the end. Once the size exceeds the capacity, elements are evicted from the start.
+ *
+ * @template K
+ * @template V
+ * @extends {ReverseIterableMap<K, V>}
+ */
+export default class LruReverseIterableMap extends ReverseIterableMap {
+	/** @type {number} */ _capacity
+	/** @type {((key: K, value: V) => void) | undefined} */ _onEvict
+	/** @type {boolean} */ _promoteOnGet
+
+	/**
+	 * @param {LruReverseIterableMapOptions<K, V>} options
+	 * @param {Iterable<[K, V] | readonly any[]>} [iterable]
+	 */
+	constructor(options, iterable) {
+		const { capacity, onEvict, promoteOnGet = true } = options
+
+		if (!(Number.isInteger(capacity) && capacity >= 0) && capacity !== Infinity) {
+			throw new RangeError('capacity must be a non-negative integer')
+		}
+
+		super(iterable)
+
+		this._capacity = capacity
+		this._onEvict = onEvict
+		this._promoteOnGet = promoteOnGet
+
+		this._evictOverflow()
+	}
+
+	get [Symbol.toStringTag]() {
+		return 'LruReverseIterableMap'
+	}
+
+	/**
+	 * The maximum number of elements in the `LruReverseIterableMap` object.
+	 *
+	 * @returns {number}
+	 */
+	get capacity() {
+		return this._capacity
+	}
+
+	/**
+	 * Returns a specified element and, unless `promoteOnGet` is `false`, marks it as most-recently used.
+	 *
+	 * @param {K} key
+	 * @returns {V | undefined}
+	 */
+	get(key) {
+		if (this._promoteOnGet) {
+			this.moveToBack(key)
+		}
+
+		return super.get(key)
+	}
+
+	/**
+	 * Returns a specified element without changing its position.
+	 *
+	 * @param {K} key
+	 * @returns {V | undefined}
+	 */
+	peek(key) {
+		return super.get(key)
+	}
+
+	/**
+	 * Adds or updates an element and marks it as most-recently used. Evicts the least-recently used elements if the capacity is exceeded.
+	 *
+	 * @param {K} key
+	 * @param {V} value
+	 * @returns {this}
+	 */
+	set(key, value) {
+		// While a history undoes or redoes changes, it restores positions itself and evicting elements would lose them.
+		if (this._replaying) {
+			return super.set(key, value)
+		}
+
+		// Report the change and the evictions it causes together.
+		this.batch(() => {
+			super.set(key, value)
+			this.moveToBack(key)
+			this._evictOverflow()
+		})
+
+		return this
+	}
+
+	/**
+	 * Adds or updates an element as least-recently used element. Evicts the least-recently used elements if the capacity is exceeded.
+	 *
+	 * @param {K} key
+	 * @param {V} value
+	 * @returns {this}
+	 */
+	setFirst(key, value) {
+		this.batch(() => {
+			super.setFirst(key, value)
+			this._evictOverflow()
+		})
+
+		return this
+	}
+
+	/**
+	 * @param {K} refKey
+	 * @param {K} key
+	 * @param {V} value
+	 * @returns {this}
+	 */
+	insertBefore(refKey, key, value) {
+		this.batch(() => {
+			super.insertBefore(refKey, key, value)
+			this._evictOverflow()
+		})
+
+		return this
+	}
+
+	/**
+	 * @param {K} refKey
+	 * @param {K} key
+	 * @param {V} value
+	 * @returns {this}
+	 */
+	insertAfter(refKey, key, value) {
+		this.batch(() => {
+			super.insertAfter(refKey, key, value)
+			this._evictOverflow()
+		})
+
+		return this
+	}
+
+	/**
+	 * Removes elements from the start until the size no longer exceeds the capacity.
+	 */
+	_evictOverflow() {
+		// During construction, the base class adds the initial elements before the capacity is known.
+		if (this._capacity === undefined) {
+			return
+		}
+
+		while (this.size > this._capacity && this._firstNode !== null) {
+			const { key, value } = this._firstNode
+			this.delete(key)
+
+			if (this._onEvict !== undefined) {
+				this._onEvict(key, value)
+			}
+		}
+	}
+}
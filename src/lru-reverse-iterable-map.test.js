@@ -0,0 +1,170 @@
+import { describe, expect, test, vi } from 'vitest'
+
+import LruReverseIterableMap from './lru-reverse-iterable-map.js'
+import ReverseIterableMap from './reverse-iterable-map.js'
+import ReverseIterableMapHistory from './reverse-iterable-map-history.js'
+
+describe('LruReverseIterableMap', () => {
+	test('Construct map', () => {
+		const map = new LruReverseIterableMap({ capacity: 3 })
+
+		expect(map instanceof ReverseIterableMap).toBe(true)
+		expect(map.capacity).toBe(3)
+		expect(map.size).toBe(0)
+		expect(map.toString()).toBe('[object LruReverseIterableMap]')
+	})
+
+	test('Construct map with iterable exceeding the capacity', () => {
+		const onEvict = vi.fn()
+		const map = new LruReverseIterableMap({ capacity: 2, onEvict }, [
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+
+		expect([...map.keys()]).toEqual([1, 2])
+		expect(onEvict).toHaveBeenCalledTimes(1)
+		expect(onEvict).toHaveBeenCalledWith(0, 'a')
+	})
+
+	test('Construct map with illegal capacity', () => {
+		expect(() => new LruReverseIterableMap({ capacity: -1 })).toThrowError(RangeError('capacity must be a non-negative integer'))
+		expect(() => new LruReverseIterableMap({ capacity: 1.5 })).toThrowError(RangeError('capacity must be a non-negative integer'))
+		expect(() => new LruReverseIterableMap({ capacity: Infinity })).not.toThrow()
+	})
+
+	test('map.set() evicts least-recently used elements', () => {
+		const onEvict = vi.fn()
+		const map = new LruReverseIterableMap({ capacity: 3, onEvict })
+			.set(0, 'a')
+			.set(1, 'b')
+			.set(2, 'c')
+
+		expect(onEvict).not.toHaveBeenCalled()
+
+		map.set(0, 'alpha')
+		expect([...map.keys()]).toEqual([1, 2, 0])
+
+		map.set(3, 'd')
+		expect([...map.entries()]).toEqual([[2, 'c'], [0, 'alpha'], [3, 'd']])
+		expect(onEvict).toHaveBeenCalledTimes(1)
+		expect(onEvict).toHaveBeenCalledWith(1, 'b')
+	})
+
+	test('map.set() reports the change and its evictions together', () => {
+		const map = new LruReverseIterableMap({ capacity: 2 }, [
+			[0, 'a'],
+			[1, 'b'],
+		])
+		const listener = vi.fn()
+		map.subscribe(listener)
+
+		map.set(2, 'c')
+		expect(listener).toHaveBeenCalledTimes(1)
+		expect(listener).toHaveBeenCalledWith([
+			{ type: 'insert', key: 2, value: 'c', index: 2 },
+			{ type: 'delete', key: 0, previousValue: 'a', previousIndex: 0 },
+		], map)
+	})
+
+	test('map.get() promotes elements', () => {
+		const map = new LruReverseIterableMap({ capacity: 3 }, [
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+
+		expect(map.get(0)).toBe('a')
+		expect(map.get(3)).toBe(undefined)
+		expect([...map.keys()]).toEqual([1, 2, 0])
+
+		map.set(3, 'd')
+		expect([...map.keys()]).toEqual([2, 0, 3])
+	})
+
+	test('map.get() with promoteOnGet disabled', () => {
+		const map = new LruReverseIterableMap({ capacity: 3, promoteOnGet: false }, [
+			[0, 'a'],
+			[1, 'b'],
+		])
+
+		expect(map.get(0)).toBe('a')
+		expect([...map.keys()]).toEqual([0, 1])
+	})
+
+	test('map.get() reports the promotion as a move', () => {
+		const map = new LruReverseIterableMap({ capacity: 3 }, [
+			['a', 1],
+			['b', 2],
+		])
+		const listener = vi.fn()
+		map.subscribe(listener)
+		const history = new ReverseIterableMapHistory(map)
+
+		expect(map.get('a')).toBe(1)
+		expect([...map.keys()]).toEqual(['b', 'a'])
+		expect(listener).toHaveBeenCalledWith([{ type: 'move', key: 'a', index: 1, previousIndex: 0 }], map)
+		expect(history.canUndo).toBe(true)
+
+		listener.mockClear()
+		expect(map.peek('b')).toBe(2)
+		expect(listener).not.toHaveBeenCalled()
+	})
+
+	test('map.peek()', () => {
+		const map = new LruReverseIterableMap({ capacity: 3 }, [
+			[0, 'a'],
+			[1, 'b'],
+		])
+
+		expect(map.peek(0)).toBe('a')
+		expect(map.peek(2)).toBe(undefined)
+		expect([...map.keys()]).toEqual([0, 1])
+	})
+
+	test('map.setFirst(), map.insertBefore() and map.insertAfter() respect the capacity', () => {
+		const onEvict = vi.fn()
+		const map = new LruReverseIterableMap({ capacity: 2, onEvict }, [
+			[0, 'a'],
+			[1, 'b'],
+		])
+
+		map.insertAfter(0, 2, 'c')
+		expect([...map.keys()]).toEqual([2, 1])
+		expect(onEvict).toHaveBeenLastCalledWith(0, 'a')
+
+		map.insertBefore(2, 3, 'd')
+		expect([...map.keys()]).toEqual([2, 1])
+		expect(onEvict).toHaveBeenLastCalledWith(3, 'd')
+
+		map.setFirst(4, 'e')
+		expect([...map.keys()]).toEqual([2, 1])
+		expect(onEvict).toHaveBeenLastCalledWith(4, 'e')
+		expect(onEvict).toHaveBeenCalledTimes(3)
+	})
+
+	test('Undoing and redoing doesn’t evict elements', () => {
+		const onEvict = vi.fn()
+		const map = new LruReverseIterableMap({ capacity: 2, onEvict }, [
+			[1, 'a'],
+			[2, 'b'],
+		])
+		const history = new ReverseIterableMapHistory(map)
+
+		map.set(3, 'c')
+		expect([...map]).toEqual([[2, 'b'], [3, 'c']])
+
+		history.undo()
+		expect([...map]).toEqual([[1, 'a'], [2, 'b']])
+
+		history.redo()
+		expect([...map]).toEqual([[2, 'b'], [3, 'c']])
+
+		map.set(2, 'x')
+		expect([...map]).toEqual([[3, 'c'], [2, 'x']])
+
+		history.undo()
+		expect([...map]).toEqual([[2, 'b'], [3, 'c']])
+		expect(onEvict).toHaveBeenCalledTimes(1)
+	})
+})
@@ -0,0 +1,49 @@
+/**
+ * A storage adapter for `persist()` which keeps the stored values in memory. It’s meant for tests and as an example for writing adapters.
+ */
+export default class MemoryStorageAdapter {
+	/** @type {Map<string, unknown>} */ _data
+
+	/**
+	 * @param {Iterable<[string, unknown]>} [iterable] Initially stored key-value pairs, e.g. the `data` of another `MemoryStorageAdapter` object.
+	 */
+	constructor(iterable) {
+		this._data = new Map(iterable)
+	}
+
+	get [Symbol.toStringTag]() {
+		return 'MemoryStorageAdapter'
+	}
+
+	/**
+	 * The stored key-value pairs.
+	 *
+	 * @returns {ReadonlyMap<string, unknown>}
+	 */
+	get data() {
+		return this._data
+	}
+
+	/**
+	 * @param {string} key
+	 * @returns {unknown} the value stored under `key` or `undefined` if there is none.
+	 */
+	get(key) {
+		return this._data.get(key)
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {unknown} value
+	 */
+	set(key, value) {
+		this._data.set(key, value)
+	}
+
+	/**
+	 * @param {string} key
+	 */
+	delete(key) {
+		this._data.delete(key)
+	}
+}
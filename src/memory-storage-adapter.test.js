@@ -0,0 +1,27 @@
+import { describe, expect, test } from 'vitest'
+
+import MemoryStorageAdapter from './memory-storage-adapter.js'
+
+describe('MemoryStorageAdapter', () => {
+	test('Construct adapter', () => {
+		const adapter = new MemoryStorageAdapter([['a', 1]])
+
+		expect(adapter.toString()).toBe('[object MemoryStorageAdapter]')
+		expect(adapter.get('a')).toBe(1)
+		expect([...new MemoryStorageAdapter(adapter.data).data]).toEqual([['a', 1]])
+		expect(new MemoryStorageAdapter().data.size).toBe(0)
+	})
+
+	test('adapter.get(), adapter.set() and adapter.delete()', () => {
+		const adapter = new MemoryStorageAdapter()
+		const value = { b: 2 }
+
+		adapter.set('a', value)
+		expect(adapter.get('a')).toBe(value)
+		expect(adapter.get('b')).toBe(undefined)
+
+		adapter.delete('a')
+		expect(adapter.get('a')).toBe(undefined)
+		expect(adapter.data.size).toBe(0)
+	})
+})
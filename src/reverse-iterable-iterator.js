@@ -0,0 +1,298 @@
+/**
+ * @template T
+ * @typedef {import('../types/index.d.js').ReverseIterableIterator<T>} ReverseIterableIterator
+ */
+
+/**
+ * The [`%IteratorPrototype%`][1] object. Inheriting from it makes reverse-iterable iterators pick up any iterator helpers of the runtime which aren’t implemented here.
+ *
+ * [1]: https://tc39.es/ecma262/#sec-%iteratorprototype%-object
+ */
+const IteratorPrototype = Object.getPrototypeOf(Object.getPrototypeOf([][Symbol.iterator]()))
+
+/**
+ * Implementations of the [iterator helpers][1] which return reverse-iterable iterators.
+ *
+ * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Iterator#iterator_helpers
+ */
+const reverseIterableIteratorPrototype = Object.setPrototypeOf({
+	/**
+	 * @template T, U
+	 * @this {ReverseIterableIterator<T>}
+	 * @param {(value: T, index: number) => U} callbackfn
+	 * @returns {ReverseIterableIterator<U>}
+	 */
+	map(callbackfn) {
+		assertCallable(callbackfn)
+
+		return transformIterator(this, function* (iterable) {
+			let index = 0
+			for (const value of iterable) {
+				yield callbackfn(value, index++)
+			}
+		})
+	},
+
+	/**
+	 * @template T
+	 * @this {ReverseIterableIterator<T>}
+	 * @param {(value: T, index: number) => unknown} predicate
+	 * @returns {ReverseIterableIterator<T>}
+	 */
+	filter(predicate) {
+		assertCallable(predicate)
+
+		return transformIterator(this, function* (iterable) {
+			let index = 0
+			for (const value of iterable) {
+				if (predicate(value, index++)) {
+					yield value
+				}
+			}
+		})
+	},
+
+	/**
+	 * @template T
+	 * @this {ReverseIterableIterator<T>}
+	 * @param {number} limit
+	 * @returns {ReverseIterableIterator<T>}
+	 */
+	take(limit) {
+		const count = toLimit(limit)
+
+		return transformIterator(this, function* (iterable) {
+			if (count === 0) {
+				return
+			}
+
+			let index = 0
+			for (const value of iterable) {
+				yield value
+
+				if (++index >= count) {
+					return
+				}
+			}
+		})
+	},
+
+	/**
+	 * @template T
+	 * @this {ReverseIterableIterator<T>}
+	 * @param {number} limit
+	 * @returns {ReverseIterableIterator<T>}
+	 */
+	drop(limit) {
+		const count = toLimit(limit)
+
+		return transformIterator(this, function* (iterable) {
+			let index = 0
+			for (const value of iterable) {
+				if (index++ >= count) {
+					yield value
+				}
+			}
+		})
+	},
+
+	/**
+	 * Iterating in reverse also iterates the inner iterables in reverse if they are arrays or reverse-iterable.
+	 *
+	 * @template T, U
+	 * @this {ReverseIterableIterator<T>}
+	 * @param {(value: T, index: number) => Iterable<U>} callbackfn
+	 * @returns {ReverseIterableIterator<U>}
+	 */
+	flatMap(callbackfn) {
+		assertCallable(callbackfn)
+
+		return transformIterator(this, function* (iterable, forwards) {
+			let index = 0
+			for (const value of iterable) {
+				const innerIterable = callbackfn(value, index++)
+
+				if (forwards) {
+					yield* innerIterable
+				} else if (Array.isArray(innerIterable)) {
+					for (let i = innerIterable.length - 1; i >= 0; i--) {
+						yield innerIterable[i]
+					}
+				} else if (isReverseIterable(innerIterable)) {
+					yield* innerIterable.reverseIterator()
+				} else {
+					yield* innerIterable
+				}
+			}
+		})
+	},
+
+	/**
+	 * @template T, U
+	 * @this {ReverseIterableIterator<T>}
+	 * @param {(accumulator: U, value: T, index: number) => U} callbackfn
+	 * @param {U} [initialValue]
+	 * @returns {U}
+	 */
+	reduce(callbackfn, initialValue) {
+		assertCallable(callbackfn)
+
+		let index = 0
+		let accumulator = initialValue
+
+		if (arguments.length < 2) {
+			const result = this.next()
+
+			if (result.done) {
+				throw new TypeError('Reduce of empty iterator with no initial value')
+			}
+
+			accumulator = /** @type {U} */ (/** @type {unknown} */ (result.value))
+			index++
+		}
+
+		for (const value of this) {
+			accumulator = callbackfn(/** @type {U} */ (accumulator), value, index++)
+		}
+
+		return /** @type {U} */ (accumulator)
+	},
+
+	/**
+	 * @template T
+	 * @this {ReverseIterableIterator<T>}
+	 * @param {(value: T, index: number) => unknown} predicate
+	 * @returns {boolean}
+	 */
+	some(predicate) {
+		assertCallable(predicate)
+
+		let index = 0
+		for (const value of this) {
+			if (predicate(value, index++)) {
+				return true
+			}
+		}
+
+		return false
+	},
+
+	/**
+	 * @template T
+	 * @this {ReverseIterableIterator<T>}
+	 * @param {(value: T, index: number) => unknown} predicate
+	 * @returns {boolean}
+	 */
+	every(predicate) {
+		assertCallable(predicate)
+
+		let index = 0
+		for (const value of this) {
+			if (!predicate(value, index++)) {
+				return false
+			}
+		}
+
+		return true
+	},
+
+	/**
+	 * @template T
+	 * @this {ReverseIterableIterator<T>}
+	 * @param {(value: T, index: number) => unknown} predicate
+	 * @returns {T | undefined}
+	 */
+	find(predicate) {
+		assertCallable(predicate)
+
+		let index = 0
+		for (const value of this) {
+			if (predicate(value, index++)) {
+				return value
+			}
+		}
+
+		return undefined
+	},
+
+	/**
+	 * @template T
+	 * @this {ReverseIterableIterator<T>}
+	 * @returns {T[]}
+	 */
+	toArray() {
+		return [...this]
+	},
+}, IteratorPrototype)
+
+/**
+ * Turns an object implementing `next()`, `reverseIterator()` and `[Symbol.iterator]()` into a reverse-iterable iterator by giving it the iterator helper methods.
+ *
+ * @template T
+ * @param {{ next(): IteratorResult<T>, reverseIterator(): unknown, [Symbol.iterator](): unknown }} iterator
+ * @returns {ReverseIterableIterator<T>}
+ */
+export function createReverseIterableIterator(iterator) {
+	return Object.setPrototypeOf(iterator, reverseIterableIteratorPrototype)
+}
+
+/**
+ * Creates a reverse-iterable iterator which lazily applies `transform` to `source` or, once `reverseIterator()` is called, to the reverse iteration of `source`.
+ *
+ * @template T, U
+ * @param {ReverseIterableIterator<T>} source
+ * @param {(iterable: Iterable<T>, forwards: boolean) => Iterator<U>} transform
+ * @returns {ReverseIterableIterator<U>}
+ */
+function transformIterator(source, transform) {
+	let iterator = transform(source, true)
+
+	return createReverseIterableIterator({
+		reverseIterator() {
+			iterator = transform(source.reverseIterator(), false)
+
+			// Return the iterable itself.
+			return this
+		},
+
+		[Symbol.iterator]() {
+			// Return the iterable itself.
+			return this
+		},
+
+		next() {
+			return iterator.next()
+		},
+	})
+}
+
+/**
+ * @param {unknown} iterable
+ * @returns {iterable is { reverseIterator(): Iterable<any> }}
+ */
+function isReverseIterable(iterable) {
+	return typeof iterable === 'object' && iterable !== null && typeof (/** @type {any} */ (iterable).reverseIterator) === 'function'
+}
+
+/**
+ * @param {unknown} callbackfn
+ */
+function assertCallable(callbackfn) {
+	if (typeof callbackfn !== 'function') {
+		throw new TypeError(`${String(callbackfn)} is not a function`)
+	}
+}
+
+/**
+ * @param {number} limit
+ * @returns {number}
+ */
+function toLimit(limit) {
+	const number = Number(limit)
+
+	if (Number.isNaN(number) || number < 0) {
+		throw new RangeError(`${String(limit)} must be positive`)
+	}
+
+	return Math.trunc(number)
+}
@@ -0,0 +1,121 @@
+import { describe, expect, test } from 'vitest'
+
+import ReverseIterableMap from './reverse-iterable-map.js'
+
+function createMap() {
+	return new ReverseIterableMap([
+		[0, 'a'],
+		[1, 'b'],
+		[2, 'c'],
+		[3, 'd'],
+	])
+}
+
+describe('ReverseIterableIterator', () => {
+	test('Iterators inherit from %IteratorPrototype%', () => {
+		const IteratorPrototype = Object.getPrototypeOf(Object.getPrototypeOf([][Symbol.iterator]()))
+		const iterator = createMap().keys()
+
+		expect(IteratorPrototype.isPrototypeOf(iterator)).toBe(true)
+		expect(iterator[Symbol.iterator]()).toBe(iterator)
+	})
+
+	test('iterator.map()', () => {
+		const map = createMap()
+
+		expect([...map.keys().map((key, index) => [key * 10, index])]).toEqual([[0, 0], [10, 1], [20, 2], [30, 3]])
+		expect([...map.keys().map((key, index) => [key * 10, index]).reverseIterator()]).toEqual([[30, 0], [20, 1], [10, 2], [0, 3]])
+		// @ts-ignore because this is a deliberately wrong call
+		expect(() => map.keys().map('nope')).toThrowError(TypeError('nope is not a function'))
+	})
+
+	test('iterator.filter()', () => {
+		const map = createMap()
+
+		expect([...map.values().filter((_value, index) => index % 2 === 0)]).toEqual(['a', 'c'])
+		expect([...map.values().filter((_value, index) => index % 2 === 0).reverseIterator()]).toEqual(['d', 'b'])
+	})
+
+	test('iterator.take()', () => {
+		const map = createMap()
+
+		expect([...map.keys().take(2)]).toEqual([0, 1])
+		expect([...map.keys().take(2).reverseIterator()]).toEqual([3, 2])
+		expect([...map.keys().take(0)]).toEqual([])
+		expect([...map.keys().take(10)]).toEqual([0, 1, 2, 3])
+		expect(() => map.keys().take(-1)).toThrowError(RangeError)
+		expect(() => map.keys().take(NaN)).toThrowError(RangeError)
+	})
+
+	test('iterator.drop()', () => {
+		const map = createMap()
+
+		expect([...map.keys().drop(3)]).toEqual([3])
+		expect([...map.keys().drop(3).reverseIterator()]).toEqual([0])
+		expect([...map.keys().drop(10)]).toEqual([])
+		expect(() => map.keys().drop(-1)).toThrowError(RangeError)
+	})
+
+	test('iterator.flatMap()', () => {
+		const map = createMap()
+
+		expect([...map.entries().flatMap((entry) => entry).take(4)]).toEqual([0, 'a', 1, 'b'])
+		expect([...map.entries().flatMap((entry) => entry).take(4).reverseIterator()]).toEqual(['d', 3, 'c', 2])
+		expect([...map.keys().flatMap((key) => new ReverseIterableMap([[key, 'x'], [key + 0.5, 'y']]).keys()).reverseIterator()])
+			.toEqual([3.5, 3, 2.5, 2, 1.5, 1, 0.5, 0])
+		expect([...map.keys().flatMap((key) => new Set([key, key + 10])).reverseIterator()]).toEqual([3, 13, 2, 12, 1, 11, 0, 10])
+	})
+
+	test('Chained helpers', () => {
+		const map = createMap()
+		const iterator = map.entries()
+			.filter(([key]) => key > 0)
+			.map(([, value]) => value.toUpperCase())
+			.drop(1)
+
+		expect([...iterator]).toEqual(['C', 'D'])
+		expect([...iterator.reverseIterator()]).toEqual(['C', 'B'])
+		expect(iterator.reverseIterator().toArray()).toEqual(['C', 'B'])
+	})
+
+	test('iterator.reduce()', () => {
+		const map = createMap()
+
+		expect(map.values().reduce((accumulator, value) => accumulator + value)).toBe('abcd')
+		expect(map.values().reverseIterator().reduce((accumulator, value) => accumulator + value)).toBe('dcba')
+		expect(map.keys().reduce((accumulator, key, index) => accumulator + key * index, 0)).toBe(14)
+		expect(() => new ReverseIterableMap().keys().reduce((accumulator) => accumulator)).toThrowError(TypeError('Reduce of empty iterator with no initial value'))
+		expect(new ReverseIterableMap().keys().reduce((accumulator) => accumulator, 'initial')).toBe('initial')
+	})
+
+	test('iterator.some() and iterator.every()', () => {
+		const map = createMap()
+
+		expect(map.keys().some((key) => key > 2)).toBe(true)
+		expect(map.keys().some((key) => key > 3)).toBe(false)
+		expect(map.keys().every((key) => key < 4)).toBe(true)
+		expect(map.keys().every((key, index) => key === index && key < 3)).toBe(false)
+		expect(new ReverseIterableMap().keys().every(() => false)).toBe(true)
+	})
+
+	test('iterator.find()', () => {
+		const map = createMap()
+
+		expect(map.entries().find(([key]) => key % 2 === 1)).toEqual([1, 'b'])
+		expect(map.entries().reverseIterator().find(([key]) => key % 2 === 1)).toEqual([3, 'd'])
+		expect(map.entries().find(([key]) => key > 3)).toBe(undefined)
+
+		const iterator = map.keys()
+		expect(iterator.find((key) => key === 1)).toBe(1)
+		expect(iterator.next().value).toBe(2)
+	})
+
+	test('iterator.toArray()', () => {
+		const map = createMap()
+
+		expect(map.keys().toArray()).toEqual([0, 1, 2, 3])
+		expect(map.keys().reverseIterator().toArray()).toEqual([3, 2, 1, 0])
+		expect(map.iteratorFor(2).toArray()).toEqual([[2, 'c'], [3, 'd']])
+		expect(map.range(1, 2).map(([key]) => key).reverseIterator().toArray()).toEqual([2, 1])
+	})
+})
@@ -0,0 +1,251 @@
+/**
+ * @template K
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableMapNode<K, V>} ReverseIterableMapNode
+ */
+/**
+ * @template K
+ * @template V
+ * @typedef {import('./reverse-iterable-map.js').default<K, V>} ReverseIterableMap
+ */
+
+/**
+ * A cursor pointing at an element of a `ReverseIterableMap` object. Unlike an iterator, it can move in both directions and edit the map at its position.
+ *
+ * The cursor stays usable while the map is modified: If its element is deleted, it moves to the next element or, if there is none, to the previous element. It only points at no element if the map is empty.
+ *
+ * @template K
+ * @template V
+ */
+export default class ReverseIterableMapCursor {
+	/** @type {ReverseIterableMap<K, V>} */ _map
+	/** @type {ReverseIterableMapNode<K, V> | null} */ _node
+	/** @type {number} */ _generation
+
+	/**
+	 * @param {ReverseIterableMap<K, V>} map
+	 * @param {K} [key] The key of the element to point at. Defaults to the first element.
+	 * @throws {ReferenceError} if a key is passed and no element with that key exists.
+	 */
+	constructor(map, key) {
+		this._map = map
+		// Check the number of arguments because `undefined` is a valid key.
+		this._node = arguments.length > 1 ? map._getReferenceNode(/** @type {K} */ (key)) : map._firstNode
+		this._generation = map._generation
+	}
+
+	get [Symbol.toStringTag]() {
+		return 'ReverseIterableMapCursor'
+	}
+
+	/**
+	 * The key of the current element or `undefined` if the map is empty.
+	 *
+	 * @returns {K | undefined}
+	 */
+	get key() {
+		const node = this._getNode()
+		return node !== null ? node.key : undefined
+	}
+
+	/**
+	 * The value of the current element or `undefined` if the map is empty.
+	 *
+	 * @returns {V | undefined}
+	 */
+	get value() {
+		const node = this._getNode()
+		return node !== null ? node.value : undefined
+	}
+
+	/**
+	 * The `[key, value]` pair of the current element or `undefined` if the map is empty.
+	 *
+	 * @returns {[K, V] | undefined}
+	 */
+	get entry() {
+		const node = this._getNode()
+		return node !== null ? [node.key, node.value] : undefined
+	}
+
+	/**
+	 * Moves the cursor to the next element. If there is none, the cursor stays where it is.
+	 *
+	 * @returns {[K, V] | undefined} the `[key, value]` pair of the next element or `undefined` if there is none.
+	 */
+	next() {
+		return this._move(true)
+	}
+
+	/**
+	 * Moves the cursor to the previous element. If there is none, the cursor stays where it is.
+	 *
+	 * @returns {[K, V] | undefined} the `[key, value]` pair of the previous element or `undefined` if there is none.
+	 */
+	prev() {
+		return this._move(false)
+	}
+
+	/**
+	 * Returns the next element without moving the cursor.
+	 *
+	 * @returns {[K, V] | undefined}
+	 */
+	peekNext() {
+		const node = this._getNeighborNode(true)
+		return node !== null ? [node.key, node.value] : undefined
+	}
+
+	/**
+	 * Returns the previous element without moving the cursor.
+	 *
+	 * @returns {[K, V] | undefined}
+	 */
+	peekPrev() {
+		const node = this._getNeighborNode(false)
+		return node !== null ? [node.key, node.value] : undefined
+	}
+
+	/**
+	 * Updates the value of the current element.
+	 *
+	 * @param {V} value
+	 * @returns {this}
+	 * @throws {ReferenceError} if the map is empty.
+	 */
+	set(value) {
+		const node = this._getCurrentNode()
+		this._map.set(node.key, value)
+
+		return this
+	}
+
+	/**
+	 * Deletes the current element. The cursor moves to the next element or, if there is none, to the previous element.
+	 *
+	 * @returns {boolean} `true` if an element was deleted, `false` if the map is empty.
+	 */
+	delete() {
+		const node = this._getNode()
+
+		if (node === null) {
+			return false
+		}
+
+		return this._map.delete(node.key)
+	}
+
+	/**
+	 * Adds an element directly before the current element. The cursor stays at the current element unless the map was empty.
+	 *
+	 * @param {K} key
+	 * @param {V} value
+	 * @returns {this}
+	 */
+	insertBefore(key, value) {
+		const node = this._getNode()
+
+		if (node === null) {
+			this._map.set(key, value)
+		} else {
+			this._map.insertBefore(node.key, key, value)
+		}
+
+		return this
+	}
+
+	/**
+	 * Adds an element directly after the current element. The cursor stays at the current element unless the map was empty.
+	 *
+	 * @param {K} key
+	 * @param {V} value
+	 * @returns {this}
+	 */
+	insertAfter(key, value) {
+		const node = this._getNode()
+
+		if (node === null) {
+			this._map.set(key, value)
+		} else {
+			this._map.insertAfter(node.key, key, value)
+		}
+
+		return this
+	}
+
+	/**
+	 * @param {boolean} forwards
+	 * @returns {[K, V] | undefined}
+	 */
+	_move(forwards) {
+		const node = this._getNeighborNode(forwards)
+
+		if (node === null) {
+			return undefined
+		}
+
+		this._node = node
+
+		return [node.key, node.value]
+	}
+
+	/**
+	 * @param {boolean} forwards
+	 * @returns {ReverseIterableMapNode<K, V> | null}
+	 */
+	_getNeighborNode(forwards) {
+		const node = this._getNode()
+
+		if (node === null) {
+			return null
+		}
+
+		let neighborNode = forwards ? node.nextNode : node.prevNode
+
+		while (neighborNode !== null && this._map._purgeStaleNode(neighborNode)) {
+			neighborNode = forwards ? node.nextNode : node.prevNode
+		}
+
+		return neighborNode
+	}
+
+	/**
+	 * @returns {ReverseIterableMapNode<K, V>}
+	 * @throws {ReferenceError} if the map is empty.
+	 */
+	_getCurrentNode() {
+		const node = this._getNode()
+
+		if (node === null) {
+			throw new ReferenceError('cursor does not point at an element')
+		}
+
+		return node
+	}
+
+	/**
+	 * Returns the current node after catching up with changes to the map.
+	 *
+	 * @returns {ReverseIterableMapNode<K, V> | null}
+	 */
+	_getNode() {
+		const map = this._map
+
+		if (this._generation !== map._generation) {
+			// The map was cleared.
+			this._generation = map._generation
+			this._node = map._firstNode
+		} else if (this._node === null) {
+			// The map was empty.
+			this._node = map._firstNode
+		}
+
+		// Subclasses like `ExpiringReverseIterableMap` may remove the node right now.
+		while (this._node !== null && (this._node.removed || map._purgeStaleNode(this._node))) {
+			const node = this._node
+			this._node = map._getFollowingNode(node, true) ?? map._getFollowingNode(node, false)
+		}
+
+		return this._node
+	}
+}
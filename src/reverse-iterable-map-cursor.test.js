@@ -0,0 +1,136 @@
+import { describe, expect, test } from 'vitest'
+
+import ReverseIterableMap from './reverse-iterable-map.js'
+import ReverseIterableMapCursor from './reverse-iterable-map-cursor.js'
+
+describe('ReverseIterableMapCursor', () => {
+	test('new ReverseIterableMapCursor()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+		])
+		const cursor = new ReverseIterableMapCursor(map)
+
+		expect(cursor).toBeInstanceOf(ReverseIterableMapCursor)
+		expect(cursor.toString()).toBe('[object ReverseIterableMapCursor]')
+		expect(cursor.key).toBe(0)
+		expect(cursor.value).toBe('a')
+		expect(cursor.entry).toEqual([0, 'a'])
+
+		expect(new ReverseIterableMapCursor(map, 1).entry).toEqual([1, 'b'])
+		expect(() => new ReverseIterableMapCursor(map, 2)).toThrowError(ReferenceError('reference key does not exist in map'))
+		expect(() => new ReverseIterableMapCursor(map, undefined)).toThrowError(ReferenceError)
+	})
+
+	test('cursor.next() and cursor.prev()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+		const cursor = new ReverseIterableMapCursor(map, 1)
+
+		expect(cursor.next()).toEqual([2, 'c'])
+		expect(cursor.next()).toBe(undefined)
+		expect(cursor.key).toBe(2)
+
+		expect(cursor.prev()).toEqual([1, 'b'])
+		expect(cursor.prev()).toEqual([0, 'a'])
+		expect(cursor.prev()).toBe(undefined)
+		expect(cursor.key).toBe(0)
+
+		expect(cursor.next()).toEqual([1, 'b'])
+	})
+
+	test('cursor.peekNext() and cursor.peekPrev()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+		const cursor = new ReverseIterableMapCursor(map, 1)
+
+		expect(cursor.peekNext()).toEqual([2, 'c'])
+		expect(cursor.peekPrev()).toEqual([0, 'a'])
+		expect(cursor.key).toBe(1)
+
+		cursor.next()
+		expect(cursor.peekNext()).toBe(undefined)
+	})
+
+	test('cursor.set()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+		])
+		const cursor = new ReverseIterableMapCursor(map, 1)
+
+		expect(cursor.set('beta')).toBe(cursor)
+		expect(cursor.value).toBe('beta')
+		expect(map.get(1)).toBe('beta')
+		expect([...map.keys()]).toEqual([0, 1])
+
+		expect(() => new ReverseIterableMapCursor(new ReverseIterableMap()).set('a')).toThrowError(ReferenceError('cursor does not point at an element'))
+	})
+
+	test('cursor.delete()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+		const cursor = new ReverseIterableMapCursor(map, 1)
+
+		expect(cursor.delete()).toBe(true)
+		expect(cursor.key).toBe(2)
+		expect(map.has(1)).toBe(false)
+
+		expect(cursor.delete()).toBe(true)
+		expect(cursor.key).toBe(0)
+
+		expect(cursor.delete()).toBe(true)
+		expect(cursor.entry).toBe(undefined)
+		expect(cursor.delete()).toBe(false)
+		expect(map.size).toBe(0)
+	})
+
+	test('cursor.insertBefore() and cursor.insertAfter()', () => {
+		const map = new ReverseIterableMap([[1, 'b']])
+		const cursor = new ReverseIterableMapCursor(map)
+
+		expect(cursor.insertBefore(0, 'a')).toBe(cursor)
+		expect(cursor.insertAfter(2, 'c')).toBe(cursor)
+		expect(cursor.key).toBe(1)
+		expect([...map.keys()]).toEqual([0, 1, 2])
+		expect(cursor.prev()).toEqual([0, 'a'])
+
+		const emptyMap = new ReverseIterableMap()
+		const emptyCursor = new ReverseIterableMapCursor(emptyMap)
+		emptyCursor.insertAfter(0, 'a')
+		expect(emptyCursor.key).toBe(0)
+		emptyCursor.insertBefore(-1, 'z')
+		expect([...emptyMap.keys()]).toEqual([-1, 0])
+	})
+
+	test('Cursor stays usable while the map is modified', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+		const cursor = new ReverseIterableMapCursor(map, 2)
+
+		map.delete(2)
+		expect(cursor.key).toBe(1)
+
+		map.moveToFront(1)
+		expect(cursor.key).toBe(1)
+		expect(cursor.next()).toEqual([0, 'a'])
+
+		map.clear()
+		expect(cursor.entry).toBe(undefined)
+
+		map.set(3, 'd')
+		expect(cursor.key).toBe(3)
+	})
+})
@@ -0,0 +1,826 @@
+import ReverseIterableMap from './reverse-iterable-map.js'
+
+/**
+ * A codec converting keys or values to bytes and back. `encode()` must return a `Uint8Array` object which `decode()` turns back into the original key or value.
+ *
+ * @template T
+ * @typedef {object} Codec
+ * @property {(value: T) => Uint8Array} encode
+ * @property {(bytes: Uint8Array) => T} decode
+ */
+
+/**
+ * @template K
+ * @template V
+ * @typedef {object} EncodingOptions
+ * @property {Codec<K>} [keyCodec] Codec for the keys. Defaults to encoding them as MessagePack values.
+ * @property {Codec<V>} [valueCodec] Codec for the values. Defaults to encoding them as MessagePack values.
+ */
+
+/**
+ * The string identifying the encoding of a `ReverseIterableMap` object.
+ */
+const FORMAT_TAG = 'ReverseIterableMap'
+
+/**
+ * The version of the encoding. It is increased whenever the encoding changes in a way older versions of `decode()` can’t read.
+ */
+const FORMAT_VERSION = 1
+
+/**
+ * The MessagePack extension type used for `undefined`.
+ */
+const UNDEFINED_EXT_TYPE = 0
+
+/**
+ * The MessagePack extension type used for timestamps (i.e. `Date` objects).
+ */
+const TIMESTAMP_EXT_TYPE = -1
+
+/**
+ * The maximum number of nested arrays and objects in a key or value. It keeps corrupt data and cyclic structures from exhausting the call stack.
+ */
+const MAX_DEPTH = 512
+
+/**
+ * The maximum length of strings which are decoded without `TextDecoder` if they only consist of ASCII characters.
+ */
+const MAX_ASCII_DECODE_LENGTH = 64
+
+const ASCII_PATTERN = /^[\x00-\x7f]*$/
+
+const textEncoder = new TextEncoder()
+const textDecoder = new TextDecoder('utf-8', { fatal: true })
+
+/**
+ * Returns the elements of `map` in a compact binary format which `decode()` turns back into a map.
+ *
+ * The format is a [MessagePack](https://msgpack.org) array of the string `'ReverseIterableMap'`, a format version and a map of the elements in insertion order. Without codecs, keys and values can be `undefined`, `null`, booleans, numbers, BigInts within 64 bits, strings, `Uint8Array` objects, `Date` objects as well as arrays and plain objects of these nested up to 512 levels deep.
+ *
+ * @template K
+ * @template V
+ * @param {Iterable<[K, V]>} map A `ReverseIterableMap` object or another iterable of key-value pairs.
+ * @param {EncodingOptions<K, V>} [options]
+ * @returns {Uint8Array}
+ * @throws {TypeError} if a key or value can’t be encoded, e.g. because it contains itself.
+ * @throws {RangeError} if a BigInt doesn’t fit into 64 bits or arrays and objects are nested too deeply.
+ */
+export function encode(map, { keyCodec, valueCodec } = {}) {
+	const writer = new ByteWriter()
+
+	writer.writeUint8(0x93)
+	writeValue(writer, FORMAT_TAG)
+	writeValue(writer, FORMAT_VERSION)
+
+	// The number of entries is only known after iterating them, so a map32 header is reserved and filled in afterwards.
+	writer.writeUint8(0xdf)
+	const countOffset = writer.length
+	writer.writeUint32(0)
+
+	let count = 0
+	for (const [key, value] of map) {
+		writeCodecValue(writer, key, keyCodec, 'keyCodec')
+		writeCodecValue(writer, value, valueCodec, 'valueCodec')
+		count++
+	}
+
+	writer.setUint32(countOffset, count)
+
+	return writer.toBytes()
+}
+
+/**
+ * Creates a `ReverseIterableMap` object from the bytes returned by `encode()`. The elements are added while decoding without creating an intermediate array.
+ *
+ * The map is a `ReverseIterableMap` object even if a subclass object was encoded. Pass it or the iterator returned by `decodeEntries()` to the constructor of the subclass to restore one.
+ *
+ * This is a function instead of a static `ReverseIterableMap.decode()` method because the method would make the core module import the encoding.
+ *
+ * @template K
+ * @template V
+ * @param {Uint8Array} bytes
+ * @param {EncodingOptions<K, V>} [options] The codecs which were used for encoding.
+ * @returns {ReverseIterableMap<K, V>}
+ * @throws {TypeError} if `bytes` is not a `Uint8Array` object.
+ * @throws {Error} if `bytes` is corrupt or truncated.
+ */
+export function decode(bytes, options) {
+	/** @type {ReverseIterableMap<K, V>} */ const map = new ReverseIterableMap()
+
+	for (const [key, value] of decodeEntries(bytes, options)) {
+		map.set(key, value)
+	}
+
+	return map
+}
+
+/**
+ * Returns an iterator of the key-value pairs in the bytes returned by `encode()`. It decodes one element per step so that the elements can be processed without creating a map. The header is checked right away while errors in the elements are thrown when iterating up to them.
+ *
+ * @template K
+ * @template V
+ * @param {Uint8Array} bytes
+ * @param {EncodingOptions<K, V>} [options] The codecs which were used for encoding.
+ * @returns {Generator<[K, V], void, undefined>}
+ * @throws {TypeError} if `bytes` is not a `Uint8Array` object.
+ * @throws {Error} if `bytes` is not a valid encoding.
+ */
+export function decodeEntries(bytes, options = {}) {
+	if (!isUint8Array(bytes)) {
+		throw new TypeError('bytes must be a Uint8Array')
+	}
+
+	const reader = new ByteReader(bytes)
+
+	if (bytes.length === 0 || reader.readUint8() !== 0x93) {
+		throw reader.error('the data is not an encoded ReverseIterableMap', 0)
+	}
+
+	if (readValue(reader) !== FORMAT_TAG) {
+		throw reader.error('the data is not an encoded ReverseIterableMap', 0)
+	}
+
+	const versionOffset = reader.offset
+	const version = readValue(reader)
+	if (version !== FORMAT_VERSION) {
+		throw reader.error(`unsupported format version ${String(version)}`, versionOffset)
+	}
+
+	const count = readMapHeader(reader)
+	if (count === null) {
+		throw reader.error('expected a map of entries', reader.offset - 1)
+	}
+
+	return readEntries(reader, count, options)
+}
+
+/**
+ * @template K
+ * @template V
+ * @param {ByteReader} reader
+ * @param {number} count
+ * @param {EncodingOptions<K, V>} options
+ * @returns {Generator<[K, V], void, undefined>}
+ */
+function* readEntries(reader, count, { keyCodec, valueCodec }) {
+	for (let i = 0; i < count; i++) {
+		const key = /** @type {K} */ (readCodecValue(reader, keyCodec))
+		const value = /** @type {V} */ (readCodecValue(reader, valueCodec))
+
+		yield [key, value]
+	}
+
+	if (reader.offset !== reader.byteLength) {
+		throw reader.error('unexpected data after the last entry', reader.offset)
+	}
+}
+
+/**
+ * @param {ByteWriter} writer
+ * @param {unknown} value
+ * @param {Codec<any> | undefined} codec
+ * @param {string} codecName
+ */
+function writeCodecValue(writer, value, codec, codecName) {
+	if (codec === undefined) {
+		writeValue(writer, value)
+		return
+	}
+
+	const bytes = codec.encode(value)
+	if (!isUint8Array(bytes)) {
+		throw new TypeError(`${codecName}.encode() must return a Uint8Array`)
+	}
+
+	writeValue(writer, bytes)
+}
+
+/**
+ * @param {ByteReader} reader
+ * @param {Codec<any> | undefined} codec
+ * @returns {unknown}
+ */
+function readCodecValue(reader, codec) {
+	if (codec === undefined) {
+		return readValue(reader)
+	}
+
+	const offset = reader.offset
+	const bytes = readValue(reader)
+	if (!isUint8Array(bytes)) {
+		throw reader.error('expected binary data for the codec', offset)
+	}
+
+	return codec.decode(bytes)
+}
+
+/**
+ * Writes a value in the smallest MessagePack format which represents it exactly.
+ *
+ * @param {ByteWriter} writer
+ * @param {unknown} value
+ * @param {Set<object>} [ancestors] The arrays and objects which contain `value`.
+ */
+function writeValue(writer, value, ancestors = new Set()) {
+	switch (typeof value) {
+		case 'undefined':
+			writer.writeUint8(0xd4)
+			writer.writeUint8(UNDEFINED_EXT_TYPE)
+			writer.writeUint8(0)
+			return
+		case 'boolean':
+			writer.writeUint8(value ? 0xc3 : 0xc2)
+			return
+		case 'number':
+			writeNumber(writer, value)
+			return
+		case 'bigint':
+			if (value < -(2n ** 63n) || value >= 2n ** 64n) {
+				throw new RangeError(`Cannot encode ${value}n because it doesn’t fit into 64 bits`)
+			}
+
+			if (value < 0n) {
+				writer.writeUint8(0xd3)
+				writer.writeBigInt64(value)
+			} else {
+				writer.writeUint8(0xcf)
+				writer.writeBigUint64(value)
+			}
+			return
+		case 'string':
+			writeString(writer, value)
+			return
+		case 'object':
+			if (value === null) {
+				writer.writeUint8(0xc0)
+			} else if (isUint8Array(value)) {
+				writeHeader(writer, value.length, null, 0xc4, 0xc5, 0xc6)
+				writer.writeBytes(value)
+			} else if (Array.isArray(value)) {
+				enterContainer(value, ancestors)
+				writeHeader(writer, value.length, [0x90, 16], null, 0xdc, 0xdd)
+				for (const element of value) {
+					writeValue(writer, element, ancestors)
+				}
+				ancestors.delete(value)
+			} else if (value instanceof Date) {
+				writeDate(writer, value)
+			} else if (isPlainObject(value)) {
+				enterContainer(value, ancestors)
+				const keys = Object.keys(value)
+				writeHeader(writer, keys.length, [0x80, 16], null, 0xde, 0xdf)
+				for (const key of keys) {
+					writeString(writer, key)
+					writeValue(writer, /** @type {Record<string, unknown>} */ (value)[key], ancestors)
+				}
+				ancestors.delete(value)
+			} else {
+				throw new TypeError(`Cannot encode ${Object.prototype.toString.call(value)}. Use a codec to encode it.`)
+			}
+			return
+		default:
+			throw new TypeError(`Cannot encode values of type ${typeof value}. Use a codec to encode them.`)
+	}
+}
+
+/**
+ * Adds an array or object to its ancestors before its elements are written.
+ *
+ * @param {object} value
+ * @param {Set<object>} ancestors
+ */
+function enterContainer(value, ancestors) {
+	if (ancestors.has(value)) {
+		throw new TypeError('Cannot encode a value which contains itself')
+	}
+
+	if (ancestors.size >= MAX_DEPTH) {
+		throw new RangeError(`Cannot encode arrays and objects nested deeper than ${MAX_DEPTH} levels`)
+	}
+
+	ancestors.add(value)
+}
+
+/**
+ * Writes the header of a string, binary, array or map value in the smallest format for its length.
+ *
+ * @param {ByteWriter} writer
+ * @param {number} length
+ * @param {[fixType: number, fixLimit: number] | null} fix The type byte of the fix format whose lower bits hold the length and the length up to which it is used or `null` if there is no fix format.
+ * @param {number | null} type8 The type byte of the format with an 8-bit length or `null` if there is none.
+ * @param {number} type16 The type byte of the format with a 16-bit length.
+ * @param {number} type32 The type byte of the format with a 32-bit length.
+ */
+function writeHeader(writer, length, fix, type8, type16, type32) {
+	if (fix !== null && length < fix[1]) {
+		writer.writeUint8(fix[0] | length)
+	} else if (type8 !== null && length <= 0xff) {
+		writer.writeUint8(type8)
+		writer.writeUint8(length)
+	} else if (length <= 0xffff) {
+		writer.writeUint8(type16)
+		writer.writeUint16(length)
+	} else {
+		writer.writeUint8(type32)
+		writer.writeUint32(length)
+	}
+}
+
+/**
+ * @param {ByteWriter} writer
+ * @param {number} value
+ */
+function writeNumber(writer, value) {
+	if (!Number.isInteger(value) || Object.is(value, -0) || value < -0x80000000 || value > 0xffffffff) {
+		writer.writeUint8(0xcb)
+		writer.writeFloat64(value)
+	} else if (value >= 0) {
+		if (value < 0x80) {
+			writer.writeUint8(value)
+		} else if (value <= 0xff) {
+			writer.writeUint8(0xcc)
+			writer.writeUint8(value)
+		} else if (value <= 0xffff) {
+			writer.writeUint8(0xcd)
+			writer.writeUint16(value)
+		} else {
+			writer.writeUint8(0xce)
+			writer.writeUint32(value)
+		}
+	} else if (value >= -32) {
+		writer.writeUint8(value & 0xff)
+	} else if (value >= -0x80) {
+		writer.writeUint8(0xd0)
+		writer.writeUint8(value & 0xff)
+	} else if (value >= -0x8000) {
+		writer.writeUint8(0xd1)
+		writer.writeUint16(value & 0xffff)
+	} else {
+		writer.writeUint8(0xd2)
+		writer.writeUint32(value >>> 0)
+	}
+}
+
+/**
+ * @param {ByteWriter} writer
+ * @param {string} value
+ */
+function writeString(writer, value) {
+	// ASCII strings are written directly because `TextEncoder` has a noticeable overhead for short strings.
+	if (ASCII_PATTERN.test(value)) {
+		writeHeader(writer, value.length, [0xa0, 32], 0xd9, 0xda, 0xdb)
+		writer.writeAscii(value)
+		return
+	}
+
+	const bytes = textEncoder.encode(value)
+	writeHeader(writer, bytes.length, [0xa0, 32], 0xd9, 0xda, 0xdb)
+	writer.writeBytes(bytes)
+}
+
+/**
+ * Writes a date as a MessagePack timestamp in the 96-bit format.
+ *
+ * @param {ByteWriter} writer
+ * @param {Date} date
+ */
+function writeDate(writer, date) {
+	const time = date.getTime()
+	if (Number.isNaN(time)) {
+		throw new TypeError('Cannot encode an invalid Date')
+	}
+
+	const seconds = Math.floor(time / 1000)
+	writer.writeUint8(0xc7)
+	writer.writeUint8(12)
+	writer.writeUint8(TIMESTAMP_EXT_TYPE & 0xff)
+	writer.writeUint32((time - seconds * 1000) * 1e6)
+	writer.writeBigInt64(BigInt(seconds))
+}
+
+/**
+ * @param {ByteReader} reader
+ * @param {number} [depth] The number of arrays and objects which contain the value.
+ * @returns {unknown}
+ */
+function readValue(reader, depth = 0) {
+	const offset = reader.offset
+	const type = reader.readUint8()
+
+	if (type < 0x80) {
+		return type
+	}
+
+	if (type >= 0xe0) {
+		return type - 0x100
+	}
+
+	if (type >= 0xa0 && type <= 0xbf) {
+		return reader.readString(type & 0x1f)
+	}
+
+	if ((type >= 0x90 && type <= 0x9f) || type === 0xdc || type === 0xdd) {
+		assertDepth(reader, depth, offset)
+		const length = type === 0xdc ? reader.readUint16() : type === 0xdd ? reader.readUint32() : type & 0x0f
+		/** @type {unknown[]} */ const array = []
+
+		for (let i = 0; i < length; i++) {
+			array.push(readValue(reader, depth + 1))
+		}
+
+		return array
+	}
+
+	if ((type >= 0x80 && type <= 0x8f) || type === 0xde || type === 0xdf) {
+		assertDepth(reader, depth, offset)
+		reader.offset = offset
+		return readObject(reader, depth)
+	}
+
+	switch (type) {
+		case 0xc0: return null
+		case 0xc2: return false
+		case 0xc3: return true
+		case 0xc4: return reader.readBytes(reader.readUint8())
+		case 0xc5: return reader.readBytes(reader.readUint16())
+		case 0xc6: return reader.readBytes(reader.readUint32())
+		case 0xc7: return readExtension(reader, reader.readUint8(), offset)
+		case 0xc8: return readExtension(reader, reader.readUint16(), offset)
+		case 0xc9: return readExtension(reader, reader.readUint32(), offset)
+		case 0xca: return reader.readFloat32()
+		case 0xcb: return reader.readFloat64()
+		case 0xcc: return reader.readUint8()
+		case 0xcd: return reader.readUint16()
+		case 0xce: return reader.readUint32()
+		case 0xcf: return reader.readBigUint64()
+		case 0xd0: return reader.readInt8()
+		case 0xd1: return reader.readInt16()
+		case 0xd2: return reader.readInt32()
+		case 0xd3: return reader.readBigInt64()
+		case 0xd4: return readExtension(reader, 1, offset)
+		case 0xd5: return readExtension(reader, 2, offset)
+		case 0xd6: return readExtension(reader, 4, offset)
+		case 0xd7: return readExtension(reader, 8, offset)
+		case 0xd8: return readExtension(reader, 16, offset)
+		case 0xd9: return reader.readString(reader.readUint8())
+		case 0xda: return reader.readString(reader.readUint16())
+		case 0xdb: return reader.readString(reader.readUint32())
+		default: throw reader.error(`invalid type byte 0x${type.toString(16)}`, offset)
+	}
+}
+
+/**
+ * @param {ByteReader} reader
+ * @param {number} depth
+ * @param {number} offset The offset of the type byte.
+ */
+function assertDepth(reader, depth, offset) {
+	if (depth >= MAX_DEPTH) {
+		throw reader.error(`arrays and objects are nested deeper than ${MAX_DEPTH} levels`, offset)
+	}
+}
+
+/**
+ * Reads the header of a MessagePack map.
+ *
+ * @param {ByteReader} reader
+ * @returns {number | null} the number of entries or `null` if the next value isn’t a map.
+ */
+function readMapHeader(reader) {
+	const type = reader.readUint8()
+
+	if (type >= 0x80 && type <= 0x8f) {
+		return type & 0x0f
+	}
+
+	switch (type) {
+		case 0xde: return reader.readUint16()
+		case 0xdf: return reader.readUint32()
+		default: return null
+	}
+}
+
+/**
+ * Reads a MessagePack map with string keys as a plain object.
+ *
+ * @param {ByteReader} reader
+ * @param {number} depth The number of arrays and objects which contain the object.
+ * @returns {Record<string, unknown>}
+ */
+function readObject(reader, depth) {
+	const length = /** @type {number} */ (readMapHeader(reader))
+	/** @type {Record<string, unknown>} */ const object = {}
+
+	for (let i = 0; i < length; i++) {
+		const offset = reader.offset
+		const key = readValue(reader, depth + 1)
+
+		if (typeof key !== 'string') {
+			throw reader.error('expected a string key', offset)
+		}
+
+		// Defining the property prevents a key like `__proto__` from changing the prototype.
+		Object.defineProperty(object, key, { value: readValue(reader, depth + 1), enumerable: true, writable: true, configurable: true })
+	}
+
+	return object
+}
+
+/**
+ * @param {ByteReader} reader
+ * @param {number} length
+ * @param {number} offset The offset of the type byte.
+ * @returns {undefined | Date}
+ */
+function readExtension(reader, length, offset) {
+	const extType = reader.readInt8()
+
+	if (extType === UNDEFINED_EXT_TYPE && length === 1) {
+		reader.readUint8()
+		return undefined
+	}
+
+	if (extType === TIMESTAMP_EXT_TYPE) {
+		switch (length) {
+			case 4:
+				return new Date(reader.readUint32() * 1000)
+			case 8: {
+				const high = reader.readUint32()
+				const low = reader.readUint32()
+				const seconds = (high & 0x3) * 2 ** 32 + low
+				return new Date(seconds * 1000 + (high >>> 2) / 1e6)
+			}
+			case 12: {
+				const nanoseconds = reader.readUint32()
+				const seconds = Number(reader.readBigInt64())
+				return new Date(seconds * 1000 + nanoseconds / 1e6)
+			}
+		}
+	}
+
+	throw reader.error(`unsupported extension type ${extType} with a length of ${length}`, offset)
+}
+
+/**
+ * Checks the string tag instead of using `instanceof` so that `Uint8Array` objects from other realms (e.g. the `Buffer` objects of Node.js or arrays created in an iframe) are accepted.
+ *
+ * @param {unknown} value
+ * @returns {value is Uint8Array}
+ */
+function isUint8Array(value) {
+	return Object.prototype.toString.call(value) === '[object Uint8Array]'
+}
+
+/**
+ * @param {object} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+	const prototype = Object.getPrototypeOf(value)
+	return prototype === Object.prototype || prototype === null
+}
+
+/**
+ * A growable byte buffer.
+ */
+class ByteWriter {
+	/** @type {Uint8Array} */ _bytes
+	/** @type {DataView} */ _view
+	/** @type {number} */ length
+
+	constructor() {
+		this._bytes = new Uint8Array(256)
+		this._view = new DataView(this._bytes.buffer)
+		this.length = 0
+	}
+
+	/**
+	 * Makes room for `byteLength` more bytes and returns the offset to write them at.
+	 *
+	 * @param {number} byteLength
+	 * @returns {number}
+	 */
+	_reserve(byteLength) {
+		const offset = this.length
+
+		if (offset + byteLength > this._bytes.length) {
+			const bytes = new Uint8Array(Math.max(this._bytes.length * 2, offset + byteLength))
+			bytes.set(this._bytes)
+			this._bytes = bytes
+			this._view = new DataView(bytes.buffer)
+		}
+
+		this.length += byteLength
+
+		return offset
+	}
+
+	/** @param {number} value */
+	writeUint8(value) {
+		const offset = this._reserve(1)
+		this._bytes[offset] = value
+	}
+
+	/** @param {string} value A string consisting only of ASCII characters. */
+	writeAscii(value) {
+		const offset = this._reserve(value.length)
+
+		for (let i = 0; i < value.length; i++) {
+			this._bytes[offset + i] = value.charCodeAt(i)
+		}
+	}
+
+	/** @param {number} value */
+	writeUint16(value) {
+		const offset = this._reserve(2)
+		this._view.setUint16(offset, value)
+	}
+
+	/** @param {number} value */
+	writeUint32(value) {
+		const offset = this._reserve(4)
+		this._view.setUint32(offset, value)
+	}
+
+	/** @param {number} value */
+	writeFloat64(value) {
+		const offset = this._reserve(8)
+		this._view.setFloat64(offset, value)
+	}
+
+	/** @param {bigint} value */
+	writeBigInt64(value) {
+		const offset = this._reserve(8)
+		this._view.setBigInt64(offset, value)
+	}
+
+	/** @param {bigint} value */
+	writeBigUint64(value) {
+		const offset = this._reserve(8)
+		this._view.setBigUint64(offset, value)
+	}
+
+	/** @param {Uint8Array} bytes */
+	writeBytes(bytes) {
+		const offset = this._reserve(bytes.length)
+		this._bytes.set(bytes, offset)
+	}
+
+	/**
+	 * Overwrites four bytes which were written before.
+	 *
+	 * @param {number} offset
+	 * @param {number} value
+	 */
+	setUint32(offset, value) {
+		this._view.setUint32(offset, value)
+	}
+
+	/**
+	 * @returns {Uint8Array} a copy of the written bytes.
+	 */
+	toBytes() {
+		return this._bytes.slice(0, this.length)
+	}
+}
+
+/**
+ * Reads bytes in order and throws descriptive errors for truncated data.
+ */
+class ByteReader {
+	/** @type {Uint8Array} */ _bytes
+	/** @type {DataView} */ _view
+	/** @type {number} */ offset
+
+	/**
+	 * @param {Uint8Array} bytes
+	 */
+	constructor(bytes) {
+		this._bytes = bytes
+		this._view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+		this.offset = 0
+	}
+
+	get byteLength() {
+		return this._bytes.length
+	}
+
+	/**
+	 * Advances past `byteLength` bytes and returns the offset they start at.
+	 *
+	 * @param {number} byteLength
+	 * @returns {number}
+	 */
+	_consume(byteLength) {
+		const offset = this.offset
+
+		if (offset + byteLength > this._bytes.length) {
+			throw this.error('unexpected end of data', offset)
+		}
+
+		this.offset += byteLength
+
+		return offset
+	}
+
+	/**
+	 * @param {string} message
+	 * @param {number} offset
+	 * @returns {Error}
+	 */
+	error(message, offset) {
+		return new Error(`Cannot decode map: ${message} at byte ${offset}`)
+	}
+
+	/** @returns {number} */
+	readUint8() {
+		return /** @type {number} */ (this._bytes[this._consume(1)])
+	}
+
+	/** @returns {number} */
+	readInt8() {
+		return this._view.getInt8(this._consume(1))
+	}
+
+	/** @returns {number} */
+	readUint16() {
+		return this._view.getUint16(this._consume(2))
+	}
+
+	/** @returns {number} */
+	readInt16() {
+		return this._view.getInt16(this._consume(2))
+	}
+
+	/** @returns {number} */
+	readUint32() {
+		return this._view.getUint32(this._consume(4))
+	}
+
+	/** @returns {number} */
+	readInt32() {
+		return this._view.getInt32(this._consume(4))
+	}
+
+	/** @returns {number} */
+	readFloat32() {
+		return this._view.getFloat32(this._consume(4))
+	}
+
+	/** @returns {number} */
+	readFloat64() {
+		return this._view.getFloat64(this._consume(8))
+	}
+
+	/** @returns {bigint} */
+	readBigInt64() {
+		return this._view.getBigInt64(this._consume(8))
+	}
+
+	/** @returns {bigint} */
+	readBigUint64() {
+		return this._view.getBigUint64(this._consume(8))
+	}
+
+	/**
+	 * @param {number} byteLength
+	 * @returns {Uint8Array} a copy of the bytes.
+	 */
+	readBytes(byteLength) {
+		const offset = this._consume(byteLength)
+		return this._bytes.slice(offset, offset + byteLength)
+	}
+
+	/**
+	 * @param {number} byteLength
+	 * @returns {string}
+	 */
+	readString(byteLength) {
+		const offset = this._consume(byteLength)
+
+		if (byteLength <= MAX_ASCII_DECODE_LENGTH) {
+			let string = ''
+
+			for (let i = offset; i < offset + byteLength; i++) {
+				const byte = /** @type {number} */ (this._bytes[i])
+
+				if (byte >= 0x80) {
+					string = ''
+					break
+				}
+
+				string += String.fromCharCode(byte)
+			}
+
+			if (string.length === byteLength) {
+				return string
+			}
+		}
+
+		try {
+			return textDecoder.decode(this._bytes.subarray(offset, offset + byteLength))
+		} catch {
+			throw this.error('invalid UTF-8 in string', offset)
+		}
+	}
+}
@@ -0,0 +1,190 @@
+import { describe, expect, test } from 'vitest'
+
+import ReverseIterableMap from './reverse-iterable-map.js'
+import { decode, decodeEntries, encode } from './reverse-iterable-map-encoding.js'
+
+describe('ReverseIterableMap binary encoding', () => {
+	test('encode() and decode()', () => {
+		const map = new ReverseIterableMap([[2, 'b'], [1, 'a']]).setFirst(3, 'c')
+		const bytes = encode(map)
+
+		expect(bytes).toBeInstanceOf(Uint8Array)
+
+		const decoded = decode(bytes)
+		expect(decoded).toBeInstanceOf(ReverseIterableMap)
+		expect(decoded).not.toBe(map)
+		expect([...decoded]).toEqual([[3, 'c'], [2, 'b'], [1, 'a']])
+		expect([...decode(encode(new ReverseIterableMap()))]).toEqual([])
+	})
+
+	test('MessagePack format', () => {
+		const bytes = encode(new ReverseIterableMap([[1, 'a'], ['b', null]]))
+
+		expect([...bytes]).toEqual([
+			0x93,
+			0xb2, ...new TextEncoder().encode('ReverseIterableMap'),
+			0x01,
+			0xdf, 0x00, 0x00, 0x00, 0x02,
+			0x01, 0xa1, 0x61,
+			0xa1, 0x62, 0xc0,
+		])
+	})
+
+	test('Keys and values of all supported types', () => {
+		const entries = [
+			[undefined, null],
+			[true, false],
+			[0, -0],
+			[127, 128],
+			[255, 256],
+			[65535, 65536],
+			[2 ** 32 - 1, 2 ** 32],
+			[-1, -32],
+			[-33, -128],
+			[-129, -32768],
+			[-32769, -(2 ** 31)],
+			[-(2 ** 31) - 1, 0.5],
+			[NaN, Infinity],
+			[Number.MAX_SAFE_INTEGER, -Infinity],
+			[10n, -(2n ** 63n)],
+			[2n ** 64n - 1n, 0n],
+			['', 'ü€😀'],
+			['a'.repeat(31), 'b'.repeat(32)],
+			['c'.repeat(256), 'd'.repeat(70000)],
+			[new Uint8Array([1, 2, 3]), new Uint8Array(300)],
+			[new Date('2024-01-01T12:34:56.789Z'), new Date(-1)],
+			[[1, [2, 'x']], Array.from({ length: 20 }, (_, index) => index)],
+			[{ a: 1, b: { c: [undefined] } }, Object.fromEntries(Array.from({ length: 20 }, (_, index) => [`key${index}`, index]))],
+		]
+		const map = new ReverseIterableMap(entries)
+
+		expect([...decode(encode(map))]).toEqual(entries)
+		expect(Object.is(decode(encode(map)).get(0), -0)).toBe(true)
+	})
+
+	test('Many elements', () => {
+		const map = new ReverseIterableMap(Array.from({ length: 10000 }, (_, index) => [index, `value ${index}`]))
+		const bytes = encode(map)
+
+		expect(bytes.length).toBeLessThan(JSON.stringify(map).length)
+		expect([...decode(bytes)]).toEqual([...map])
+	})
+
+	test('Values which can’t be encoded', () => {
+		expect(() => encode(new ReverseIterableMap([[1, new Map()]]))).toThrowError(TypeError('Cannot encode [object Map]. Use a codec to encode it.'))
+		expect(() => encode(new ReverseIterableMap([[Symbol('key'), 1]]))).toThrowError(TypeError('Cannot encode values of type symbol. Use a codec to encode them.'))
+		expect(() => encode(new ReverseIterableMap([[1, new Date(NaN)]]))).toThrowError(TypeError('Cannot encode an invalid Date'))
+		expect(() => encode(new ReverseIterableMap([[2n ** 64n, 1]]))).toThrowError(RangeError)
+
+		/** @type {unknown[]} */ const cyclicArray = []
+		cyclicArray.push([cyclicArray])
+		/** @type {Record<string, unknown>} */ const cyclicObject = {}
+		cyclicObject.self = cyclicObject
+		expect(() => encode(new ReverseIterableMap([[1, cyclicArray]]))).toThrowError(TypeError('Cannot encode a value which contains itself'))
+		expect(() => encode(new ReverseIterableMap([[cyclicObject, 1]]))).toThrowError(TypeError('Cannot encode a value which contains itself'))
+
+		const shared = { a: 1 }
+		expect([...decode(encode(new ReverseIterableMap([[1, [shared, shared]]])))]).toEqual([[1, [shared, shared]]])
+
+		/** @type {unknown} */ let nested = 1
+		for (let i = 0; i < 512; i++) {
+			nested = [nested]
+		}
+		expect([...decode(encode(new ReverseIterableMap([[1, nested]])))]).toEqual([[1, nested]])
+		expect(() => encode(new ReverseIterableMap([[1, [nested]]]))).toThrowError(RangeError('Cannot encode arrays and objects nested deeper than 512 levels'))
+	})
+
+	test('Key and value codecs', () => {
+		/** @type {import('./reverse-iterable-map-encoding.js').Codec<ReverseIterableMap<string, number>>} */
+		const mapCodec = {
+			encode: (map) => encode(map),
+			decode: (bytes) => decode(bytes),
+		}
+		/** @type {import('./reverse-iterable-map-encoding.js').Codec<Set<string>>} */
+		const setCodec = {
+			encode: (set) => new TextEncoder().encode([...set].join(',')),
+			decode: (bytes) => new Set(new TextDecoder().decode(bytes).split(',')),
+		}
+		const options = { keyCodec: setCodec, valueCodec: mapCodec }
+		const map = new ReverseIterableMap([
+			[new Set(['a', 'b']), new ReverseIterableMap([['x', 1]])],
+			[new Set(['c']), new ReverseIterableMap([['y', 2], ['z', 3]])],
+		])
+
+		const decoded = decode(encode(map, options), options)
+		expect([...decoded.keys()]).toEqual([new Set(['a', 'b']), new Set(['c'])])
+		expect([...decoded.values()].map((value) => [...value])).toEqual([[['x', 1]], [['y', 2], ['z', 3]]])
+
+		expect(() => decode(encode(new ReverseIterableMap([[1, 2]])), options)).toThrowError('Cannot decode map: expected binary data for the codec at byte 26')
+		// @ts-expect-error because the codec deliberately returns a string instead of a Uint8Array
+		expect(() => encode(map, { keyCodec: { encode: () => 'abc', decode: () => new Set() } })).toThrowError(TypeError('keyCodec.encode() must return a Uint8Array'))
+	})
+
+	test('decodeEntries()', () => {
+		const bytes = encode(new ReverseIterableMap([[1, 'a'], [2, 'b'], [3, 'c']]))
+		const iterator = decodeEntries(bytes)
+
+		expect(iterator.next()).toEqual({ value: [1, 'a'], done: false })
+		expect([...iterator]).toEqual([[2, 'b'], [3, 'c']])
+		expect(iterator.next()).toEqual({ value: undefined, done: true })
+
+		const truncatedIterator = decodeEntries(bytes.subarray(0, bytes.length - 1))
+		expect(truncatedIterator.next().value).toEqual([1, 'a'])
+		expect(truncatedIterator.next().value).toEqual([2, 'b'])
+		expect(() => truncatedIterator.next()).toThrowError('Cannot decode map: unexpected end of data at byte 34')
+	})
+
+	test('Corrupt and truncated data throw descriptive errors', () => {
+		const bytes = encode(new ReverseIterableMap([[1, 'a'], [2, 'b']]))
+
+		/**
+		 * @param {number[]} changes pairs of offsets and new bytes.
+		 * @returns {Uint8Array}
+		 */
+		function corrupt(...changes) {
+			const copy = bytes.slice()
+			for (let i = 0; i < changes.length; i += 2) {
+				copy[/** @type {number} */ (changes[i])] = /** @type {number} */ (changes[i + 1])
+			}
+			return copy
+		}
+
+		// @ts-expect-error because this is a deliberately wrong call
+		expect(() => decode([1, 2])).toThrowError(TypeError('bytes must be a Uint8Array'))
+		expect(() => decode(new Uint8Array())).toThrowError('Cannot decode map: the data is not an encoded ReverseIterableMap at byte 0')
+		expect(() => decode(new TextEncoder().encode('[[1,"a"]]'))).toThrowError('Cannot decode map: the data is not an encoded ReverseIterableMap at byte 0')
+		expect(() => decode(corrupt(5, 0x78))).toThrowError('Cannot decode map: the data is not an encoded ReverseIterableMap at byte 0')
+		expect(() => decode(corrupt(20, 0x02))).toThrowError('Cannot decode map: unsupported format version 2 at byte 20')
+		expect(() => decode(corrupt(21, 0x90))).toThrowError('Cannot decode map: expected a map of entries at byte 21')
+		expect(() => decode(corrupt(26, 0xc1))).toThrowError('Cannot decode map: invalid type byte 0xc1 at byte 26')
+		expect(() => decode(corrupt(27, 0xa5))).toThrowError('Cannot decode map: unexpected end of data at byte 28')
+		expect(() => decode(corrupt(28, 0xff))).toThrowError('Cannot decode map: invalid UTF-8 in string at byte 28')
+		expect(() => decode(corrupt(26, 0xd4, 27, 0x05))).toThrowError('Cannot decode map: unsupported extension type 5 with a length of 1 at byte 26')
+		expect(() => decode(corrupt(25, 0x03))).toThrowError('Cannot decode map: unexpected end of data at byte 32')
+		expect(() => decode(new Uint8Array([...bytes, 0xc0]))).toThrowError('Cannot decode map: unexpected data after the last entry at byte 32')
+		expect(() => decode(bytes.subarray(0, 10))).toThrowError('Cannot decode map: unexpected end of data at byte 2')
+
+		const deeplyNested = new Uint8Array([...bytes.subarray(0, 26), ...new Uint8Array(200000).fill(0x91)])
+		expect(() => decode(deeplyNested)).toThrowError('Cannot decode map: arrays and objects are nested deeper than 512 levels at byte 538')
+		const deeplyNestedKeys = new Uint8Array([...bytes.subarray(0, 26), ...new Uint8Array(200000).fill(0x81)])
+		expect(() => decode(deeplyNestedKeys)).toThrowError('Cannot decode map: arrays and objects are nested deeper than 512 levels at byte 538')
+	})
+
+	test('Data from other MessagePack encoders', () => {
+		const bytes = new Uint8Array([
+			0x93,
+			0xd9, 0x12, ...new TextEncoder().encode('ReverseIterableMap'),
+			0x01,
+			0x83,
+			0xca, 0x3f, 0xc0, 0x00, 0x00, 0xd0, 0x80,
+			0xd6, 0xff, 0x00, 0x00, 0x00, 0x01, 0xd7, 0xff, 0x00, 0x3d, 0x09, 0x00, 0x00, 0x00, 0x00, 0x02,
+			0xd2, 0xff, 0xff, 0xff, 0xff, 0xd1, 0x00, 0x01,
+		])
+
+		expect([...decode(bytes)]).toEqual([
+			[1.5, -128],
+			[new Date(1000), new Date(2001)],
+			[-1, 1],
+		])
+	})
+})
@@ -0,0 +1,206 @@
+/**
+ * @template K
+ * @template V
+ * @typedef {import('./reverse-iterable-map.js').default<K, V>} ReverseIterableMap
+ */
+/**
+ * @template K
+ * @template V
+ * @typedef {import('./reverse-iterable-map.js').ChangeRecord<K, V>} ChangeRecord
+ */
+
+/**
+ * @typedef {object} HistoryOptions
+ * @property {number} [depth] The maximum number of undo steps. Older steps are discarded. Defaults to `100`.
+ */
+
+/**
+ * An undo/redo history of the changes to a `ReverseIterableMap` object.
+ *
+ * Each notification of the map’s change listeners becomes one undo step. Changes made within `map.batch()` or `map.transaction()` are therefore undone together. Undoing and redoing restores keys, values and order by calling the map’s own methods. An `LruReverseIterableMap` doesn’t evict elements while doing so.
+ *
+ * @template K
+ * @template V
+ */
+export default class ReverseIterableMapHistory {
+	/** @type {ReverseIterableMap<K, V>} */ _map
+	/** @type {number} */ _depth
+	/** @type {ChangeRecord<K, V>[][]} */ _undoSteps
+	/** @type {ChangeRecord<K, V>[][]} */ _redoSteps
+	/** @type {'undo' | 'redo' | null} */ _applying
+	/** @type {() => void} */ _unsubscribe
+
+	/**
+	 * @param {ReverseIterableMap<K, V>} map The map whose changes to record.
+	 * @param {HistoryOptions} [options]
+	 * @throws {RangeError} if `depth` is not a non-negative integer.
+	 */
+	constructor(map, { depth = 100 } = {}) {
+		if (!(Number.isInteger(depth) && depth >= 0) && depth !== Infinity) {
+			throw new RangeError('depth must be a non-negative integer')
+		}
+
+		this._map = map
+		this._depth = depth
+		this._undoSteps = []
+		this._redoSteps = []
+		this._applying = null
+		this._unsubscribe = map.subscribe((records) => this._record(records))
+	}
+
+	get [Symbol.toStringTag]() {
+		return 'ReverseIterableMapHistory'
+	}
+
+	/**
+	 * Whether there is a step to undo.
+	 *
+	 * @returns {boolean}
+	 */
+	get canUndo() {
+		return this._undoSteps.length > 0
+	}
+
+	/**
+	 * Whether there is a step to redo.
+	 *
+	 * @returns {boolean}
+	 */
+	get canRedo() {
+		return this._redoSteps.length > 0
+	}
+
+	/**
+	 * Reverts the most recent undo step.
+	 *
+	 * @returns {boolean} `true` if a step was undone, `false` if there was none.
+	 */
+	undo() {
+		return this._apply(this._undoSteps, 'undo')
+	}
+
+	/**
+	 * Reapplies the most recently undone step. Making another change to the map discards the steps which can be redone.
+	 *
+	 * @returns {boolean} `true` if a step was redone, `false` if there was none.
+	 */
+	redo() {
+		return this._apply(this._redoSteps, 'redo')
+	}
+
+	/**
+	 * Discards all undo and redo steps.
+	 */
+	clear() {
+		this._undoSteps = []
+		this._redoSteps = []
+	}
+
+	/**
+	 * Stops recording changes and discards all steps.
+	 */
+	dispose() {
+		this._unsubscribe()
+		this.clear()
+	}
+
+	/**
+	 * @param {ChangeRecord<K, V>[]} records
+	 */
+	_record(records) {
+		if (this._applying === 'undo') {
+			this._redoSteps.push(records)
+			return
+		}
+
+		if (this._applying === null) {
+			this._redoSteps = []
+		}
+
+		this._undoSteps.push(records)
+
+		if (this._undoSteps.length > this._depth) {
+			this._undoSteps.shift()
+		}
+	}
+
+	/**
+	 * Reverts the last step of `steps`. The changes made while doing so are recorded as the opposite step.
+	 *
+	 * @param {ChangeRecord<K, V>[][]} steps
+	 * @param {'undo' | 'redo'} applying
+	 * @returns {boolean}
+	 */
+	_apply(steps, applying) {
+		const records = steps.pop()
+
+		if (records === undefined) {
+			return false
+		}
+
+		if (this._map._pendingRecords !== null) {
+			steps.push(records)
+			throw new Error(`cannot ${applying} during map.batch() or map.transaction()`)
+		}
+
+		this._applying = applying
+		// Lets subclasses skip side effects like evictions which would keep the map from returning to its previous state.
+		this._map._replaying = true
+		let committed = false
+
+		try {
+			this._map.transaction(() => {
+				for (let i = records.length - 1; i >= 0; i--) {
+					this._revert(/** @type {ChangeRecord<K, V>} */ (records[i]))
+				}
+
+				committed = true
+			})
+		} catch (error) {
+			// Errors of change listeners are thrown after the step was applied and recorded as the opposite step.
+			if (!committed) {
+				steps.push(records)
+			}
+
+			throw error
+		} finally {
+			this._applying = null
+			this._map._replaying = false
+		}
+
+		return true
+	}
+
+	/**
+	 * @param {ChangeRecord<K, V>} record
+	 */
+	_revert(record) {
+		const map = this._map
+
+		switch (record.type) {
+			case 'insert':
+				map.delete(record.key)
+				break
+			case 'update':
+				map.set(record.key, record.previousValue)
+				break
+			case 'move':
+				map._moveToIndex(record.key, record.previousIndex)
+				break
+			case 'delete':
+				map.set(record.key, record.previousValue)
+				map._moveToIndex(record.key, record.previousIndex)
+				break
+			case 'clear':
+				for (const [key, value] of record.previousEntries) {
+					map.set(key, value)
+				}
+				break
+			case 'sort': {
+				const indices = new Map(record.previousKeys.map((key, index) => [key, index]))
+				map.sort(([a], [b]) => /** @type {number} */ (indices.get(a)) - /** @type {number} */ (indices.get(b)))
+				break
+			}
+		}
+	}
+}
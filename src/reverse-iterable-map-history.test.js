@@ -0,0 +1,185 @@
+import { describe, expect, test } from 'vitest'
+
+import ReverseIterableMap from './reverse-iterable-map.js'
+import ReverseIterableMapHistory from './reverse-iterable-map-history.js'
+import SortedReverseIterableMap from './sorted-reverse-iterable-map.js'
+
+describe('ReverseIterableMapHistory', () => {
+	test('new ReverseIterableMapHistory(map)', () => {
+		const map = new ReverseIterableMap()
+		const history = new ReverseIterableMapHistory(map)
+
+		expect(history).toBeInstanceOf(ReverseIterableMapHistory)
+		expect(history.toString()).toBe('[object ReverseIterableMapHistory]')
+		expect(history.canUndo).toBe(false)
+		expect(history.canRedo).toBe(false)
+		expect(history.undo()).toBe(false)
+		expect(history.redo()).toBe(false)
+		expect(() => new ReverseIterableMapHistory(map, { depth: -1 })).toThrowError(RangeError('depth must be a non-negative integer'))
+	})
+
+	test('Undo and redo inserts, updates and deletes', () => {
+		const map = new ReverseIterableMap([[0, 'a'], [1, 'b'], [2, 'c']])
+		const history = new ReverseIterableMapHistory(map)
+
+		map.set(3, 'd')
+		map.set(0, 'alpha')
+		map.delete(1)
+		map.setFirst(4, 'e')
+		expect([...map]).toEqual([[4, 'e'], [0, 'alpha'], [2, 'c'], [3, 'd']])
+
+		expect(history.undo()).toBe(true)
+		expect([...map]).toEqual([[0, 'alpha'], [2, 'c'], [3, 'd']])
+		history.undo()
+		expect([...map]).toEqual([[0, 'alpha'], [1, 'b'], [2, 'c'], [3, 'd']])
+		history.undo()
+		history.undo()
+		expect([...map]).toEqual([[0, 'a'], [1, 'b'], [2, 'c']])
+		expect(history.canUndo).toBe(false)
+		expect(history.canRedo).toBe(true)
+
+		history.redo()
+		history.redo()
+		history.redo()
+		expect([...map]).toEqual([[0, 'alpha'], [2, 'c'], [3, 'd']])
+		history.redo()
+		expect([...map]).toEqual([[4, 'e'], [0, 'alpha'], [2, 'c'], [3, 'd']])
+		expect(history.canRedo).toBe(false)
+	})
+
+	test('Undo and redo moves, clear and sort', () => {
+		const map = new ReverseIterableMap([[0, 'a'], [1, 'b'], [2, 'c'], [3, 'd']])
+		const history = new ReverseIterableMapHistory(map)
+
+		map.moveToFront(3)
+		map.moveAfter(2, 0)
+		map.insertBefore(3, 1, 'beta')
+		expect([...map.keys()]).toEqual([1, 3, 2, 0])
+
+		map.sort()
+		map.clear()
+
+		history.undo()
+		expect([...map.keys()]).toEqual([0, 1, 2, 3])
+		history.undo()
+		expect([...map]).toEqual([[1, 'beta'], [3, 'd'], [2, 'c'], [0, 'a']])
+		history.undo()
+		history.undo()
+		history.undo()
+		expect([...map]).toEqual([[0, 'a'], [1, 'b'], [2, 'c'], [3, 'd']])
+
+		while (history.redo()) {}
+		expect(map.size).toBe(0)
+
+		history.undo()
+		history.undo()
+		expect([...map]).toEqual([[1, 'beta'], [3, 'd'], [2, 'c'], [0, 'a']])
+	})
+
+	test('Grouping with map.batch() and map.transaction()', () => {
+		const map = new ReverseIterableMap([[0, 'a']])
+		const history = new ReverseIterableMapHistory(map)
+
+		map.batch(() => {
+			map.set(1, 'b')
+			map.set(2, 'c')
+		})
+		map.transaction(() => {
+			map.delete(0)
+			map.shift()
+		})
+		expect([...map.keys()]).toEqual([2])
+
+		history.undo()
+		expect([...map.keys()]).toEqual([0, 1, 2])
+		history.undo()
+		expect([...map.keys()]).toEqual([0])
+		expect(history.canUndo).toBe(false)
+	})
+
+	test('A new change discards the redo steps', () => {
+		const map = new ReverseIterableMap()
+		const history = new ReverseIterableMapHistory(map)
+
+		map.set(0, 'a')
+		map.set(1, 'b')
+		history.undo()
+		expect(history.canRedo).toBe(true)
+
+		map.set(2, 'c')
+		expect(history.canRedo).toBe(false)
+		expect(history.redo()).toBe(false)
+		expect([...map.keys()]).toEqual([0, 2])
+	})
+
+	test('Depth', () => {
+		const map = new ReverseIterableMap()
+		const history = new ReverseIterableMapHistory(map, { depth: 2 })
+
+		map.set(0, 'a').set(1, 'b').set(2, 'c')
+
+		expect(history.undo()).toBe(true)
+		expect(history.undo()).toBe(true)
+		expect(history.undo()).toBe(false)
+		expect([...map.keys()]).toEqual([0])
+	})
+
+	test('history.clear() and history.dispose()', () => {
+		const map = new ReverseIterableMap()
+		const history = new ReverseIterableMapHistory(map)
+
+		map.set(0, 'a')
+		history.clear()
+		expect(history.canUndo).toBe(false)
+
+		map.set(1, 'b')
+		history.dispose()
+		map.set(2, 'c')
+		expect(history.canUndo).toBe(false)
+		expect(history.undo()).toBe(false)
+	})
+
+	test('Undoing within map.batch() throws', () => {
+		const map = new ReverseIterableMap()
+		const history = new ReverseIterableMapHistory(map)
+
+		map.set(0, 'a')
+		expect(() => map.batch(() => history.undo())).toThrowError('cannot undo during map.batch() or map.transaction()')
+		expect(history.canUndo).toBe(true)
+		expect(history.undo()).toBe(true)
+		expect(map.size).toBe(0)
+	})
+
+	test('Undoing with a throwing change listener', () => {
+		const map = new ReverseIterableMap([[1, 1]])
+		const history = new ReverseIterableMapHistory(map)
+
+		map.set(2, 2)
+		const unsubscribe = map.subscribe(() => {
+			throw new Error('listener failed')
+		})
+
+		expect(() => history.undo()).toThrowError('listener failed')
+		expect([...map.keys()]).toEqual([1])
+		expect(history.canUndo).toBe(false)
+		expect(history.canRedo).toBe(true)
+
+		unsubscribe()
+		expect(history.redo()).toBe(true)
+		expect([...map.keys()]).toEqual([1, 2])
+		expect(history.canUndo).toBe(true)
+		expect(history.canRedo).toBe(false)
+	})
+
+	test('History of a SortedReverseIterableMap', () => {
+		const map = new SortedReverseIterableMap({}, [[1, 'a'], [3, 'c']])
+		const history = new ReverseIterableMapHistory(map)
+
+		map.set(2, 'b')
+		map.delete(1)
+		history.undo()
+		history.undo()
+		history.redo()
+		expect([...map]).toEqual([[1, 'a'], [2, 'b'], [3, 'c']])
+	})
+})
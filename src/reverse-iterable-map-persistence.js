@@ -0,0 +1,527 @@
+/**
+ * @template K
+ * @template V
+ * @typedef {import('./reverse-iterable-map.js').default<K, V>} ReverseIterableMap
+ */
+/**
+ * @template K
+ * @template V
+ * @typedef {import('./reverse-iterable-map.js').ChangeRecord<K, V>} ChangeRecord
+ */
+
+/**
+ * A key-value storage like `localStorage`, IndexedDB or a directory of files. Each method may return a promise.
+ *
+ * @typedef {object} StorageAdapter
+ * @property {(key: string) => unknown} get Returns the value stored under `key` or `undefined`/`null` if there is none.
+ * @property {(key: string, value: any) => unknown} set Stores `value` under `key`.
+ * @property {(key: string) => unknown} delete Removes the value stored under `key`.
+ */
+
+/**
+ * @typedef {object} PersistenceOptions
+ * @property {string} [prefix] The prefix of all storage keys. Use different prefixes to store several maps in the same storage. Defaults to `'reverse-iterable-map'`.
+ * @property {number} [flushDelay] The number of milliseconds to wait after a change before writing it. Further changes within that time restart the wait and are written together. Defaults to `0` which writes changes right away.
+ * @property {(error: unknown) => void} onError Function that gets passed errors of writes which weren’t started by calling `flush()`. It’s required because these writes happen in the background where nothing else could handle their errors. The next flush retries the failed writes.
+ */
+
+/**
+ * The stored state of a map. The elements are stored as a doubly linked list of `StoredElement` objects.
+ *
+ * @typedef {object} StoredMeta
+ * @property {number} version
+ * @property {number | null} first The ID of the first element.
+ * @property {number | null} last The ID of the last element.
+ * @property {number} nextId The ID of the next element to be stored.
+ */
+
+/**
+ * @template K
+ * @template V
+ * @typedef {object} StoredElement
+ * @property {K} key
+ * @property {V} value
+ * @property {number | null} prev The ID of the previous element.
+ * @property {number | null} next The ID of the next element.
+ */
+
+/**
+ * The links of a stored element as last written.
+ *
+ * @template K
+ * @typedef {object} StoredLinks
+ * @property {K} key
+ * @property {number | null} prev
+ * @property {number | null} next
+ */
+
+/**
+ * The version of the storage layout.
+ */
+const STORAGE_VERSION = 1
+
+/**
+ * Persists a `ReverseIterableMap` object to a storage. Use `persist()` to create it.
+ *
+ * Each element is stored under its own key together with the IDs of its neighbors. A change therefore only writes the changed elements, their neighbors and a small record pointing at the first and last element instead of the whole map.
+ *
+ * @template K
+ * @template V
+ */
+export default class ReverseIterableMapPersistence {
+	/** @type {ReverseIterableMap<K, V>} */ _map
+	/** @type {StorageAdapter} */ _adapter
+	/** @type {string} */ _prefix
+	/** @type {number} */ _flushDelay
+	/** @type {(error: unknown) => void} */ _onError
+	/** @type {Map<K, number>} */ _ids
+	/** @type {Map<number, StoredLinks<K>>} */ _links
+	/** @type {StoredMeta} */ _meta
+	/** @type {number} */ _nextId
+	/** @type {Map<string, StoredMeta | StoredElement<K, V> | undefined>} */ _pendingWrites
+	/** @type {Promise<void> | null} */ _writing
+	/** @type {ReturnType<typeof setTimeout> | null} */ _timer
+	/** @type {(() => void) | null} */ _unsubscribe
+
+	/**
+	 * @param {ReverseIterableMap<K, V>} map
+	 * @param {StorageAdapter} adapter
+	 * @param {PersistenceOptions} options
+	 */
+	constructor(map, adapter, options) {
+		if (typeof adapter !== 'object' || adapter === null || typeof adapter.get !== 'function' || typeof adapter.set !== 'function' || typeof adapter.delete !== 'function') {
+			throw new TypeError('adapter must have get(), set() and delete() methods')
+		}
+
+		if (typeof options?.onError !== 'function') {
+			throw new TypeError('onError must be a function')
+		}
+
+		const { prefix = 'reverse-iterable-map', flushDelay = 0, onError } = options
+
+		if (!(Number.isFinite(flushDelay) && flushDelay >= 0)) {
+			throw new RangeError('flushDelay must be a non-negative number')
+		}
+
+		this._map = map
+		this._adapter = adapter
+		this._prefix = prefix
+		this._flushDelay = flushDelay
+		this._onError = onError
+		this._ids = new Map()
+		this._links = new Map()
+		this._meta = { version: STORAGE_VERSION, first: null, last: null, nextId: 0 }
+		this._nextId = 0
+		this._pendingWrites = new Map()
+		this._writing = null
+		this._timer = null
+		this._unsubscribe = null
+	}
+
+	get [Symbol.toStringTag]() {
+		return 'ReverseIterableMapPersistence'
+	}
+
+	/**
+	 * Whether there are changes which haven’t been passed to the storage yet.
+	 *
+	 * @returns {boolean}
+	 */
+	get hasPendingWrites() {
+		return this._pendingWrites.size > 0
+	}
+
+	/**
+	 * Passes all pending changes to the storage right away. Writes which fail are pending again afterwards.
+	 *
+	 * @returns {Promise<void>} a promise which resolves once the storage finished all writes, including the ones of earlier flushes.
+	 */
+	flush() {
+		this._cancelTimer()
+
+		const writes = this._pendingWrites
+		this._pendingWrites = new Map()
+
+		// If writes of earlier flushes are in progress, the writes start once they settled so that writes to the same storage key land in order.
+		const result = this._writing === null ? this._write(writes) : this._writing.then(() => this._write(writes))
+
+		if (result === null) {
+			return Promise.resolve()
+		}
+
+		// Errors are reported by the returned promise. Later flushes only wait for the writes to settle.
+		const promise = result.then(() => {})
+		const writing = result.then(() => {}, () => {}).then(() => {
+			if (this._writing === writing) {
+				this._writing = null
+			}
+		})
+		this._writing = writing
+
+		return promise
+	}
+
+	/**
+	 * Stops persisting changes and writes the pending ones.
+	 *
+	 * @returns {Promise<void>} a promise which resolves once the storage finished all writes.
+	 */
+	dispose() {
+		if (this._unsubscribe !== null) {
+			this._unsubscribe()
+			this._unsubscribe = null
+		}
+
+		return this.flush()
+	}
+
+	/**
+	 * Replaces the elements of the map with the stored ones or, if there are none, stores the elements of the map. Afterwards, changes to the map are persisted.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async _load() {
+		const metaKey = this._getStorageKey('meta')
+		const meta = await this._adapter.get(metaKey)
+		const isStored = meta !== undefined && meta !== null
+
+		if (isStored) {
+			if (!isStoredMeta(meta)) {
+				throw new Error(`Cannot load map: the value stored under "${metaKey}" is not a map`)
+			}
+
+			if (meta.version !== STORAGE_VERSION) {
+				throw new Error(`Cannot load map: unsupported storage version ${meta.version}`)
+			}
+
+			/** @type {[K, V][]} */ const entries = []
+
+			for (const [id, element] of await this._loadElements(meta)) {
+				if (this._ids.has(element.key)) {
+					throw new Error(`Cannot load map: the key of the element with ID ${id} is stored twice`)
+				}
+
+				this._ids.set(element.key, id)
+				this._links.set(id, { key: element.key, prev: element.prev, next: element.next })
+				entries.push([element.key, element.value])
+			}
+
+			this._meta = { version: STORAGE_VERSION, first: meta.first, last: meta.last, nextId: meta.nextId }
+			this._nextId = meta.nextId
+
+			this._map.batch(() => {
+				this._map.clear()
+
+				for (const [key, value] of entries) {
+					this._map.set(key, value)
+				}
+			})
+		}
+
+		// Writes whatever differs between the map and the storage, e.g. all elements if nothing was stored or elements which a `SortedReverseIterableMap` object reordered.
+		this._sync(new Set([...this._ids.keys(), ...this._map.keys()]), new Set(isStored ? [] : this._map.keys()))
+		this._unsubscribe = this._map.subscribe((records) => this._record(records))
+
+		await this.flush()
+	}
+
+	/**
+	 * @param {StoredMeta} meta
+	 * @returns {Promise<[number, StoredElement<K, V>][]>} the stored elements in order.
+	 */
+	async _loadElements(meta) {
+		/** @type {[number, StoredElement<K, V>][]} */ const elements = []
+		/** @type {Set<number>} */ const visitedIds = new Set()
+		/** @type {number | null} */ let prevId = null
+
+		for (let id = meta.first; id !== null;) {
+			if (visitedIds.has(id)) {
+				throw new Error(`Cannot load map: the element with ID ${id} is linked twice`)
+			}
+
+			const element = await this._adapter.get(this._getStorageKey(id))
+
+			if (!isStoredElement(element) || element.prev !== prevId) {
+				throw new Error(`Cannot load map: the element with ID ${id} is missing or corrupt`)
+			}
+
+			visitedIds.add(id)
+			elements.push([id, /** @type {StoredElement<K, V>} */ (element)])
+			prevId = id
+			id = element.next
+		}
+
+		if (prevId !== meta.last) {
+			throw new Error('Cannot load map: the last element doesn’t match the stored map')
+		}
+
+		return elements
+	}
+
+	/**
+	 * @param {ChangeRecord<K, V>[]} records
+	 */
+	_record(records) {
+		/** @type {Set<K>} */ const dirtyKeys = new Set()
+		/** @type {Set<K>} */ const changedValueKeys = new Set()
+
+		for (const record of records) {
+			switch (record.type) {
+				case 'clear':
+					for (const key of this._ids.keys()) {
+						dirtyKeys.add(key)
+					}
+					break
+				case 'sort':
+					for (const key of record.previousKeys) {
+						dirtyKeys.add(key)
+					}
+					break
+				case 'insert':
+				case 'update':
+					changedValueKeys.add(record.key)
+					dirtyKeys.add(record.key)
+					break
+				default:
+					dirtyKeys.add(record.key)
+			}
+		}
+
+		this._sync(dirtyKeys, changedValueKeys)
+
+		if (this._pendingWrites.size === 0) {
+			return
+		}
+
+		if (this._flushDelay === 0) {
+			this._autoFlush()
+		} else {
+			this._cancelTimer()
+			this._timer = setTimeout(() => this._autoFlush(), this._flushDelay)
+		}
+	}
+
+	/**
+	 * Compares the map with the stored links of the given keys and their neighbors and adds the necessary writes to the pending ones.
+	 *
+	 * @param {Set<K>} dirtyKeys The keys of the elements which may have changed.
+	 * @param {Set<K>} changedValueKeys The keys of the elements whose value changed.
+	 */
+	_sync(dirtyKeys, changedValueKeys) {
+		const map = this._map
+		/** @type {Set<K>} */ const keys = new Set()
+
+		for (const key of dirtyKeys) {
+			keys.add(key)
+
+			// The stored neighbors of an element which was removed or moved need new links.
+			const id = this._ids.get(key)
+			const links = id !== undefined ? this._links.get(id) : undefined
+			if (links !== undefined) {
+				this._addKeyOfId(keys, links.prev)
+				this._addKeyOfId(keys, links.next)
+			}
+
+			// So do the new neighbors of an element which was added or moved.
+			const node = map._map.get(key)
+			if (node !== undefined) {
+				if (node.prevNode !== null) {
+					keys.add(node.prevNode.key)
+				}
+
+				if (node.nextNode !== null) {
+					keys.add(node.nextNode.key)
+				}
+			}
+		}
+
+		for (const key of keys) {
+			if (!map._map.has(key)) {
+				this._deleteElement(key)
+			} else if (!this._ids.has(key)) {
+				this._ids.set(key, this._nextId++)
+			}
+		}
+
+		for (const key of keys) {
+			const node = map._map.get(key)
+			if (node === undefined) {
+				continue
+			}
+
+			const id = /** @type {number} */ (this._ids.get(key))
+			const prev = node.prevNode !== null ? /** @type {number} */ (this._ids.get(node.prevNode.key)) : null
+			const next = node.nextNode !== null ? /** @type {number} */ (this._ids.get(node.nextNode.key)) : null
+			const links = this._links.get(id)
+
+			if (links === undefined || links.prev !== prev || links.next !== next || changedValueKeys.has(key)) {
+				this._links.set(id, { key, prev, next })
+				this._pendingWrites.set(this._getStorageKey(id), { key, value: node.value, prev, next })
+			}
+		}
+
+		const first = map._firstNode !== null ? /** @type {number} */ (this._ids.get(map._firstNode.key)) : null
+		const last = map._lastNode !== null ? /** @type {number} */ (this._ids.get(map._lastNode.key)) : null
+
+		if (first !== this._meta.first || last !== this._meta.last || this._nextId !== this._meta.nextId) {
+			this._meta = { version: STORAGE_VERSION, first, last, nextId: this._nextId }
+			this._pendingWrites.set(this._getStorageKey('meta'), this._meta)
+		}
+	}
+
+	/**
+	 * @param {Set<K>} keys
+	 * @param {number | null} id
+	 */
+	_addKeyOfId(keys, id) {
+		const links = id !== null ? this._links.get(id) : undefined
+
+		if (links !== undefined) {
+			keys.add(links.key)
+		}
+	}
+
+	/**
+	 * @param {K} key
+	 */
+	_deleteElement(key) {
+		const id = this._ids.get(key)
+
+		if (id !== undefined) {
+			this._ids.delete(key)
+			this._links.delete(id)
+			this._pendingWrites.set(this._getStorageKey(id), undefined)
+		}
+	}
+
+	/**
+	 * @param {Map<string, StoredMeta | StoredElement<K, V> | undefined>} writes
+	 * @returns {Promise<void> | null} a promise which settles once the storage finished the writes or `null` if it finished them synchronously.
+	 */
+	_write(writes) {
+		/** @type {unknown[]} */ const results = []
+		let isAsynchronous = false
+
+		for (const [storageKey, value] of writes) {
+			try {
+				const result = value === undefined ? this._adapter.delete(storageKey) : this._adapter.set(storageKey, value)
+
+				if (isPromiseLike(result)) {
+					results.push(Promise.resolve(result).catch((error) => {
+						this._retryWrite(storageKey, value)
+						throw error
+					}))
+					isAsynchronous = true
+				}
+			} catch (error) {
+				this._retryWrite(storageKey, value)
+				results.push(Promise.reject(error))
+				isAsynchronous = true
+			}
+		}
+
+		return isAsynchronous ? Promise.all(results).then(() => {}) : null
+	}
+
+	/**
+	 * Adds a failed write to the pending ones again so that the next flush retries it. The write is based on the current state of the map and skipped if a newer write to the same storage key is pending.
+	 *
+	 * @param {string} storageKey
+	 * @param {StoredMeta | StoredElement<K, V> | undefined} value
+	 */
+	_retryWrite(storageKey, value) {
+		if (this._pendingWrites.has(storageKey)) {
+			return
+		}
+
+		if (value === undefined) {
+			// IDs aren’t reused, so the deleted element stays deleted.
+			this._pendingWrites.set(storageKey, undefined)
+		} else if ('version' in value) {
+			this._pendingWrites.set(storageKey, this._meta)
+		} else {
+			// If the element was deleted since, the write deleting it is pending or in progress.
+			const id = this._ids.get(value.key)
+			const links = id !== undefined && this._getStorageKey(id) === storageKey ? this._links.get(id) : undefined
+			const node = this._map._map.get(value.key)
+
+			if (links !== undefined && node !== undefined) {
+				this._pendingWrites.set(storageKey, { key: links.key, value: node.value, prev: links.prev, next: links.next })
+			}
+		}
+	}
+
+	_autoFlush() {
+		this.flush().catch(this._onError)
+	}
+
+	_cancelTimer() {
+		if (this._timer !== null) {
+			clearTimeout(this._timer)
+			this._timer = null
+		}
+	}
+
+	/**
+	 * @param {number | 'meta'} id
+	 * @returns {string}
+	 */
+	_getStorageKey(id) {
+		return `${this._prefix}:${id}`
+	}
+}
+
+/**
+ * Mirrors `map` into a storage. If the storage holds a map, its elements replace the elements of `map`. Otherwise, the elements of `map` are stored. Afterwards, each change to `map` only writes the changed elements and their neighbors.
+ *
+ * @template K
+ * @template V
+ * @param {ReverseIterableMap<K, V>} map
+ * @param {StorageAdapter} adapter
+ * @param {PersistenceOptions} options
+ * @returns {Promise<ReverseIterableMapPersistence<K, V>>} a promise which resolves once the map was loaded or stored.
+ */
+export async function persist(map, adapter, options) {
+	const persistence = new ReverseIterableMapPersistence(map, adapter, options)
+	await persistence._load()
+
+	return persistence
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is StoredMeta}
+ */
+function isStoredMeta(value) {
+	return typeof value === 'object' && value !== null &&
+		'version' in value && typeof value.version === 'number' &&
+		'first' in value && isId(value.first) &&
+		'last' in value && isId(value.last) &&
+		'nextId' in value && typeof value.nextId === 'number'
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is StoredElement<unknown, unknown>}
+ */
+function isStoredElement(value) {
+	return typeof value === 'object' && value !== null &&
+		'prev' in value && isId(value.prev) &&
+		'next' in value && isId(value.next)
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is PromiseLike<unknown>}
+ */
+function isPromiseLike(value) {
+	return typeof value === 'object' && value !== null && 'then' in value && typeof value.then === 'function'
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is number | null}
+ */
+function isId(value) {
+	return value === null || Number.isInteger(value)
+}
@@ -0,0 +1,383 @@
+import { afterEach, describe, expect, test, vi } from 'vitest'
+
+import LruReverseIterableMap from './lru-reverse-iterable-map.js'
+import MemoryStorageAdapter from './memory-storage-adapter.js'
+import ReverseIterableMap from './reverse-iterable-map.js'
+import ReverseIterableMapPersistence, { persist } from './reverse-iterable-map-persistence.js'
+import SortedReverseIterableMap from './sorted-reverse-iterable-map.js'
+
+/**
+ * @param {MemoryStorageAdapter} adapter
+ */
+function spyOnAdapter(adapter) {
+	return {
+		set: vi.spyOn(adapter, 'set'),
+		delete: vi.spyOn(adapter, 'delete'),
+	}
+}
+
+/**
+ * Lets a test fail if a write which it doesn’t expect to fail fails.
+ *
+ * @param {unknown} error
+ */
+function failOnError(error) {
+	throw error
+}
+
+/**
+ * @param {MemoryStorageAdapter} adapter
+ * @param {string} [prefix]
+ */
+async function load(adapter, prefix) {
+	const map = new ReverseIterableMap()
+	await persist(map, adapter, prefix !== undefined ? { prefix, onError: failOnError } : { onError: failOnError })
+	return [...map]
+}
+
+describe('ReverseIterableMapPersistence', () => {
+	afterEach(() => {
+		vi.useRealTimers()
+	})
+
+	test('persist(map, adapter, options) stores the elements of the map', async () => {
+		const adapter = new MemoryStorageAdapter()
+		const map = new ReverseIterableMap([['a', 1], ['b', 2]])
+		const persistence = await persist(map, adapter, { onError: failOnError })
+
+		expect(persistence).toBeInstanceOf(ReverseIterableMapPersistence)
+		expect(persistence.toString()).toBe('[object ReverseIterableMapPersistence]')
+		expect(persistence.hasPendingWrites).toBe(false)
+		expect(Object.fromEntries(adapter.data)).toEqual({
+			'reverse-iterable-map:meta': { version: 1, first: 0, last: 1, nextId: 2 },
+			'reverse-iterable-map:0': { key: 'a', value: 1, prev: null, next: 1 },
+			'reverse-iterable-map:1': { key: 'b', value: 2, prev: 0, next: null },
+		})
+		expect(await load(adapter)).toEqual([['a', 1], ['b', 2]])
+		expect(await load(adapter, 'other')).toEqual([])
+	})
+
+	test('persist(map, adapter, options) replaces the elements of the map with the stored ones', async () => {
+		const adapter = new MemoryStorageAdapter()
+		await persist(new ReverseIterableMap([[1, 'a'], [2, 'b']]).setFirst(0, 'z'), adapter, { onError: failOnError })
+
+		const map = new ReverseIterableMap([[3, 'c']])
+		const listener = vi.fn()
+		map.subscribe(listener)
+		await persist(map, adapter, { onError: failOnError })
+
+		expect([...map]).toEqual([[0, 'z'], [1, 'a'], [2, 'b']])
+		expect(listener).toHaveBeenCalledTimes(1)
+		expect(await load(adapter)).toEqual([[0, 'z'], [1, 'a'], [2, 'b']])
+	})
+
+	test('Changes only write the changed elements and their neighbors', async () => {
+		const adapter = new MemoryStorageAdapter()
+		const map = new ReverseIterableMap([['a', 1], ['b', 2], ['c', 3]])
+		await persist(map, adapter, { onError: failOnError })
+		const spies = spyOnAdapter(adapter)
+
+		map.set('d', 4)
+		expect(spies.set.mock.calls.map(([key]) => key).sort()).toEqual(['reverse-iterable-map:2', 'reverse-iterable-map:3', 'reverse-iterable-map:meta'])
+		expect(adapter.get('reverse-iterable-map:3')).toEqual({ key: 'd', value: 4, prev: 2, next: null })
+
+		spies.set.mockClear()
+		map.set('b', 20)
+		expect(spies.set).toHaveBeenCalledTimes(1)
+		expect(spies.set).toHaveBeenCalledWith('reverse-iterable-map:1', { key: 'b', value: 20, prev: 0, next: 2 })
+
+		spies.set.mockClear()
+		map.delete('b')
+		expect(spies.delete).toHaveBeenCalledTimes(1)
+		expect(spies.delete).toHaveBeenCalledWith('reverse-iterable-map:1')
+		expect(spies.set.mock.calls.map(([key]) => key).sort()).toEqual(['reverse-iterable-map:0', 'reverse-iterable-map:2'])
+
+		spies.set.mockClear()
+		map.moveToFront('c')
+		expect(spies.set.mock.calls.map(([key]) => key).sort()).toEqual(['reverse-iterable-map:0', 'reverse-iterable-map:2', 'reverse-iterable-map:3', 'reverse-iterable-map:meta'])
+		expect(await load(adapter)).toEqual([['c', 3], ['a', 1], ['d', 4]])
+
+		spies.set.mockClear()
+		map.set('a', 1)
+		expect(spies.set).toHaveBeenCalledTimes(1)
+	})
+
+	test('All kinds of changes round-trip', async () => {
+		const adapter = new MemoryStorageAdapter()
+		const map = new ReverseIterableMap([[5, 'e'], [3, 'c']])
+		await persist(map, adapter, { onError: failOnError })
+
+		map.setFirst(1, 'a')
+		map.insertAfter(1, 2, 'b')
+		map.insertBefore(5, 4, 'd')
+		map.moveBefore(1, 5)
+		map.moveAfter(4, 1)
+		expect(await load(adapter)).toEqual([...map])
+
+		map.sort()
+		expect(await load(adapter)).toEqual([[1, 'a'], [2, 'b'], [3, 'c'], [4, 'd'], [5, 'e']])
+
+		map.sort(([a], [b]) => b - a)
+		map.shift()
+		map.pop()
+		expect(await load(adapter)).toEqual([[4, 'd'], [3, 'c'], [2, 'b']])
+
+		map.batch(() => {
+			map.clear()
+			map.set(6, 'f')
+		})
+		expect(await load(adapter)).toEqual([[6, 'f']])
+		expect([...adapter.data.keys()]).toEqual(['reverse-iterable-map:meta', 'reverse-iterable-map:5'])
+
+		map.clear()
+		expect(await load(adapter)).toEqual([])
+		expect(adapter.get('reverse-iterable-map:meta')).toEqual({ version: 1, first: null, last: null, nextId: 6 })
+	})
+
+	test('Keys of any type', async () => {
+		const adapter = new MemoryStorageAdapter()
+		const key = { id: 1 }
+		const map = new ReverseIterableMap([[key, 'object'], [undefined, 'undefined'], [NaN, 'NaN']])
+		await persist(map, adapter, { onError: failOnError })
+
+		map.delete(undefined)
+		expect(await load(adapter)).toEqual([[key, 'object'], [NaN, 'NaN']])
+	})
+
+	test('A rolled back transaction writes nothing', async () => {
+		const adapter = new MemoryStorageAdapter()
+		const map = new ReverseIterableMap([['a', 1]])
+		await persist(map, adapter, { onError: failOnError })
+		const spies = spyOnAdapter(adapter)
+
+		expect(() => map.transaction(() => {
+			map.set('b', 2)
+			throw new Error('failed')
+		})).toThrowError('failed')
+
+		expect(spies.set).not.toHaveBeenCalled()
+	})
+
+	test('flushDelay', async () => {
+		vi.useFakeTimers()
+		const adapter = new MemoryStorageAdapter()
+		const map = new ReverseIterableMap()
+		const persistence = await persist(map, adapter, { flushDelay: 100, onError: failOnError })
+		const spies = spyOnAdapter(adapter)
+
+		map.set('a', 1)
+		vi.advanceTimersByTime(60)
+		map.set('a', 2)
+		map.set('b', 3)
+		vi.advanceTimersByTime(60)
+		expect(spies.set).not.toHaveBeenCalled()
+		expect(persistence.hasPendingWrites).toBe(true)
+
+		vi.advanceTimersByTime(40)
+		expect(persistence.hasPendingWrites).toBe(false)
+		expect(spies.set).toHaveBeenCalledTimes(3)
+		expect(adapter.get('reverse-iterable-map:0')).toEqual({ key: 'a', value: 2, prev: null, next: 1 })
+
+		map.delete('a')
+		await persistence.flush()
+		expect(spies.delete).toHaveBeenCalledTimes(1)
+		vi.runAllTimers()
+		expect(spies.set).toHaveBeenCalledTimes(5)
+	})
+
+	test('Asynchronous adapters', async () => {
+		const memoryAdapter = new MemoryStorageAdapter()
+		/** @type {string[]} */ const log = []
+		const adapter = {
+			/** @param {string} key */
+			get: async (key) => memoryAdapter.get(key),
+			/** @param {string} key @param {unknown} value */
+			set: async (key, value) => {
+				await new Promise((resolve) => setTimeout(resolve, 1))
+				memoryAdapter.set(key, value)
+				log.push(`set ${key}`)
+			},
+			/** @param {string} key */
+			delete: async (key) => {
+				memoryAdapter.delete(key)
+				log.push(`delete ${key}`)
+			},
+		}
+
+		const map = new ReverseIterableMap([['a', 1]])
+		const persistence = await persist(map, adapter, { prefix: 'async', onError: failOnError })
+		expect(log).toEqual(['set async:0', 'set async:meta'])
+
+		map.set('b', 2)
+		expect(persistence.hasPendingWrites).toBe(false)
+		await persistence.flush()
+		expect(memoryAdapter.get('async:1')).toEqual({ key: 'b', value: 2, prev: 0, next: null })
+
+		const copy = new ReverseIterableMap()
+		await persist(copy, adapter, { prefix: 'async', onError: failOnError })
+		expect([...copy]).toEqual([['a', 1], ['b', 2]])
+	})
+
+	test('Writes of later flushes wait for the ones of earlier flushes', async () => {
+		const memoryAdapter = new MemoryStorageAdapter()
+		let delay = 20
+		const adapter = {
+			/** @param {string} key */
+			get: (key) => memoryAdapter.get(key),
+			/** @param {string} key @param {unknown} value */
+			set: async (key, value) => {
+				const currentDelay = delay
+				delay = 0
+				await new Promise((resolve) => setTimeout(resolve, currentDelay))
+				memoryAdapter.set(key, value)
+			},
+			/** @param {string} key */
+			delete: (key) => memoryAdapter.delete(key),
+		}
+
+		const map = new ReverseIterableMap()
+		const persistence = await persist(map, adapter, { onError: failOnError })
+
+		map.set('a', 1)
+		map.set('a', 2)
+		await persistence.flush()
+		expect(await load(memoryAdapter)).toEqual([['a', 2]])
+	})
+
+	test('Write errors', async () => {
+		const adapter = new MemoryStorageAdapter()
+		const onError = vi.fn()
+		const map = new ReverseIterableMap()
+		const persistence = await persist(map, adapter, { onError })
+		const error = new Error('quota exceeded')
+		const setSpy = vi.spyOn(adapter, 'set').mockImplementation(() => {
+			throw error
+		})
+
+		map.set('a', 1)
+		await vi.waitFor(() => expect(onError).toHaveBeenCalledWith(error))
+		expect(persistence.hasPendingWrites).toBe(true)
+
+		const delayedMap = new ReverseIterableMap()
+		const delayedPersistence = await persist(delayedMap, adapter, { prefix: 'delayed', flushDelay: 1000, onError: failOnError })
+		delayedMap.set('a', 1)
+		await expect(delayedPersistence.dispose()).rejects.toBe(error)
+
+		// The next flush retries the failed writes.
+		setSpy.mockRestore()
+		map.set('b', 2)
+		await persistence.flush()
+		expect(persistence.hasPendingWrites).toBe(false)
+		expect(await load(adapter)).toEqual([['a', 1], ['b', 2]])
+	})
+
+	test('Failed asynchronous writes are retried with the current state of the map', async () => {
+		const memoryAdapter = new MemoryStorageAdapter()
+		const error = new Error('network error')
+		let fail = true
+		const adapter = {
+			/** @param {string} key */
+			get: (key) => memoryAdapter.get(key),
+			/** @param {string} key @param {unknown} value */
+			set: async (key, value) => {
+				if (fail) {
+					throw error
+				}
+
+				memoryAdapter.set(key, value)
+			},
+			/** @param {string} key */
+			delete: async (key) => memoryAdapter.delete(key),
+		}
+		const onError = vi.fn()
+		const map = new ReverseIterableMap()
+		const persistence = await persist(map, adapter, { onError })
+
+		map.set('a', 1)
+		await expect(persistence.flush()).resolves.toBe(undefined)
+		expect(onError).toHaveBeenCalledWith(error)
+
+		fail = false
+		map.set('b', 2)
+		map.set('a', 3)
+		await persistence.flush()
+		expect(await load(memoryAdapter)).toEqual([['a', 3], ['b', 2]])
+	})
+
+	test('persist(map, adapter, options) with illegal arguments', async () => {
+		const map = new ReverseIterableMap()
+
+		// @ts-expect-error because this is a deliberately wrong call
+		await expect(persist(map, { get: () => {} }, { onError: failOnError })).rejects.toThrowError(TypeError('adapter must have get(), set() and delete() methods'))
+		await expect(persist(map, new MemoryStorageAdapter(), { flushDelay: -1, onError: failOnError })).rejects.toThrowError(RangeError('flushDelay must be a non-negative number'))
+		// @ts-expect-error because this is a deliberately wrong call
+		await expect(persist(map, new MemoryStorageAdapter())).rejects.toThrowError(TypeError('onError must be a function'))
+		await expect(persist(map, new MemoryStorageAdapter(), {
+			// @ts-expect-error because this is a deliberately wrong call
+			onError: 'log',
+		})).rejects.toThrowError(TypeError('onError must be a function'))
+	})
+
+	test('Corrupt storage', async () => {
+		const map = new ReverseIterableMap([['a', 1]])
+		const prefix = 'reverse-iterable-map'
+
+		await expect(persist(map, new MemoryStorageAdapter([[`${prefix}:meta`, 'map']]), { onError: failOnError })).rejects.toThrowError('Cannot load map: the value stored under "reverse-iterable-map:meta" is not a map')
+		await expect(persist(map, new MemoryStorageAdapter([[`${prefix}:meta`, { version: 2, first: null, last: null, nextId: 0 }]]), { onError: failOnError })).rejects.toThrowError('Cannot load map: unsupported storage version 2')
+		await expect(persist(map, new MemoryStorageAdapter([
+			[`${prefix}:meta`, { version: 1, first: 0, last: 1, nextId: 2 }],
+			[`${prefix}:0`, { key: 'a', value: 1, prev: null, next: 1 }],
+		]), { onError: failOnError })).rejects.toThrowError('Cannot load map: the element with ID 1 is missing or corrupt')
+		await expect(persist(map, new MemoryStorageAdapter([
+			[`${prefix}:meta`, { version: 1, first: 0, last: 1, nextId: 2 }],
+			[`${prefix}:0`, { key: 'a', value: 1, prev: null, next: 0 }],
+		]), { onError: failOnError })).rejects.toThrowError('Cannot load map: the element with ID 0 is linked twice')
+		await expect(persist(map, new MemoryStorageAdapter([
+			[`${prefix}:meta`, { version: 1, first: 0, last: 1, nextId: 2 }],
+			[`${prefix}:0`, { key: 'a', value: 1, prev: null, next: 1 }],
+			[`${prefix}:1`, { key: 'a', value: 2, prev: 0, next: null }],
+		]), { onError: failOnError })).rejects.toThrowError('Cannot load map: the key of the element with ID 1 is stored twice')
+		await expect(persist(map, new MemoryStorageAdapter([
+			[`${prefix}:meta`, { version: 1, first: 0, last: 0, nextId: 2 }],
+			[`${prefix}:0`, { key: 'a', value: 1, prev: null, next: 1 }],
+			[`${prefix}:1`, { key: 'b', value: 2, prev: 0, next: null }],
+		]), { onError: failOnError })).rejects.toThrowError('Cannot load map: the last element doesn’t match the stored map')
+		expect([...map]).toEqual([['a', 1]])
+	})
+
+	test('persistence.dispose()', async () => {
+		const adapter = new MemoryStorageAdapter()
+		const map = new ReverseIterableMap()
+		const persistence = await persist(map, adapter, { flushDelay: 1000, onError: failOnError })
+
+		map.set('a', 1)
+		await persistence.dispose()
+		map.set('b', 2)
+
+		expect(persistence.hasPendingWrites).toBe(false)
+		expect(await load(adapter)).toEqual([['a', 1]])
+	})
+
+	test('SortedReverseIterableMap reorders stored elements', async () => {
+		const adapter = new MemoryStorageAdapter()
+		await persist(new ReverseIterableMap([[3, 'c'], [1, 'a'], [2, 'b']]), adapter, { onError: failOnError })
+
+		const map = new SortedReverseIterableMap()
+		await persist(map, adapter, { onError: failOnError })
+		expect([...map.keys()]).toEqual([1, 2, 3])
+		expect(await load(adapter)).toEqual([[1, 'a'], [2, 'b'], [3, 'c']])
+
+		map.set(0, 'z')
+		expect(await load(adapter)).toEqual([[0, 'z'], [1, 'a'], [2, 'b'], [3, 'c']])
+	})
+	test('LruReverseIterableMap stores the elements which get() promotes', async () => {
+		const adapter = new MemoryStorageAdapter()
+		const map = new LruReverseIterableMap({ capacity: 10 }, [['a', 1], ['b', 2], ['c', 3]])
+		const persistence = await persist(map, adapter, { onError: failOnError })
+
+		map.get('a')
+		map.set('d', 4)
+		await persistence.flush()
+		expect(await load(adapter)).toEqual([['b', 2], ['c', 3], ['a', 1], ['d', 4]])
+	})
+})
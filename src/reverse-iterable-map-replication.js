@@ -0,0 +1,203 @@
+/**
+ * @template K
+ * @template V
+ * @typedef {import('./reverse-iterable-map.js').default<K, V>} ReverseIterableMap
+ */
+/**
+ * @template K
+ * @template V
+ * @typedef {import('./reverse-iterable-map.js').ChangeRecord<K, V>} ChangeRecord
+ */
+
+/**
+ * The end of a message channel, e.g. a `MessagePort` object from a `MessageChannel` or the `worker_threads` module of Node.js.
+ *
+ * @typedef {object} ReplicationPort
+ * @property {(message: any) => void} postMessage
+ * @property {(type: 'message', listener: (event: { data: any }) => void) => void} addEventListener
+ * @property {(type: 'message', listener: (event: { data: any }) => void) => void} removeEventListener
+ * @property {() => void} [start]
+ */
+
+/**
+ * @typedef {object} ReplicationOptions
+ * @property {(error: unknown) => void} [onError] Function that gets passed errors of posting changes, e.g. a `DataCloneError` if a key or value can’t be cloned. Without it, they are thrown like errors of other change listeners by the method which changed the map after the change was made. Either way, the next change posts all elements again so that the replicas catch up.
+ */
+
+/**
+ * A change to apply to a replica. Unlike change records, it only holds what’s needed to repeat the change.
+ *
+ * @template K
+ * @template V
+ * @typedef {{ type: 'insert', key: K, value: V, index: number }
+ * 	| { type: 'update', key: K, value: V }
+ * 	| { type: 'move', key: K, index: number }
+ * 	| { type: 'delete', key: K }
+ * 	| { type: 'clear' }} ReplicationChange
+ */
+
+/**
+ * A message sent from a primary map to its replicas: Either all elements or the changes of one change notification.
+ *
+ * @template K
+ * @template V
+ * @typedef {{ type: 'reverse-iterable-map:snapshot', entries: [K, V][] }
+ * 	| { type: 'reverse-iterable-map:changes', changes: ReplicationChange<K, V>[] }} ReplicationMessage
+ */
+
+/**
+ * Posts the elements of `map` and afterwards its changes to `port`.
+ *
+ * Errors of posting the elements right away are thrown. Errors of posting changes are reported to `onError` if given and otherwise thrown by the method which changed the map.
+ *
+ * @template K
+ * @template V
+ * @param {ReverseIterableMap<K, V>} map
+ * @param {ReplicationPort} port
+ * @param {ReplicationOptions} [options]
+ * @returns {() => void} a function which stops posting changes.
+ */
+export function replicate(map, port, { onError } = {}) {
+	postSnapshot(map, port)
+
+	// After a failed post, the replicas missed changes and need all elements again.
+	let isOutOfSync = false
+
+	return map.subscribe((records) => {
+		try {
+			// A sort record doesn’t hold the new order, so the replicas get all elements instead.
+			if (isOutOfSync || records.some((record) => record.type === 'sort')) {
+				postSnapshot(map, port)
+			} else {
+				/** @type {ReplicationMessage<K, V>} */ const message = {
+					type: 'reverse-iterable-map:changes',
+					changes: records.map(toReplicationChange),
+				}
+				port.postMessage(message)
+			}
+
+			isOutOfSync = false
+		} catch (error) {
+			isOutOfSync = true
+
+			if (onError === undefined) {
+				throw error
+			}
+
+			onError(error)
+		}
+	})
+}
+
+/**
+ * Applies the messages posted by `replicate()` to `map`.
+ *
+ * @template K
+ * @template V
+ * @param {ReverseIterableMap<K, V>} map
+ * @param {ReplicationPort} port
+ * @returns {() => void} a function which stops applying messages.
+ */
+export function follow(map, port) {
+	/**
+	 * @param {{ data: any }} event
+	 */
+	function listener({ data }) {
+		if (isReplicationMessage(data)) {
+			// Each message is applied as one batch so that the listeners of the replica are notified once per change notification of the primary map.
+			map.batch(() => applyMessage(map, /** @type {ReplicationMessage<K, V>} */ (data)))
+		}
+	}
+
+	port.addEventListener('message', listener)
+	port.start?.()
+
+	return () => port.removeEventListener('message', listener)
+}
+
+/**
+ * @template K
+ * @template V
+ * @param {ReverseIterableMap<K, V>} map
+ * @param {ReplicationPort} port
+ */
+function postSnapshot(map, port) {
+	/** @type {ReplicationMessage<K, V>} */ const message = {
+		type: 'reverse-iterable-map:snapshot',
+		entries: map.toTransferable().entries,
+	}
+	port.postMessage(message)
+}
+
+/**
+ * @template K
+ * @template V
+ * @param {ChangeRecord<K, V>} record A record of any type but `'sort'`.
+ * @returns {ReplicationChange<K, V>}
+ */
+function toReplicationChange(record) {
+	switch (record.type) {
+		case 'insert':
+			return { type: 'insert', key: record.key, value: record.value, index: record.index }
+		case 'update':
+			return { type: 'update', key: record.key, value: record.value }
+		case 'move':
+			return { type: 'move', key: record.key, index: record.index }
+		case 'delete':
+			return { type: 'delete', key: record.key }
+		default:
+			return { type: 'clear' }
+	}
+}
+
+/**
+ * @template K
+ * @template V
+ * @param {ReverseIterableMap<K, V>} map
+ * @param {ReplicationMessage<K, V>} message
+ */
+function applyMessage(map, message) {
+	if (message.type === 'reverse-iterable-map:snapshot') {
+		map.clear()
+
+		for (const [key, value] of message.entries) {
+			map.set(key, value)
+		}
+
+		return
+	}
+
+	for (const change of message.changes) {
+		switch (change.type) {
+			case 'insert':
+				map.set(change.key, change.value)
+				map._moveToIndex(change.key, change.index)
+				break
+			case 'update':
+				map.set(change.key, change.value)
+				break
+			case 'move':
+				map._moveToIndex(change.key, change.index)
+				break
+			case 'delete':
+				map.delete(change.key)
+				break
+			case 'clear':
+				map.clear()
+				break
+		}
+	}
+}
+
+/**
+ * @param {unknown} data
+ * @returns {data is ReplicationMessage<unknown, unknown>}
+ */
+function isReplicationMessage(data) {
+	if (typeof data !== 'object' || data === null || !('type' in data)) {
+		return false
+	}
+
+	return (data.type === 'reverse-iterable-map:snapshot' && 'entries' in data && Array.isArray(data.entries)) ||
+		(data.type === 'reverse-iterable-map:changes' && 'changes' in data && Array.isArray(data.changes))
+}
@@ -0,0 +1,216 @@
+import { afterEach, describe, expect, test, vi } from 'vitest'
+
+import LruReverseIterableMap from './lru-reverse-iterable-map.js'
+import ReverseIterableMap from './reverse-iterable-map.js'
+import { follow, replicate } from './reverse-iterable-map-replication.js'
+import SortedReverseIterableMap from './sorted-reverse-iterable-map.js'
+
+/** @type {MessageChannel[]} */ const channels = []
+
+function createChannel() {
+	const channel = new MessageChannel()
+	channels.push(channel)
+	return channel
+}
+
+/**
+ * @param {ReverseIterableMap<any, any>} map
+ * @param {number} [count] The number of notifications to wait for.
+ * @returns {Promise<void>}
+ */
+function waitForNotifications(map, count = 1) {
+	return new Promise((resolve) => {
+		let remaining = count
+		const unsubscribe = map.subscribe(() => {
+			remaining--
+			if (remaining === 0) {
+				unsubscribe()
+				resolve()
+			}
+		})
+	})
+}
+
+describe('ReverseIterableMap replication', () => {
+	afterEach(() => {
+		for (const channel of channels.splice(0)) {
+			channel.port1.close()
+			channel.port2.close()
+		}
+	})
+
+	test('replicate() and follow()', async () => {
+		const { port1, port2 } = createChannel()
+		const primary = new ReverseIterableMap([['a', 1], ['b', 2]])
+		const replica = new ReverseIterableMap([['z', 26]])
+
+		replicate(primary, port1)
+		follow(replica, port2)
+		await waitForNotifications(replica)
+		expect([...replica]).toEqual([['a', 1], ['b', 2]])
+
+		primary.set('c', 3)
+		primary.setFirst('d', 4)
+		primary.set('a', 10)
+		await waitForNotifications(replica, 3)
+		expect([...replica]).toEqual([['d', 4], ['a', 10], ['b', 2], ['c', 3]])
+
+		primary.moveToBack('d')
+		primary.insertAfter('a', 'e', 5)
+		primary.moveBefore('a', 'c')
+		primary.delete('b')
+		await waitForNotifications(replica, 4)
+		expect([...replica]).toEqual([...primary])
+	})
+
+	test('Batches, transactions, sort and clear', async () => {
+		const { port1, port2 } = createChannel()
+		const primary = new ReverseIterableMap([[3, 'c'], [1, 'a']])
+		const replica = new ReverseIterableMap()
+
+		replicate(primary, port1)
+		follow(replica, port2)
+		await waitForNotifications(replica)
+
+		const listener = vi.fn()
+		replica.subscribe(listener)
+
+		primary.batch(() => {
+			primary.set(2, 'b')
+			primary.moveToFront(2)
+			primary.delete(3)
+			primary.set(4, 'd')
+		})
+		expect(() => primary.transaction(() => {
+			primary.clear()
+			throw new Error('failed')
+		})).toThrowError('failed')
+		primary.sort(([a], [b]) => b - a)
+		await waitForNotifications(replica, 2)
+		expect([...replica]).toEqual([[4, 'd'], [2, 'b'], [1, 'a']])
+		expect(listener).toHaveBeenCalledTimes(2)
+
+		primary.batch(() => {
+			primary.clear()
+			primary.set(5, 'e')
+		})
+		await waitForNotifications(replica)
+		expect([...replica]).toEqual([[5, 'e']])
+	})
+
+	test('Several replicas of a SortedReverseIterableMap and an LruReverseIterableMap', async () => {
+		const sortedPrimary = new SortedReverseIterableMap({}, [[20, 'b']])
+		const lruPrimary = new LruReverseIterableMap({ capacity: 2 }, [[1, 'a'], [2, 'b']])
+		const replica1 = new ReverseIterableMap()
+		const replica2 = new ReverseIterableMap()
+		const replica3 = new ReverseIterableMap()
+
+		const channel1 = createChannel()
+		const channel2 = createChannel()
+		const channel3 = createChannel()
+		replicate(sortedPrimary, channel1.port1)
+		replicate(sortedPrimary, channel2.port1)
+		replicate(lruPrimary, channel3.port1)
+		follow(replica1, channel1.port2)
+		follow(replica2, channel2.port2)
+		follow(replica3, channel3.port2)
+
+		sortedPrimary.set(30, 'c').set(10, 'a')
+		lruPrimary.get(1)
+		lruPrimary.set(3, 'c')
+
+		await Promise.all([replica1, replica2, replica3].map((replica) => waitForNotifications(replica, 3)))
+		expect([...replica1]).toEqual([[10, 'a'], [20, 'b'], [30, 'c']])
+		expect([...replica2]).toEqual([[10, 'a'], [20, 'b'], [30, 'c']])
+		expect([...replica3]).toEqual([...lruPrimary])
+	})
+
+	test('Replicas of an LruReverseIterableMap follow the promotions by get()', async () => {
+		const { port1, port2 } = createChannel()
+		const primary = new LruReverseIterableMap({ capacity: 10 }, [['a', 1], ['b', 2], ['c', 3]])
+		const replica = new ReverseIterableMap()
+
+		replicate(primary, port1)
+		follow(replica, port2)
+		await waitForNotifications(replica)
+
+		primary.get('a')
+		primary.set('d', 4)
+		await waitForNotifications(replica, 2)
+		expect([...primary.keys()]).toEqual(['b', 'c', 'a', 'd'])
+		expect([...replica]).toEqual([...primary])
+	})
+
+	test('Stopping replication', async () => {
+		const { port1, port2 } = createChannel()
+		const primary = new ReverseIterableMap([['a', 1]])
+		const replica = new ReverseIterableMap()
+
+		const stopReplicating = replicate(primary, port1)
+		const stopFollowing = follow(replica, port2)
+		await waitForNotifications(replica)
+
+		stopReplicating()
+		primary.set('b', 2)
+		stopFollowing()
+		port1.postMessage({ type: 'reverse-iterable-map:changes', changes: [{ type: 'clear' }] })
+		port1.postMessage('unrelated message')
+
+		await new Promise((resolve) => setTimeout(resolve, 10))
+		expect([...replica]).toEqual([['a', 1]])
+	})
+
+	test('Errors of posting changes are reported to onError', async () => {
+		const { port1, port2 } = createChannel()
+		const onError = vi.fn()
+		/** @type {ReverseIterableMap<string, unknown>} */ const primary = new ReverseIterableMap()
+		primary.set('a', 1)
+		const replica = new ReverseIterableMap()
+
+		replicate(primary, port1, { onError })
+		follow(replica, port2)
+		await waitForNotifications(replica)
+
+		expect(() => primary.set('b', () => {})).not.toThrow()
+		expect(onError).toHaveBeenCalledTimes(1)
+		expect(onError.mock.calls[0]?.[0]).toHaveProperty('name', 'DataCloneError')
+		expect(primary.has('b')).toBe(true)
+
+		primary.set('b', 2)
+		primary.set('c', 3)
+		await waitForNotifications(replica, 2)
+		expect(onError).toHaveBeenCalledTimes(1)
+		expect([...replica]).toEqual([['a', 1], ['b', 2], ['c', 3]])
+	})
+
+	test('Errors of posting changes are thrown without onError', async () => {
+		const { port1, port2 } = createChannel()
+		/** @type {ReverseIterableMap<string, unknown>} */ const primary = new ReverseIterableMap()
+		primary.set('a', 1)
+		const replica = new ReverseIterableMap()
+
+		replicate(primary, port1)
+		follow(replica, port2)
+		await waitForNotifications(replica)
+
+		expect(() => primary.set('b', () => {})).toThrowError(expect.objectContaining({ name: 'DataCloneError' }))
+		expect(primary.has('b')).toBe(true)
+
+		primary.set('b', 2)
+		await waitForNotifications(replica)
+		expect([...replica]).toEqual([['a', 1], ['b', 2]])
+	})
+
+	test('Unrelated messages are ignored', async () => {
+		const { port1, port2 } = createChannel()
+		const replica = new ReverseIterableMap([['a', 1]])
+		follow(replica, port2)
+
+		port1.postMessage('hello')
+		port1.postMessage({ type: 'reverse-iterable-map:snapshot' })
+		port1.postMessage({ type: 'reverse-iterable-map:changes', changes: [{ type: 'insert', key: 'b', value: 2, index: 0 }] })
+
+		await waitForNotifications(replica)
+		expect([...replica]).toEqual([['b', 2], ['a', 1]])
+	})
+})
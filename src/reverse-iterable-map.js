@@ -1,3 +1,6 @@
+import { createReverseIterableIterator } from './reverse-iterable-iterator.js'
+import ReverseIterableMapCursor from './reverse-iterable-map-cursor.js'
+
 /**
  * @template V
  * @typedef {import('../types/index.d.js').ReverseIterableIterator<V>} ReverseIterableIterator
@@ -8,6 +11,136 @@
  * @typedef {import('../types/index.d.js').ReverseIterableMapNode<K, V>} ReverseIterableMapNode
  */
 
+/**
+ * @typedef {object} ReverseIterableMapOptions
+ * @property {boolean} [indexed] Whether to maintain a positional index which makes `at()` and `indexOf()` take logarithmic time instead of linear time. Adding, removing and moving elements then takes logarithmic time, too. Defaults to `false`.
+ */
+
+/**
+ * @typedef {object} NeighborOptions
+ * @property {boolean} [wrap] Whether to continue at the other end when reaching the first or last element. Defaults to `false`.
+ */
+
+/**
+ * @typedef {object} IteratorForOptions
+ * @property {boolean} [strict] Whether to throw if no element with the given key exists instead of returning an empty iterator. Defaults to `false`.
+ */
+
+/**
+ * @typedef {object} MapKeysOptions
+ * @property {'last' | 'first' | 'throw'} [onCollision] What to do if the callback returns the same key for several elements. Defaults to `'last'`.
+ */
+
+/**
+ * @typedef {object} RangeOptions
+ * @property {boolean} [inclusive] Whether the elements specified by `fromKey` and `toKey` are part of the range. Defaults to `true`.
+ * @property {boolean} [reverse] Whether to walk from `fromKey` to `toKey` in reverse insertion order. Defaults to `false`.
+ */
+
+/**
+ * @template K
+ * @template V
+ * @typedef {object} FromJSONOptions
+ * @property {(key: any) => K} [reviveKey] Function that gets passed each key of `data` and returns the key to use instead.
+ * @property {(value: any, key: K) => V} [reviveValue] Function that gets passed each value of `data` along with its revived key and returns the value to use instead.
+ */
+
+/**
+ * The elements of a `ReverseIterableMap` object in a form which survives the [structured clone algorithm][1] of `structuredClone()` and `postMessage()`.
+ *
+ * [1]: https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API/Structured_clone_algorithm
+ *
+ * @template K
+ * @template V
+ * @typedef {{ type: 'ReverseIterableMap', entries: [K, V][] }} TransferableReverseIterableMap
+ */
+
+/**
+ * A change record describing an added element. `index` is the position of the new element.
+ *
+ * @template K
+ * @template V
+ * @typedef {{ type: 'insert', key: K, value: V, index: number }} InsertRecord
+ */
+/**
+ * A change record describing an element whose value was replaced.
+ *
+ * @template K
+ * @template V
+ * @typedef {{ type: 'update', key: K, value: V, previousValue: V, index: number }} UpdateRecord
+ */
+/**
+ * A change record describing an element which moved from `previousIndex` to `index`.
+ *
+ * @template K
+ * @typedef {{ type: 'move', key: K, index: number, previousIndex: number }} MoveRecord
+ */
+/**
+ * A change record describing a removed element. `previousIndex` is the position it was removed from.
+ *
+ * @template K
+ * @template V
+ * @typedef {{ type: 'delete', key: K, previousValue: V, previousIndex: number }} DeleteRecord
+ */
+/**
+ * A change record describing the removal of all elements.
+ *
+ * @template K
+ * @template V
+ * @typedef {{ type: 'clear', previousEntries: [K, V][] }} ClearRecord
+ */
+/**
+ * A change record describing a reordering of all elements by `sort()`.
+ *
+ * @template K
+ * @typedef {{ type: 'sort', previousKeys: K[] }} SortRecord
+ */
+/**
+ * @template K
+ * @template V
+ * @typedef {InsertRecord<K, V> | UpdateRecord<K, V> | MoveRecord<K> | DeleteRecord<K, V> | ClearRecord<K, V> | SortRecord<K>} ChangeRecord
+ */
+/**
+ * @template K
+ * @template V
+ * @typedef {(records: ChangeRecord<K, V>[], map: ReverseIterableMap<K, V>) => void} ChangeListener
+ */
+
+/**
+ * The state of a map before a transaction. Subclasses with additional state extend it.
+ *
+ * @template K
+ * @template V
+ * @typedef {object} MapSnapshot
+ * @property {Map<K, ReverseIterableMapNode<K, V>>} map A copy of the internal map.
+ * @property {[ReverseIterableMapNode<K, V>, V, ReverseIterableMapNode<K, V> | null, ReverseIterableMapNode<K, V> | null][]} nodes Each node with its value, previous node and next node.
+ * @property {ReverseIterableMapNode<K, V> | null} firstNode
+ * @property {ReverseIterableMapNode<K, V> | null} lastNode
+ * @property {number} generation
+ */
+
+/**
+ * A node of the positional index, a treap ordered by the positions of the nodes. Each node knows the size of its subtree so that positions can be computed from the sizes along the path to the root.
+ *
+ * @template K
+ * @template V
+ * @typedef {object} PositionalIndexNode
+ * @property {ReverseIterableMapNode<K, V>} node
+ * @property {number} priority A random number which is greater than the priorities of the node’s children.
+ * @property {number} size The number of nodes in the subtree.
+ * @property {PositionalIndexNode<K, V> | null} left
+ * @property {PositionalIndexNode<K, V> | null} right
+ * @property {PositionalIndexNode<K, V> | null} parent
+ */
+
+/**
+ * @template K
+ * @template V
+ * @typedef {object} PositionalIndex
+ * @property {PositionalIndexNode<K, V> | null} root
+ * @property {Map<ReverseIterableMapNode<K, V>, PositionalIndexNode<K, V>>} indexNodes The index node of each node.
+ */
+
 /**
  * A reverse-iterable map implementation based on the built-in [`Map`][1] object.
  *
@@ -22,6 +155,12 @@ export default class ReverseIterableMap {
 	/** @type {Map<K, ReverseIterableMapNode<K, V>>} */ _map
 	/** @type {ReverseIterableMapNode<K, V> | null} */ _firstNode
 	/** @type {ReverseIterableMapNode<K, V> | null} */ _lastNode
+	/** @type {boolean} */ _indexed
+	/** @type {PositionalIndex<K, V> | null} */ _positionalIndex
+	/** @type {number} */ _generation
+	/** @type {Set<ChangeListener<K, V>>} */ _listeners
+	/** @type {ChangeRecord<K, V>[] | null} */ _pendingRecords
+	/** @type {boolean} */ _replaying
 
 	/**
 	 * An [iterable][1] object whose elements are key-value pairs.
@@ -29,11 +168,18 @@ export default class ReverseIterableMap {
 	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols#The_iterable_protocol
 	 *
 	 * @param {Iterable<[K, V] | readonly any[]>} [iterable]
+	 * @param {ReverseIterableMapOptions} [options]
 	 */
-	constructor(iterable) {
+	constructor(iterable, options = {}) {
 		this._map = new Map()
 		this._firstNode = null
 		this._lastNode = null
+		this._indexed = options.indexed === true
+		this._positionalIndex = null
+		this._generation = 0
+		this._listeners = new Set()
+		this._pendingRecords = null
+		this._replaying = false
 
 		if (iterable !== undefined) {
 			for (const array of iterable) {
@@ -46,6 +192,105 @@ export default class ReverseIterableMap {
 		}
 	}
 
+	/**
+	 * The static `fromJSON()` method creates a `ReverseIterableMap` object from an array of key-value pairs like the one returned by `toJSON()`. The elements are added in the order of the array.
+	 *
+	 * Called on a subclass, it still creates a `ReverseIterableMap` object because the constructors of subclasses take different arguments. Pass the result to the constructor of the subclass instead.
+	 *
+	 * @template K
+	 * @template V
+	 * @param {unknown} data
+	 * @param {FromJSONOptions<K, V>} [options]
+	 * @returns {ReverseIterableMap<K, V>}
+	 */
+	static fromJSON(data, { reviveKey, reviveValue } = {}) {
+		if (!Array.isArray(data)) {
+			throw new TypeError('data must be an array of key-value pairs')
+		}
+
+		/** @type {ReverseIterableMap<K, V>} */ const map = new ReverseIterableMap()
+
+		for (const entry of data) {
+			if (!Array.isArray(entry)) {
+				throw new TypeError('iterable for Map should have array-like objects')
+			}
+
+			const key = reviveKey !== undefined ? reviveKey(entry[0]) : entry[0]
+			map.set(key, reviveValue !== undefined ? reviveValue(entry[1], key) : entry[1])
+		}
+
+		return map
+	}
+
+	/**
+	 * The static `fromTransferable()` method creates a `ReverseIterableMap` object from the object returned by `toTransferable()` after it was passed through `structuredClone()` or `postMessage()`. Like `fromJSON()`, it doesn’t create objects of subclasses.
+	 *
+	 * @template K
+	 * @template V
+	 * @param {unknown} data
+	 * @returns {ReverseIterableMap<K, V>}
+	 * @throws {TypeError} if `data` is not an object returned by `toTransferable()`.
+	 */
+	static fromTransferable(data) {
+		if (typeof data !== 'object' || data === null || !('type' in data) || data.type !== 'ReverseIterableMap' || !('entries' in data)) {
+			throw new TypeError('data must be an object returned by toTransferable()')
+		}
+
+		return ReverseIterableMap.fromJSON(data.entries)
+	}
+
+	/**
+	 * A replacer function for `JSON.stringify()` which tags values that JSON can’t represent: `ReverseIterableMap` objects (including nested ones), `Date` objects, `NaN`, `Infinity`, `-Infinity` and BigInts. `ReverseIterableMap.reviver()` turns the tagged values back into their original type.
+	 *
+	 * @this {any} The object containing the property being serialized.
+	 * @param {string} key
+	 * @param {unknown} value
+	 * @returns {unknown}
+	 */
+	static replacer(key, value) {
+		const originalValue = this[key]
+
+		if (originalValue instanceof ReverseIterableMap) {
+			return { $type: 'ReverseIterableMap', entries: value }
+		}
+
+		if (originalValue instanceof Date) {
+			return { $type: 'Date', value }
+		}
+
+		if ((typeof value === 'number' && !Number.isFinite(value)) || typeof value === 'bigint') {
+			return { $type: typeof value, value: String(value) }
+		}
+
+		return value
+	}
+
+	/**
+	 * A reviver function for `JSON.parse()` which restores the values tagged by `ReverseIterableMap.replacer()`. Nested `ReverseIterableMap` objects are revived with `ReverseIterableMap.fromJSON()`, so objects of subclasses become `ReverseIterableMap` objects.
+	 *
+	 * @param {string} _key
+	 * @param {unknown} value
+	 * @returns {unknown}
+	 */
+	static reviver(_key, value) {
+		if (typeof value !== 'object' || value === null || !('$type' in value)) {
+			return value
+		}
+
+		switch (value.$type) {
+			case 'ReverseIterableMap':
+				return 'entries' in value ? ReverseIterableMap.fromJSON(value.entries) : value
+			case 'Date':
+				return 'value' in value ? new Date(typeof value.value === 'string' ? value.value : NaN) : value
+			case 'number':
+				return 'value' in value ? Number(value.value) : value
+			case 'bigint':
+				return 'value' in value && typeof value.value === 'string' ? BigInt(value.value) : value
+			default:
+				return value
+		}
+	}
+
 	/**
 	 * The [`@@toStringTag`][1] property is used is used when `toString()` is called on a `ReverseIterableMap` object.
 	 *
@@ -74,9 +319,24 @@ export default class ReverseIterableMap {
 	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/clear
 	 */
 	clear() {
+		/** @type {[K, V][] | null} */ let previousEntries = null
+
+		if (this._isObserved() && this._firstNode !== null) {
+			previousEntries = []
+			for (let node = /** @type {ReverseIterableMapNode<K, V> | null} */ (this._firstNode); node !== null; node = node.nextNode) {
+				previousEntries.push([node.key, node.value])
+			}
+		}
+
 		this._map.clear()
 		this._firstNode = null
 		this._lastNode = null
+		this._positionalIndex = null
+		this._generation++
+
+		if (previousEntries !== null) {
+			this._notify({ type: 'clear', previousEntries })
+		}
 	}
 
 	/**
@@ -116,7 +376,13 @@ export default class ReverseIterableMap {
 		const node = this._map.get(key)
 
 		if (node !== undefined) {
+			const previousValue = node.value
 			node.value = value
+
+			if (this._isObserved()) {
+				this._notify({ type: 'update', key, value, previousValue, index: this._getNodeIndex(node) })
+			}
+
 			return true
 		}
 
@@ -135,26 +401,15 @@ export default class ReverseIterableMap {
 			return this
 		}
 
-		/** @type {ReverseIterableMapNode<K, V>} */ const node = {
-			key,
-			value,
-			nextNode: null,
-			prevNode: null,
-		}
-		this._map.set(key, node)
+		const node = this._createNode(key, value)
 
-		// If there is already a last node it needs to be linked with the new node.
 		if (this._lastNode !== null) {
-			node.prevNode = this._lastNode
-			this._lastNode.nextNode = node
-		}
-
-		// If there is only one entry in the map, set the first node reference.
-		if (this._firstNode === null) {
-			this._firstNode = node
+			this._linkNodeAfter(node, this._lastNode)
+		} else {
+			this._linkOnlyNode(node)
 		}
 
-		this._lastNode = node
+		this._notifyInsert(node)
 
 		return this
 	}
@@ -171,175 +426,1405 @@ export default class ReverseIterableMap {
 			return this
 		}
 
-		/** @type {ReverseIterableMapNode<K, V>} */ const node = {
-			key,
-			value,
-			nextNode: null,
-			prevNode: null,
-		}
-		this._map.set(key, node)
+		const node = this._createNode(key, value)
 
-		// If there is already a first node it needs to be linked with the new node.
 		if (this._firstNode !== null) {
-			node.nextNode = this._firstNode
-			this._firstNode.prevNode = node
-		}
-
-		// If there is only one entry in the map, set the last node reference.
-		if (this._lastNode === null) {
-			this._lastNode = node
+			this._linkNodeBefore(node, this._firstNode)
+		} else {
+			this._linkOnlyNode(node)
 		}
 
-		this._firstNode = node
+		this._notifyInsert(node)
 
 		return this
 	}
 
 	/**
-	 * The `delete()` method removes the specified element from a `ReverseIterableMap` object. Calls [`Map.prototype.delete`][1].
+	 * The `insertBefore()` method adds an element to a `ReverseIterableMap` object directly before the element specified by `refKey`.
 	 *
-	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/delete
+	 * If an element with the given key already exists, it is moved in front of the reference element and its value is updated.
 	 *
-	 * @param {K} key The key of the element to remove from the `ReverseIterableMap` object.
-	 * @returns {boolean} `true` if an element in the `ReverseIterableMap` object existed and has been removed, or `false` if the element does not exist.
+	 * @param {K} refKey The key of the element before which the new element is inserted.
+	 * @param {K} key The key of the element to add to the `ReverseIterableMap` object.
+	 * @param {V} value The value of the element to add to the `ReverseIterableMap` object.
+	 * @returns {this} the `ReverseIterableMap` object.
+	 * @throws {ReferenceError} if no element with the key `refKey` exists.
 	 */
-	delete(key) {
-		const node = this._map.get(key)
+	insertBefore(refKey, key, value) {
+		const refNode = this._getReferenceNode(refKey)
+		const existingNode = this._map.get(key)
 
-		if (node === undefined) {
-			return false
-		}
+		if (existingNode === undefined) {
+			const node = this._createNode(key, value)
+			this._linkNodeBefore(node, refNode)
+			this._notifyInsert(node)
+		} else {
+			// Report the update and the move together.
+			this.batch(() => {
+				this._updateExistingNode(key, value)
 
-		if (node.prevNode !== null && node.nextNode !== null) {
-			// `node` is in the middle.
-			node.prevNode.nextNode = node.nextNode
-			node.nextNode.prevNode = node.prevNode
-		}
-		else if (node.prevNode !== null) {
-			// `node` is the last node a new last node needs to be linked.
-			node.prevNode.nextNode = null
-			this._lastNode = node.prevNode
-		}
-		else if (node.nextNode !== null) {
-			// `node` is the first node a new first node needs to linked.
-			node.nextNode.prevNode = null
-			this._firstNode = node.nextNode
-		}
-		else {
-			// `node` is the first and last node.
-			// Both first and last node reference need to be unset.
-			this._firstNode = null
-			this._lastNode = null
+				if (existingNode !== refNode && existingNode.nextNode !== refNode) {
+					this._moveNode(existingNode, refNode, 'before')
+				}
+			})
 		}
 
-		return this._map.delete(key)
+		return this
 	}
 
 	/**
-	 * The `forEach()` method executes a provided function once per each key/value pair in the `ReverseIterableMap` object, in insertion order. For reference, see [`Map.prototype.forEach`][1].
+	 * The `insertAfter()` method adds an element to a `ReverseIterableMap` object directly after the element specified by `refKey`.
 	 *
-	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/forEach
+	 * If an element with the given key already exists, it is moved behind the reference element and its value is updated.
 	 *
-	 * @param {(value: V, key: K, map: ReverseIterableMap<K, V>) => void} callbackfn
-	 * @param {any} [thisArg]
+	 * @param {K} refKey The key of the element after which the new element is inserted.
+	 * @param {K} key The key of the element to add to the `ReverseIterableMap` object.
+	 * @param {V} value The value of the element to add to the `ReverseIterableMap` object.
+	 * @returns {this} the `ReverseIterableMap` object.
+	 * @throws {ReferenceError} if no element with the key `refKey` exists.
 	 */
-	forEach(callbackfn, thisArg) {
-		for (const [key, value] of this.entries()) {
-			callbackfn.call(thisArg, value, key, this)
+	insertAfter(refKey, key, value) {
+		const refNode = this._getReferenceNode(refKey)
+		const existingNode = this._map.get(key)
+
+		if (existingNode === undefined) {
+			const node = this._createNode(key, value)
+			this._linkNodeAfter(node, refNode)
+			this._notifyInsert(node)
+		} else {
+			// Report the update and the move together.
+			this.batch(() => {
+				this._updateExistingNode(key, value)
+
+				if (existingNode !== refNode && existingNode.prevNode !== refNode) {
+					this._moveNode(existingNode, refNode, 'after')
+				}
+			})
 		}
+
+		return this
 	}
 
 	/**
-	 * The `forEachReverse()` method executes a provided function once per each key/value pair in the `ReverseIterableMap` object, in reverse insertion order.
+	 * The `moveToFront()` method moves an existing element to the start of a `ReverseIterableMap` object.
 	 *
-	 * @param {(value: V, key: K, map: ReverseIterableMap<K, V>) => void} callbackfn
-	 * @param {any} [thisArg]
+	 * @param {K} key The key of the element to move.
+	 * @returns {boolean} `true` if the element existed and changed its position, `false` otherwise.
 	 */
-	forEachReverse(callbackfn, thisArg) {
-		for (const [key, value] of this.entries().reverseIterator()) {
-			callbackfn.call(thisArg, value, key, this)
+	moveToFront(key) {
+		const node = this._map.get(key)
+
+		if (node === undefined || node === this._firstNode || this._firstNode === null) {
+			return false
 		}
+
+		this._moveNode(node, this._firstNode, 'before')
+
+		return true
 	}
 
 	/**
-	 * The initial value of the [@@iterator][1] property is the same function object as the initial value of the entries property.
-	 *
-	 * [1]:  https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/@@iterator
+	 * The `moveToBack()` method moves an existing element to the end of a `ReverseIterableMap` object.
 	 *
-	 * @returns {ReverseIterableIterator<[K, V]>}
+	 * @param {K} key The key of the element to move.
+	 * @returns {boolean} `true` if the element existed and changed its position, `false` otherwise.
 	 */
-	[Symbol.iterator]() {
-		return this.entries()
+	moveToBack(key) {
+		const node = this._map.get(key)
+
+		if (node === undefined || node === this._lastNode || this._lastNode === null) {
+			return false
+		}
+
+		this._moveNode(node, this._lastNode, 'after')
+
+		return true
 	}
 
 	/**
-	 * Allows usage of the [iteration protocols][1] for reverse iteration.
-	 *
-	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols
+	 * The `moveBefore()` method moves an existing element directly before the element specified by `refKey`.
 	 *
-	 * @returns {IterableIterator<[K, V]>}
+	 * @param {K} refKey The key of the element before which the element is moved.
+	 * @param {K} key The key of the element to move.
+	 * @returns {boolean} `true` if the element existed and changed its position, `false` otherwise.
+	 * @throws {ReferenceError} if no element with the key `refKey` exists.
 	 */
-	reverseIterator() {
-		return this.entries().reverseIterator()
+	moveBefore(refKey, key) {
+		const refNode = this._getReferenceNode(refKey)
+		const node = this._map.get(key)
+
+		if (node === undefined || node === refNode || node.nextNode === refNode) {
+			return false
+		}
+
+		this._moveNode(node, refNode, 'before')
+
+		return true
 	}
 
 	/**
-	 * The `entries()` method returns a new [Iterator][1] object that contains the `[key, value]`
-	 * pairs for each element in a `ReverseIterableMap` object in insertion order.
-	 *
-	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 * The `moveAfter()` method moves an existing element directly after the element specified by `refKey`.
 	 *
-	 * @returns {ReverseIterableIterator<[K, V]>}
+	 * @param {K} refKey The key of the element after which the element is moved.
+	 * @param {K} key The key of the element to move.
+	 * @returns {boolean} `true` if the element existed and changed its position, `false` otherwise.
+	 * @throws {ReferenceError} if no element with the key `refKey` exists.
 	 */
-	entries() {
-		const getIteratorValue = /** @type {(node: ReverseIterableMapNode<K, V>) => [K, V]} */ (node) => [node.key, node.value]
+	moveAfter(refKey, key) {
+		const refNode = this._getReferenceNode(refKey)
+		const node = this._map.get(key)
 
-		return this._iterableIterator(getIteratorValue)
+		if (node === undefined || node === refNode || node.prevNode === refNode) {
+			return false
+		}
+
+		this._moveNode(node, refNode, 'after')
+
+		return true
 	}
 
 	/**
-	 * The `keys()` method returns a new [Iterator][1] object that contains the keys for each
-	 * element in a `ReverseIterableMap` object in insertion order.
-	 *
-	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 * Returns the node for a reference key passed to one of the positional methods.
 	 *
-	 * @returns {ReverseIterableIterator<K>}
+	 * @param {K} refKey
+	 * @returns {ReverseIterableMapNode<K, V>}
+	 * @throws {ReferenceError} if no element with the key `refKey` exists.
 	 */
-	keys() {
-		const getIteratorValue = /** @type {(node: ReverseIterableMapNode<K, V>) => K} */ (node) => node.key
+	_getReferenceNode(refKey) {
+		const refNode = this._map.get(refKey)
+
+		if (refNode === undefined) {
+			throw new ReferenceError('reference key does not exist in map')
+		}
+
+		return refNode
+	}
+
+	/**
+	 * Moves the element with the given key to the given position. Nothing happens if there is no such element or position.
+	 *
+	 * @param {K} key
+	 * @param {number} index
+	 */
+	_moveToIndex(key, index) {
+		const currentIndex = this.indexOf(key)
+		const entry = this.at(index)
+
+		if (currentIndex === -1 || currentIndex === index || entry === undefined) {
+			return
+		}
+
+		if (index < currentIndex) {
+			this.moveBefore(entry[0], key)
+		} else {
+			this.moveAfter(entry[0], key)
+		}
+	}
+
+	/**
+	 * Moves a node which is in the map directly before or after `refNode`.
+	 *
+	 * @param {ReverseIterableMapNode<K, V>} node
+	 * @param {ReverseIterableMapNode<K, V>} refNode
+	 * @param {'before' | 'after'} position
+	 */
+	_moveNode(node, refNode, position) {
+		const previousIndex = this._isObserved() ? this._getNodeIndex(node) : -1
+
+		this._unlinkNode(node)
+
+		if (position === 'before') {
+			this._linkNodeBefore(node, refNode)
+		} else {
+			this._linkNodeAfter(node, refNode)
+		}
+
+		if (previousIndex !== -1) {
+			this._notify({ type: 'move', key: node.key, index: this._getNodeIndex(node), previousIndex })
+		}
+	}
+
+	/**
+	 * Creates a new, unlinked node and adds it to the internal map.
+	 *
+	 * @param {K} key
+	 * @param {V} value
+	 * @returns {ReverseIterableMapNode<K, V>}
+	 */
+	_createNode(key, value) {
+		/** @type {ReverseIterableMapNode<K, V>} */ const node = {
+			key,
+			value,
+			nextNode: null,
+			prevNode: null,
+			removed: false,
+		}
+		this._map.set(key, node)
+
+		return node
+	}
+
+	/**
+	 * Links a node as the only node of an empty list.
+	 *
+	 * @param {ReverseIterableMapNode<K, V>} node
+	 */
+	_linkOnlyNode(node) {
+		if (this._positionalIndex !== null) {
+			insertIndexNode(this._positionalIndex, node, 0)
+		}
+
+		this._firstNode = node
+		this._lastNode = node
+	}
+
+	/**
+	 * Links an unlinked node directly before `refNode`.
+	 *
+	 * @param {ReverseIterableMapNode<K, V>} node
+	 * @param {ReverseIterableMapNode<K, V>} refNode
+	 */
+	_linkNodeBefore(node, refNode) {
+		if (this._positionalIndex !== null) {
+			insertIndexNode(this._positionalIndex, node, getIndexNodePosition(this._positionalIndex, refNode))
+		}
+
+		node.prevNode = refNode.prevNode
+		node.nextNode = refNode
+
+		if (refNode.prevNode !== null) {
+			refNode.prevNode.nextNode = node
+		} else {
+			this._firstNode = node
+		}
+
+		refNode.prevNode = node
+	}
+
+	/**
+	 * Links an unlinked node directly after `refNode`.
+	 *
+	 * @param {ReverseIterableMapNode<K, V>} node
+	 * @param {ReverseIterableMapNode<K, V>} refNode
+	 */
+	_linkNodeAfter(node, refNode) {
+		if (this._positionalIndex !== null) {
+			insertIndexNode(this._positionalIndex, node, getIndexNodePosition(this._positionalIndex, refNode) + 1)
+		}
+
+		node.prevNode = refNode
+		node.nextNode = refNode.nextNode
+
+		if (refNode.nextNode !== null) {
+			refNode.nextNode.prevNode = node
+		} else {
+			this._lastNode = node
+		}
+
+		refNode.nextNode = node
+	}
+
+	/**
+	 * Removes a node from the list by linking its neighbors with each other. The node stays in the internal map and keeps its own links.
+	 *
+	 * @param {ReverseIterableMapNode<K, V>} node
+	 */
+	_unlinkNode(node) {
+		if (this._positionalIndex !== null) {
+			deleteIndexNode(this._positionalIndex, node)
+		}
+
+		if (node.prevNode !== null && node.nextNode !== null) {
+			// `node` is in the middle.
+			node.prevNode.nextNode = node.nextNode
+			node.nextNode.prevNode = node.prevNode
+		}
+		else if (node.prevNode !== null) {
+			// `node` is the last node a new last node needs to be linked.
+			node.prevNode.nextNode = null
+			this._lastNode = node.prevNode
+		}
+		else if (node.nextNode !== null) {
+			// `node` is the first node a new first node needs to linked.
+			node.nextNode.prevNode = null
+			this._firstNode = node.nextNode
+		}
+		else {
+			// `node` is the first and last node.
+			// Both first and last node reference need to be unset.
+			this._firstNode = null
+			this._lastNode = null
+		}
+	}
+
+	/**
+	 * The `delete()` method removes the specified element from a `ReverseIterableMap` object. Calls [`Map.prototype.delete`][1].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/delete
+	 *
+	 * @param {K} key The key of the element to remove from the `ReverseIterableMap` object.
+	 * @returns {boolean} `true` if an element in the `ReverseIterableMap` object existed and has been removed, or `false` if the element does not exist.
+	 */
+	delete(key) {
+		const node = this._map.get(key)
+
+		if (node === undefined) {
+			return false
+		}
+
+		const previousIndex = this._isObserved() ? this._getNodeIndex(node) : -1
+
+		this._unlinkNode(node)
+
+		// Mark the node so that iterators currently pointing at it can skip it.
+		node.removed = true
+		this._map.delete(key)
+
+		if (previousIndex !== -1) {
+			this._notify({ type: 'delete', key, previousValue: node.value, previousIndex })
+		}
+
+		return true
+	}
+
+	/**
+	 * The `first()` method returns the first element of a `ReverseIterableMap` object.
+	 *
+	 * @returns {[K, V] | undefined} the `[key, value]` pair of the first element or `undefined` if the map is empty.
+	 */
+	first() {
+		return this._firstNode !== null ? [this._firstNode.key, this._firstNode.value] : undefined
+	}
+
+	/**
+	 * The `last()` method returns the last element of a `ReverseIterableMap` object.
+	 *
+	 * @returns {[K, V] | undefined} the `[key, value]` pair of the last element or `undefined` if the map is empty.
+	 */
+	last() {
+		return this._lastNode !== null ? [this._lastNode.key, this._lastNode.value] : undefined
+	}
+
+	/**
+	 * The `shift()` method removes the first element from a `ReverseIterableMap` object and returns it.
+	 *
+	 * @returns {[K, V] | undefined} the `[key, value]` pair of the removed element or `undefined` if the map is empty.
+	 */
+	shift() {
+		const entry = this.first()
+
+		if (entry !== undefined) {
+			this.delete(entry[0])
+		}
+
+		return entry
+	}
+
+	/**
+	 * The `pop()` method removes the last element from a `ReverseIterableMap` object and returns it.
+	 *
+	 * @returns {[K, V] | undefined} the `[key, value]` pair of the removed element or `undefined` if the map is empty.
+	 */
+	pop() {
+		const entry = this.last()
+
+		if (entry !== undefined) {
+			this.delete(entry[0])
+		}
+
+		return entry
+	}
+
+	/**
+	 * The `at()` method returns the element at the given position of a `ReverseIterableMap` object. Negative integers count back from the last element. For reference, see [`Array.prototype.at`][1].
+	 *
+	 * Walks from whichever end is closer to the position unless the map maintains a positional index which finds the element in logarithmic time.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/at
+	 *
+	 * @param {number} index The position of the element.
+	 * @returns {[K, V] | undefined} the `[key, value]` pair of the element or `undefined` if the position is out of bounds.
+	 */
+	at(index) {
+		const size = this.size
+		let position = Math.trunc(index) || 0
+
+		if (position < 0) {
+			position += size
+		}
+
+		if (position < 0 || position >= size) {
+			return undefined
+		}
+
+		let node
+
+		if (this._indexed) {
+			node = getIndexNodeAt(this._getPositionalIndex(), position)
+		} else if (position < size / 2) {
+			node = this._firstNode
+			for (let i = 0; i < position && node !== null; i++) {
+				node = node.nextNode
+			}
+		} else {
+			node = this._lastNode
+			for (let i = size - 1; i > position && node !== null; i--) {
+				node = node.prevNode
+			}
+		}
+
+		return node ? [node.key, node.value] : undefined
+	}
+
+	/**
+	 * The `indexOf()` method returns the position of the element with the specified key in a `ReverseIterableMap` object.
+	 *
+	 * Walks from both ends at the same time unless the map maintains a positional index which finds the position in logarithmic time.
+	 *
+	 * @param {K} key The key of the element to locate.
+	 * @returns {number} the position of the element or `-1` if the element does not exist.
+	 */
+	indexOf(key) {
+		const node = this._map.get(key)
+
+		return node !== undefined ? this._getNodeIndex(node) : -1
+	}
+
+	/**
+	 * Returns the position of a node which is in the map.
+	 *
+	 * @param {ReverseIterableMapNode<K, V>} node
+	 * @returns {number}
+	 */
+	_getNodeIndex(node) {
+		if (this._indexed) {
+			return getIndexNodePosition(this._getPositionalIndex(), node)
+		}
+
+		let forwardNode = this._firstNode
+		let backwardNode = this._lastNode
+		let forwardIndex = 0
+		let backwardIndex = this._map.size - 1
+
+		while (forwardNode !== null && backwardNode !== null) {
+			if (forwardNode === node) {
+				return forwardIndex
+			}
+
+			if (backwardNode === node) {
+				return backwardIndex
+			}
+
+			forwardNode = forwardNode.nextNode
+			backwardNode = backwardNode.prevNode
+			forwardIndex++
+			backwardIndex--
+		}
+
+		return -1
+	}
+
+	/**
+	 * The `nextKey()` method returns the key of the element after the element specified by `key`.
+	 *
+	 * Use `nextEntry()` to distinguish a missing next element from a next element whose key is `undefined`.
+	 *
+	 * @param {K} key The key of the reference element.
+	 * @param {NeighborOptions} [options]
+	 * @returns {K | undefined} the key of the next element or `undefined` if there is none.
+	 * @throws {ReferenceError} if no element with the key `key` exists.
+	 */
+	nextKey(key, options) {
+		const entry = this.nextEntry(key, options)
+		return entry !== undefined ? entry[0] : undefined
+	}
+
+	/**
+	 * The `prevKey()` method returns the key of the element before the element specified by `key`.
+	 *
+	 * Use `prevEntry()` to distinguish a missing previous element from a previous element whose key is `undefined`.
+	 *
+	 * @param {K} key The key of the reference element.
+	 * @param {NeighborOptions} [options]
+	 * @returns {K | undefined} the key of the previous element or `undefined` if there is none.
+	 * @throws {ReferenceError} if no element with the key `key` exists.
+	 */
+	prevKey(key, options) {
+		const entry = this.prevEntry(key, options)
+		return entry !== undefined ? entry[0] : undefined
+	}
+
+	/**
+	 * The `nextEntry()` method returns the element after the element specified by `key`.
+	 *
+	 * @param {K} key The key of the reference element.
+	 * @param {NeighborOptions} [options]
+	 * @returns {[K, V] | undefined} the `[key, value]` pair of the next element or `undefined` if there is none.
+	 * @throws {ReferenceError} if no element with the key `key` exists.
+	 */
+	nextEntry(key, { wrap = false } = {}) {
+		const node = this._getReferenceNode(key)
+		const nextNode = node.nextNode !== null ? node.nextNode : wrap ? this._firstNode : null
+
+		return nextNode !== null ? [nextNode.key, nextNode.value] : undefined
+	}
+
+	/**
+	 * The `prevEntry()` method returns the element before the element specified by `key`.
+	 *
+	 * @param {K} key The key of the reference element.
+	 * @param {NeighborOptions} [options]
+	 * @returns {[K, V] | undefined} the `[key, value]` pair of the previous element or `undefined` if there is none.
+	 * @throws {ReferenceError} if no element with the key `key` exists.
+	 */
+	prevEntry(key, { wrap = false } = {}) {
+		const node = this._getReferenceNode(key)
+		const prevNode = node.prevNode !== null ? node.prevNode : wrap ? this._lastNode : null
+
+		return prevNode !== null ? [prevNode.key, prevNode.value] : undefined
+	}
+
+	/**
+	 * Returns the positional index. It’s built on first use and kept up to date by linking and unlinking nodes. Changes which relink all nodes at once (sorting, clearing and rolling back transactions) discard it so that it’s rebuilt in linear time on next use.
+	 *
+	 * @returns {PositionalIndex<K, V>}
+	 */
+	_getPositionalIndex() {
+		if (this._positionalIndex === null) {
+			this._positionalIndex = buildPositionalIndex(this._firstNode)
+		}
+
+		return this._positionalIndex
+	}
+
+	/**
+	 * The `forEach()` method executes a provided function once per each key/value pair in the `ReverseIterableMap` object, in insertion order. For reference, see [`Map.prototype.forEach`][1].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/forEach
+	 *
+	 * @param {(value: V, key: K, map: ReverseIterableMap<K, V>) => void} callbackfn
+	 * @param {any} [thisArg]
+	 */
+	forEach(callbackfn, thisArg) {
+		for (const [key, value] of this.entries()) {
+			callbackfn.call(thisArg, value, key, this)
+		}
+	}
+
+	/**
+	 * The `forEachReverse()` method executes a provided function once per each key/value pair in the `ReverseIterableMap` object, in reverse insertion order.
+	 *
+	 * @param {(value: V, key: K, map: ReverseIterableMap<K, V>) => void} callbackfn
+	 * @param {any} [thisArg]
+	 */
+	forEachReverse(callbackfn, thisArg) {
+		for (const [key, value] of this.entries().reverseIterator()) {
+			callbackfn.call(thisArg, value, key, this)
+		}
+	}
+
+	/**
+	 * The `filter()` method returns a new `ReverseIterableMap` object with the elements for which `predicate` returns a truthy value, in insertion order.
+	 *
+	 * @param {(value: V, key: K, map: ReverseIterableMap<K, V>) => unknown} predicate
+	 * @param {any} [thisArg]
+	 * @returns {ReverseIterableMap<K, V>}
+	 */
+	filter(predicate, thisArg) {
+		/** @type {ReverseIterableMap<K, V>} */ const map = new ReverseIterableMap()
+
+		for (let node = this._getTraversalStartNode(true); node !== null; node = node.nextNode) {
+			if (predicate.call(thisArg, node.value, node.key, this)) {
+				map.set(node.key, node.value)
+			}
+		}
+
+		return map
+	}
+
+	/**
+	 * The `mapValues()` method returns a new `ReverseIterableMap` object with the same keys in the same order and the values returned by `callbackfn`.
+	 *
+	 * @template U
+	 * @param {(value: V, key: K, map: ReverseIterableMap<K, V>) => U} callbackfn
+	 * @param {any} [thisArg]
+	 * @returns {ReverseIterableMap<K, U>}
+	 */
+	mapValues(callbackfn, thisArg) {
+		/** @type {ReverseIterableMap<K, U>} */ const map = new ReverseIterableMap()
+
+		for (let node = this._getTraversalStartNode(true); node !== null; node = node.nextNode) {
+			map.set(node.key, callbackfn.call(thisArg, node.value, node.key, this))
+		}
+
+		return map
+	}
+
+	/**
+	 * The `mapKeys()` method returns a new `ReverseIterableMap` object with the same values in the same order and the keys returned by `callbackfn`.
+	 *
+	 * If `callbackfn` returns the same key for several elements, the `onCollision` option decides what happens:
+	 *
+	 * - `'last'` (default): Like the `ReverseIterableMap` constructor, the element keeps the position of the first and the value of the last occurrence.
+	 * - `'first'`: The first occurrence is kept.
+	 * - `'throw'`: An error is thrown.
+	 *
+	 * @template L
+	 * @param {(value: V, key: K, map: ReverseIterableMap<K, V>) => L} callbackfn
+	 * @param {any} [thisArg]
+	 * @param {MapKeysOptions} [options]
+	 * @returns {ReverseIterableMap<L, V>}
+	 * @throws {RangeError} if `callbackfn` returns the same key twice and the `onCollision` option is `'throw'`.
+	 */
+	mapKeys(callbackfn, thisArg, { onCollision = 'last' } = {}) {
+		/** @type {ReverseIterableMap<L, V>} */ const map = new ReverseIterableMap()
+
+		for (let node = this._getTraversalStartNode(true); node !== null; node = node.nextNode) {
+			const key = callbackfn.call(thisArg, node.value, node.key, this)
+
+			if (map.has(key)) {
+				if (onCollision === 'throw') {
+					throw new RangeError('mapKeys() callback returned a duplicate key')
+				}
+
+				if (onCollision === 'first') {
+					continue
+				}
+			}
+
+			map.set(key, node.value)
+		}
+
+		return map
+	}
+
+	/**
+	 * The `reverse()` method returns a new `ReverseIterableMap` object with the same elements in reverse order. The map itself is not changed.
+	 *
+	 * @returns {ReverseIterableMap<K, V>}
+	 */
+	reverse() {
+		/** @type {ReverseIterableMap<K, V>} */ const map = new ReverseIterableMap()
+
+		for (let node = this._getTraversalStartNode(false); node !== null; node = node.prevNode) {
+			map.set(node.key, node.value)
+		}
+
+		return map
+	}
+
+	/**
+	 * The `sort()` method sorts the elements of a `ReverseIterableMap` object in place and returns the object. The sort is stable.
+	 *
+	 * The elements are sorted by relinking the existing nodes with a merge sort, so no element is copied and no key needs to be hashed again. If the comparison function throws, the original order is restored.
+	 *
+	 * @param {(a: [K, V], b: [K, V]) => number} [compareFn] Gets passed two entries and returns a negative number if `a` comes first, a positive number if `b` comes first and zero otherwise. By default, the entries are sorted by their keys converted to strings like with `Array.prototype.sort()`.
+	 * @returns {this}
+	 */
+	sort(compareFn) {
+		if (compareFn !== undefined && typeof compareFn !== 'function') {
+			throw new TypeError('The comparison function must be either a function or undefined')
+		}
+
+		const firstNode = this._getTraversalStartNode(true)
+
+		if (firstNode === null || firstNode.nextNode === null) {
+			return this
+		}
+
+		/** @type {K[] | null} */ const previousKeys = this._isObserved() ? [] : null
+		// Each entry is created once instead of once per comparison.
+		/** @type {Map<ReverseIterableMapNode<K, V>, [K, V]>} */ const entries = new Map()
+		for (let node = /** @type {ReverseIterableMapNode<K, V> | null} */ (firstNode); node !== null; node = node.nextNode) {
+			previousKeys?.push(node.key)
+			entries.set(node, [node.key, node.value])
+		}
+
+		const compare = compareFn ?? compareEntriesByKey
+		/** @type {(a: ReverseIterableMapNode<K, V>, b: ReverseIterableMapNode<K, V>) => number} */
+		const compareNodes = (a, b) => compare(/** @type {[K, V]} */ (entries.get(a)), /** @type {[K, V]} */ (entries.get(b)))
+
+		let sortedFirstNode
+		try {
+			sortedFirstNode = this._mergeSortNodes(firstNode, entries.size, compareNodes)
+		} catch (error) {
+			// The merge sort only changes the `nextNode` links, so they can be restored from the `prevNode` links.
+			/** @type {ReverseIterableMapNode<K, V> | null} */ let nextNode = null
+			for (let node = this._lastNode; node !== null; node = node.prevNode) {
+				node.nextNode = nextNode
+				nextNode = node
+			}
+
+			throw error
+		}
+
+		/** @type {ReverseIterableMapNode<K, V> | null} */ let prevNode = null
+		for (let node = /** @type {ReverseIterableMapNode<K, V> | null} */ (sortedFirstNode); node !== null; node = node.nextNode) {
+			node.prevNode = prevNode
+			prevNode = node
+		}
+
+		this._positionalIndex = null
+		this._firstNode = sortedFirstNode
+		this._lastNode = prevNode
+
+		if (previousKeys !== null) {
+			this._notify({ type: 'sort', previousKeys })
+		}
+
+		return this
+	}
+
+	/**
+	 * The `toSorted()` method returns a new `ReverseIterableMap` object with the elements sorted like with `sort()`. The map itself is not changed.
+	 *
+	 * @param {(a: [K, V], b: [K, V]) => number} [compareFn]
+	 * @returns {ReverseIterableMap<K, V>}
+	 */
+	toSorted(compareFn) {
+		if (compareFn !== undefined && typeof compareFn !== 'function') {
+			throw new TypeError('The comparison function must be either a function or undefined')
+		}
+
+		/** @type {ReverseIterableMap<K, V>} */ const map = new ReverseIterableMap()
+
+		for (let node = this._getTraversalStartNode(true); node !== null; node = node.nextNode) {
+			map.set(node.key, node.value)
+		}
+
+		return map.sort(compareFn)
+	}
+
+	/**
+	 * The `toJSON()` method returns the elements of a `ReverseIterableMap` object as an array of key-value pairs in insertion order. [`JSON.stringify()`][1] calls it so that a map is serialized as an array of entries instead of as an empty object.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/stringify
+	 *
+	 * @returns {[K, V][]}
+	 */
+	toJSON() {
+		/** @type {[K, V][]} */ const entries = []
+
+		for (let node = this._getTraversalStartNode(true); node !== null; node = node.nextNode) {
+			entries.push([node.key, node.value])
+		}
+
+		return entries
+	}
+
+	/**
+	 * The `toTransferable()` method returns the elements of a `ReverseIterableMap` object as a plain object which survives `structuredClone()` and `postMessage()`. A map itself can’t be cloned because its prototype would be lost. Keys and values are cloned by the structured clone algorithm too, so they must be cloneable.
+	 *
+	 * @returns {TransferableReverseIterableMap<K, V>}
+	 */
+	toTransferable() {
+		return { type: 'ReverseIterableMap', entries: this.toJSON() }
+	}
+
+	/**
+	 * The `find()` method returns the value of the first element for which `predicate` returns a truthy value.
+	 *
+	 * @param {(value: V, key: K, map: ReverseIterableMap<K, V>) => unknown} predicate
+	 * @param {any} [thisArg]
+	 * @returns {V | undefined}
+	 */
+	find(predicate, thisArg) {
+		const node = this._findNode(predicate, thisArg, true)
+		return node !== null ? node.value : undefined
+	}
+
+	/**
+	 * The `findLast()` method returns the value of the last element for which `predicate` returns a truthy value.
+	 *
+	 * @param {(value: V, key: K, map: ReverseIterableMap<K, V>) => unknown} predicate
+	 * @param {any} [thisArg]
+	 * @returns {V | undefined}
+	 */
+	findLast(predicate, thisArg) {
+		const node = this._findNode(predicate, thisArg, false)
+		return node !== null ? node.value : undefined
+	}
+
+	/**
+	 * The `findKey()` method returns the key of the first element for which `predicate` returns a truthy value.
+	 *
+	 * @param {(value: V, key: K, map: ReverseIterableMap<K, V>) => unknown} predicate
+	 * @param {any} [thisArg]
+	 * @returns {K | undefined}
+	 */
+	findKey(predicate, thisArg) {
+		const node = this._findNode(predicate, thisArg, true)
+		return node !== null ? node.key : undefined
+	}
+
+	/**
+	 * The `findLastKey()` method returns the key of the last element for which `predicate` returns a truthy value.
+	 *
+	 * @param {(value: V, key: K, map: ReverseIterableMap<K, V>) => unknown} predicate
+	 * @param {any} [thisArg]
+	 * @returns {K | undefined}
+	 */
+	findLastKey(predicate, thisArg) {
+		const node = this._findNode(predicate, thisArg, false)
+		return node !== null ? node.key : undefined
+	}
+
+	/**
+	 * The `reduce()` method executes `callbackfn` for each element in insertion order, passing in the return value of the previous call. For reference, see [`Array.prototype.reduce`][1].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/reduce
+	 *
+	 * @template U
+	 * @param {(accumulator: U, value: V, key: K, map: ReverseIterableMap<K, V>) => U} callbackfn
+	 * @param {U} [initialValue] The first accumulator. Defaults to the value of the first element.
+	 * @returns {U}
+	 * @throws {TypeError} if the map is empty and no initial value is passed.
+	 */
+	reduce(callbackfn, initialValue) {
+		return this._reduceNodes(callbackfn, arguments.length > 1, initialValue, true)
+	}
+
+	/**
+	 * The `reduceRight()` method works like `reduce()` but in reverse insertion order. For reference, see [`Array.prototype.reduceRight`][1].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/reduceRight
+	 *
+	 * @template U
+	 * @param {(accumulator: U, value: V, key: K, map: ReverseIterableMap<K, V>) => U} callbackfn
+	 * @param {U} [initialValue] The first accumulator. Defaults to the value of the last element.
+	 * @returns {U}
+	 * @throws {TypeError} if the map is empty and no initial value is passed.
+	 */
+	reduceRight(callbackfn, initialValue) {
+		return this._reduceNodes(callbackfn, arguments.length > 1, initialValue, false)
+	}
+
+	/**
+	 * @param {(value: V, key: K, map: ReverseIterableMap<K, V>) => unknown} predicate
+	 * @param {any} thisArg
+	 * @param {boolean} forwards
+	 * @returns {ReverseIterableMapNode<K, V> | null}
+	 */
+	_findNode(predicate, thisArg, forwards) {
+		for (let node = this._getTraversalStartNode(forwards); node !== null; node = forwards ? node.nextNode : node.prevNode) {
+			if (predicate.call(thisArg, node.value, node.key, this)) {
+				return node
+			}
+		}
+
+		return null
+	}
+
+	/**
+	 * @template U
+	 * @param {(accumulator: U, value: V, key: K, map: ReverseIterableMap<K, V>) => U} callbackfn
+	 * @param {boolean} hasInitialValue
+	 * @param {U | undefined} initialValue
+	 * @param {boolean} forwards
+	 * @returns {U}
+	 */
+	_reduceNodes(callbackfn, hasInitialValue, initialValue, forwards) {
+		let node = this._getTraversalStartNode(forwards)
+		let accumulator = initialValue
+
+		if (!hasInitialValue) {
+			if (node === null) {
+				throw new TypeError('Reduce of empty map with no initial value')
+			}
+
+			accumulator = /** @type {U} */ (/** @type {unknown} */ (node.value))
+			node = forwards ? node.nextNode : node.prevNode
+		}
+
+		for (; node !== null; node = forwards ? node.nextNode : node.prevNode) {
+			accumulator = callbackfn(/** @type {U} */ (accumulator), node.value, node.key, this)
+		}
+
+		return /** @type {U} */ (accumulator)
+	}
+
+	/**
+	 * Sorts the `length` nodes starting at `firstNode` by their `nextNode` links and returns the new first node. The last node's `nextNode` is set to `null`; the `prevNode` links are left for the caller to fix.
+	 *
+	 * @param {ReverseIterableMapNode<K, V>} firstNode
+	 * @param {number} length
+	 * @param {(a: ReverseIterableMapNode<K, V>, b: ReverseIterableMapNode<K, V>) => number} compareNodes
+	 * @returns {ReverseIterableMapNode<K, V>}
+	 */
+	_mergeSortNodes(firstNode, length, compareNodes) {
+		if (length === 1) {
+			firstNode.nextNode = null
+			return firstNode
+		}
+
+		const leftLength = Math.floor(length / 2)
+		let rightFirstNode = firstNode
+		for (let i = 0; i < leftLength; i++) {
+			rightFirstNode = /** @type {ReverseIterableMapNode<K, V>} */ (rightFirstNode.nextNode)
+		}
+
+		/** @type {ReverseIterableMapNode<K, V> | null} */ let leftNode = this._mergeSortNodes(firstNode, leftLength, compareNodes)
+		/** @type {ReverseIterableMapNode<K, V> | null} */ let rightNode = this._mergeSortNodes(rightFirstNode, length - leftLength, compareNodes)
+		/** @type {ReverseIterableMapNode<K, V> | null} */ let sortedFirstNode = null
+		/** @type {ReverseIterableMapNode<K, V> | null} */ let sortedLastNode = null
+
+		while (leftNode !== null && rightNode !== null) {
+			let node
+			// Taking the left node on ties keeps the sort stable. Like `Array.prototype.sort()`, `NaN` counts as a tie.
+			if (compareNodes(leftNode, rightNode) > 0) {
+				node = rightNode
+				rightNode = rightNode.nextNode
+			} else {
+				node = leftNode
+				leftNode = leftNode.nextNode
+			}
+
+			if (sortedLastNode === null) {
+				sortedFirstNode = node
+			} else {
+				sortedLastNode.nextNode = node
+			}
+
+			sortedLastNode = node
+		}
+
+		/** @type {ReverseIterableMapNode<K, V>} */ (sortedLastNode).nextNode = leftNode !== null ? leftNode : rightNode
+
+		return /** @type {ReverseIterableMapNode<K, V>} */ (sortedFirstNode)
+	}
+
+	/**
+	 * Returns the node to start walking the node chain from. Subclasses can override this to prepare the map for traversal.
+	 *
+	 * @param {boolean} forwards
+	 * @returns {ReverseIterableMapNode<K, V> | null}
+	 */
+	_getTraversalStartNode(forwards) {
+		return forwards ? this._firstNode : this._lastNode
+	}
+
+	/**
+	 * The initial value of the [@@iterator][1] property is the same function object as the initial value of the entries property.
+	 *
+	 * [1]:  https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/@@iterator
+	 *
+	 * @returns {ReverseIterableIterator<[K, V]>}
+	 */
+	[Symbol.iterator]() {
+		return this.entries()
+	}
+
+	/**
+	 * Allows usage of the [iteration protocols][1] for reverse iteration.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols
+	 *
+	 * @returns {ReverseIterableIterator<[K, V]>}
+	 */
+	reverseIterator() {
+		return this.entries().reverseIterator()
+	}
+
+	/**
+	 * The `entries()` method returns a new [Iterator][1] object that contains the `[key, value]`
+	 * pairs for each element in a `ReverseIterableMap` object in insertion order.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @returns {ReverseIterableIterator<[K, V]>}
+	 */
+	entries() {
+		const getIteratorValue = /** @type {(node: ReverseIterableMapNode<K, V>) => [K, V]} */ (node) => [node.key, node.value]
+
+		return this._iterableIterator(getIteratorValue)
+	}
+
+	/**
+	 * The `keys()` method returns a new [Iterator][1] object that contains the keys for each
+	 * element in a `ReverseIterableMap` object in insertion order.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @returns {ReverseIterableIterator<K>}
+	 */
+	keys() {
+		const getIteratorValue = /** @type {(node: ReverseIterableMapNode<K, V>) => K} */ (node) => node.key
+
+		return this._iterableIterator(getIteratorValue)
+	}
+
+	/**
+	 * The `values()` method returns a new [Iterator][1] object that contains the values for each
+	 * element in a `ReverseIterableMap` object in insertion order.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @returns {ReverseIterableIterator<V>}
+	 */
+	values() {
+		const getIteratorValue = /** @type {(node: ReverseIterableMapNode<K, V>) => V} */ (node) => node.value
 
 		return this._iterableIterator(getIteratorValue)
 	}
 
 	/**
-	 * The `values()` method returns a new [Iterator][1] object that contains the values for each
-	 * element in a `ReverseIterableMap` object in insertion order.
+	 * The `iteratorFor()` method returns a new [Iterator][1] object that contains the
+	 * `[key, value]` pairs for each element in a `ReverseIterableMap` object in insertion order
+	 *  **starting with the pair specified by the `key` parameter**.
+	 *
+	 * If no element with the key `key` exists, the iterator is empty or, with the `strict` option, an error is thrown.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @param {K} key The key of the element to start iterating from.
+	 * @param {IteratorForOptions} [options]
+	 * @returns {ReverseIterableIterator<[K, V]>}
+	 * @throws {ReferenceError} if no element with the key `key` exists and the `strict` option is set.
+	 */
+	iteratorFor(key, options) {
+		const getIteratorValue = /** @type {(node: ReverseIterableMapNode<K, V>) => [K, V]} */ (node) => [node.key, node.value]
+
+		return this._iteratorFor(key, getIteratorValue, options)
+	}
+
+	/**
+	 * The `keysFor()` method works like `iteratorFor()` but returns an iterator that contains the keys.
+	 *
+	 * @param {K} key The key of the element to start iterating from.
+	 * @param {IteratorForOptions} [options]
+	 * @returns {ReverseIterableIterator<K>}
+	 * @throws {ReferenceError} if no element with the key `key` exists and the `strict` option is set.
+	 */
+	keysFor(key, options) {
+		const getIteratorValue = /** @type {(node: ReverseIterableMapNode<K, V>) => K} */ (node) => node.key
+
+		return this._iteratorFor(key, getIteratorValue, options)
+	}
+
+	/**
+	 * The `valuesFor()` method works like `iteratorFor()` but returns an iterator that contains the values.
+	 *
+	 * @param {K} key The key of the element to start iterating from.
+	 * @param {IteratorForOptions} [options]
+	 * @returns {ReverseIterableIterator<V>}
+	 * @throws {ReferenceError} if no element with the key `key` exists and the `strict` option is set.
+	 */
+	valuesFor(key, options) {
+		const getIteratorValue = /** @type {(node: ReverseIterableMapNode<K, V>) => V} */ (node) => node.value
+
+		return this._iteratorFor(key, getIteratorValue, options)
+	}
+
+	/**
+	 * @param {K} key
+	 * @param {(node: ReverseIterableMapNode<K, V>) => [K, V] | K | V} getIteratorValue
+	 * @param {IteratorForOptions} [options]
+	 * @returns {ReverseIterableIterator<any>}
+	 */
+	_iteratorFor(key, getIteratorValue, { strict = false } = {}) {
+		const startNode = strict ? this._getReferenceNode(key) : this._map.get(key)
+
+		// Don’t fall back to iterating the whole map for a missing key.
+		if (startNode === undefined) {
+			return this._iterableIterator(getIteratorValue, null, null)
+		}
+
+		return this._iterableIterator(getIteratorValue, startNode)
+	}
+
+	/**
+	 * The `range()` method returns a new [Iterator][1] object that contains the `[key, value]` pairs for the elements between the elements specified by `fromKey` and `toKey`.
+	 *
+	 * The iterator walks from `fromKey` towards `toKey` in insertion order or, with the `reverse` option, in reverse insertion order. If `toKey` cannot be reached that way, the iterator is empty.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @param {K} fromKey The key of the element to start iterating from.
+	 * @param {K} toKey The key of the element to stop iterating at.
+	 * @param {RangeOptions} [options]
+	 * @returns {ReverseIterableIterator<[K, V]>}
+	 * @throws {ReferenceError} if no element with the key `fromKey` or `toKey` exists.
+	 */
+	range(fromKey, toKey, { inclusive = true, reverse = false } = {}) {
+		const fromNode = this._getReferenceNode(fromKey)
+		const toNode = this._getReferenceNode(toKey)
+		const getIteratorValue = /** @type {(node: ReverseIterableMapNode<K, V>) => [K, V]} */ (node) => [node.key, node.value]
+		const [startNode, endNode] = reverse
+			? this._getRangeNodes(toNode, fromNode, inclusive)
+			: this._getRangeNodes(fromNode, toNode, inclusive)
+		const iterator = this._iterableIterator(getIteratorValue, startNode, endNode)
+
+		return reverse ? iterator.reverseIterator() : iterator
+	}
+
+	/**
+	 * The `slice()` method returns a new `ReverseIterableMap` object with the elements between the elements specified by `fromKey` and `toKey`. It takes the same arguments as `range()`.
+	 *
+	 * @param {K} fromKey The key of the element to start with.
+	 * @param {K} toKey The key of the element to end with.
+	 * @param {RangeOptions} [options]
+	 * @returns {ReverseIterableMap<K, V>}
+	 * @throws {ReferenceError} if no element with the key `fromKey` or `toKey` exists.
+	 */
+	slice(fromKey, toKey, options) {
+		return new ReverseIterableMap(this.range(fromKey, toKey, options))
+	}
+
+	/**
+	 * Returns the first and last node of a range in insertion order or `null` for both if the range is empty.
+	 *
+	 * @param {ReverseIterableMapNode<K, V>} firstNode
+	 * @param {ReverseIterableMapNode<K, V>} lastNode
+	 * @param {boolean} inclusive Whether `firstNode` and `lastNode` are part of the range.
+	 * @returns {[ReverseIterableMapNode<K, V>, ReverseIterableMapNode<K, V>] | [null, null]}
+	 */
+	_getRangeNodes(firstNode, lastNode, inclusive) {
+		let distance = 0
+		let node = firstNode
+
+		while (node !== lastNode) {
+			if (node.nextNode === null) {
+				// `lastNode` comes before `firstNode`.
+				return [null, null]
+			}
+
+			node = node.nextNode
+			distance++
+		}
+
+		if (inclusive) {
+			return [firstNode, lastNode]
+		}
+
+		if (distance < 2 || firstNode.nextNode === null || lastNode.prevNode === null) {
+			return [null, null]
+		}
+
+		return [firstNode.nextNode, lastNode.prevNode]
+	}
+
+	/**
+	 * The `cursor()` method returns a new cursor pointing at the element specified by `key` or, if no key is passed, at the first element. A cursor can move in both directions and edit the map at its position.
+	 *
+	 * @param {K} [key] The key of the element to point at.
+	 * @returns {ReverseIterableMapCursor<K, V>}
+	 * @throws {ReferenceError} if a key is passed and no element with that key exists.
+	 */
+	cursor(key) {
+		// Check the number of arguments because `undefined` is a valid key.
+		return arguments.length > 0 ? new ReverseIterableMapCursor(this, key) : new ReverseIterableMapCursor(this)
+	}
+
+	/**
+	 * The `subscribe()` method registers a function which is called with change records after each change of a `ReverseIterableMap` object. Like with `addEventListener()`, subscribing the same function again has no effect.
+	 *
+	 * Each call gets passed an array of change records and the map itself. Outside of `batch()`, the array contains the records of a single method call, e.g. an `'update'` and a `'move'` record for `insertBefore()` with an existing key.
+	 *
+	 * If listeners throw, the remaining listeners are still called. Afterwards, the error or, if several listeners threw, an `AggregateError` is thrown by the method which made the change. The change itself is not undone.
+	 *
+	 * Note that while there are listeners, most changes compute the positions of the changed elements which takes linear time unless the map maintains a positional index.
+	 *
+	 * @param {ChangeListener<K, V>} listener
+	 * @returns {() => void} a function which removes the listener again.
+	 */
+	subscribe(listener) {
+		if (typeof listener !== 'function') {
+			throw new TypeError(`${String(listener)} is not a function`)
+		}
+
+		this._listeners.add(listener)
+
+		return () => {
+			this._listeners.delete(listener)
+		}
+	}
+
+	/**
+	 * The `batch()` method calls `fn` and notifies the listeners once with the change records of all changes made during the call. Nested calls are part of the outermost batch.
 	 *
-	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 * The listeners are notified even if `fn` throws. In that case, the error of `fn` is rethrown and errors thrown by listeners are reported like uncaught exceptions instead of replacing it.
 	 *
-	 * @returns {ReverseIterableIterator<V>}
+	 * @template T
+	 * @param {(map: this) => T} fn
+	 * @returns {T} the return value of `fn`.
 	 */
-	values() {
-		const getIteratorValue = /** @type {(node: ReverseIterableMapNode<K, V>) => V} */ (node) => node.value
+	batch(fn) {
+		if (this._pendingRecords !== null) {
+			return fn(this)
+		}
 
-		return this._iterableIterator(getIteratorValue)
+		/** @type {ChangeRecord<K, V>[]} */ const records = []
+		this._pendingRecords = records
+		let result
+
+		try {
+			result = fn(this)
+		} catch (error) {
+			this._pendingRecords = null
+
+			if (records.length > 0) {
+				try {
+					this._dispatchRecords(records)
+				} catch (listenerError) {
+					reportUncaughtError(listenerError)
+				}
+			}
+
+			throw error
+		}
+
+		this._pendingRecords = null
+
+		if (records.length > 0) {
+			this._dispatchRecords(records)
+		}
+
+		return result
 	}
 
 	/**
-	 * The `iteratorFor()` method returns a new [Iterator][1] object that contains the
-	 * `[key, value]` pairs for each element in a `ReverseIterableMap` object in insertion order
-	 *  **starting with the pair specified by the `key` parameter**.
+	 * The `transaction()` method calls `fn` and applies its changes atomically: If `fn` throws, the map is restored to its state before the call and the error is rethrown.
 	 *
-	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 * The listeners are notified once with the change records of all changes after `fn` returns. If the changes are rolled back, they are not notified at all. Nested transactions roll back only their own changes.
 	 *
-	 * @param {K} key The key of the element to start iterating from.
-	 * @returns {ReverseIterableIterator<[K, V]>}
+	 * Starting a transaction copies the map’s internal state which takes linear time. `fn` must be synchronous.
+	 *
+	 * @template T
+	 * @param {(map: this) => T} fn
+	 * @returns {T} the return value of `fn`.
 	 */
-	iteratorFor(key) {
-		let startNode = this._map.get(key)
-		const getIteratorValue = /** @type {(node: ReverseIterableMapNode<K, V>) => [K, V]} */ (node) => [node.key, node.value]
+	transaction(fn) {
+		const snapshot = this._createSnapshot()
+		const outerRecords = this._pendingRecords
+		/** @type {ChangeRecord<K, V>[]} */ const records = outerRecords ?? []
+		const outerRecordCount = records.length
+		let result
 
-		return this._iterableIterator(getIteratorValue, startNode)
+		this._pendingRecords = records
+
+		try {
+			result = fn(this)
+		} catch (error) {
+			this._restoreSnapshot(snapshot)
+			records.length = outerRecordCount
+
+			throw error
+		} finally {
+			this._pendingRecords = outerRecords
+		}
+
+		if (outerRecords === null && records.length > 0) {
+			this._dispatchRecords(records)
+		}
+
+		return result
+	}
+
+	/**
+	 * Copies the state which `transaction()` needs to roll back changes.
+	 *
+	 * @returns {MapSnapshot<K, V>}
+	 */
+	_createSnapshot() {
+		/** @type {MapSnapshot<K, V>['nodes']} */ const nodes = []
+
+		for (const node of this._map.values()) {
+			nodes.push([node, node.value, node.prevNode, node.nextNode])
+		}
+
+		return {
+			map: new Map(this._map),
+			nodes,
+			firstNode: this._firstNode,
+			lastNode: this._lastNode,
+			generation: this._generation,
+		}
+	}
+
+	/**
+	 * Restores the state copied by `_createSnapshot()`.
+	 *
+	 * @param {MapSnapshot<K, V>} snapshot
+	 */
+	_restoreSnapshot(snapshot) {
+		// Let iterators and cursors skip nodes which were added in the meantime.
+		for (const node of this._map.values()) {
+			if (snapshot.map.get(node.key) !== node) {
+				node.removed = true
+			}
+		}
+
+		for (const [node, value, prevNode, nextNode] of snapshot.nodes) {
+			node.value = value
+			node.prevNode = prevNode
+			node.nextNode = nextNode
+			node.removed = false
+		}
+
+		this._map = snapshot.map
+		this._firstNode = snapshot.firstNode
+		this._lastNode = snapshot.lastNode
+		this._positionalIndex = null
+
+		// After `clear()`, iterators and cursors were already reset so they must not pick up the restored nodes again.
+		if (this._generation !== snapshot.generation) {
+			this._generation++
+		}
+	}
+
+	/**
+	 * Whether there are change listeners. Change records only need to be created if this is `true`.
+	 *
+	 * @returns {boolean}
+	 */
+	_isObserved() {
+		return this._listeners.size > 0
+	}
+
+	/**
+	 * @param {ReverseIterableMapNode<K, V>} node The newly linked node.
+	 */
+	_notifyInsert(node) {
+		if (this._isObserved()) {
+			this._notify({ type: 'insert', key: node.key, value: node.value, index: this._getNodeIndex(node) })
+		}
+	}
+
+	/**
+	 * Passes a change record to the listeners or, during `batch()`, queues it.
+	 *
+	 * @param {ChangeRecord<K, V>} record
+	 */
+	_notify(record) {
+		if (this._pendingRecords !== null) {
+			this._pendingRecords.push(record)
+		} else {
+			this._dispatchRecords([record])
+		}
+	}
+
+	/**
+	 * Calls every listener even if some of them throw and rethrows their errors afterwards.
+	 *
+	 * @param {ChangeRecord<K, V>[]} records
+	 */
+	_dispatchRecords(records) {
+		/** @type {unknown[]} */ const errors = []
+
+		// Copy the listeners so that (un-)subscribing during a notification doesn’t affect it.
+		for (const listener of [...this._listeners]) {
+			try {
+				listener(records, this)
+			} catch (error) {
+				errors.push(error)
+			}
+		}
+
+		if (errors.length === 1) {
+			throw errors[0]
+		} else if (errors.length > 1) {
+			throw new AggregateError(errors, 'change listeners threw errors')
+		}
 	}
 
 	/**
@@ -358,20 +1843,26 @@ export default class ReverseIterableMap {
 	 *
 	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols
 	 *
+	 * If an `endNode` is passed, the iterator only visits the nodes from `startNode` to `endNode`: forwards starting with `startNode` and backwards starting with `endNode`. Passing `null` for both creates an empty iterator.
+	 *
 	 * @param {(node: ReverseIterableMapNode<K, V>) => [K, V] | K | V} getIteratorValue
-	 * @param {ReverseIterableMapNode<K, V>} [startNode] Node to start iterating from
+	 * @param {ReverseIterableMapNode<K, V> | null} [startNode] Node to start iterating from
+	 * @param {ReverseIterableMapNode<K, V> | null} [endNode] Node to stop iterating at
 	 * @returns {ReverseIterableIterator<any>} a reverse-iterable iterator
 	 */
-	_iterableIterator(getIteratorValue, startNode) {
-		// Store `this._lastNode` because inside the `reverseIterator()` method, `this` will be
-		// bound to the `_iterableIterator` method, not the `ReverseIterableMap` object.
-		const lastNode = this._lastNode
-		let currentNode = startNode !== undefined ? startNode : this._firstNode
+	_iterableIterator(getIteratorValue, startNode, endNode) {
+		// Store a reference to the map because inside the iterator’s methods, `this` will be bound to
+		// the iterator, not the `ReverseIterableMap` object.
+		const map = this
+		const generation = this._generation
+		/** @type {ReverseIterableMapNode<K, V> | null} */ let lastVisitedNode = null
+		let isDone = startNode === null
 		let forwards = true
 
-		return {
+		return createReverseIterableIterator({
 			reverseIterator() {
-				currentNode = startNode !== undefined ? startNode : lastNode
+				lastVisitedNode = null
+				isDone = startNode === null
 				forwards = false
 
 				// Return the iterable itself.
@@ -384,18 +1875,420 @@ export default class ReverseIterableMap {
 			},
 
 			next() {
-				let value
+				// Clearing the map ends all iterators.
+				if (!isDone && generation !== map._generation) {
+					isDone = true
+				}
+
+				const node = isDone ? null : map._getNextIteratorNode(lastVisitedNode, forwards, startNode, endNode)
 
-				if (currentNode !== null) {
-					value = getIteratorValue(currentNode)
-					currentNode = forwards ? currentNode.nextNode : currentNode.prevNode
+				// The iterator is done once it walked past the end of the node chain. The value can’t be used for that because `undefined` is a valid key and value.
+				if (node === null) {
+					isDone = true
+
+					return {
+						value: undefined,
+						done: true,
+					}
 				}
 
+				lastVisitedNode = node
+				const value = getIteratorValue(node)
+
 				return {
 					value: value,
-					done: value === undefined,
+					done: false,
 				}
 			},
+		})
+	}
+
+	/**
+	 * Returns the node an iterator visits next or `null` if it is done.
+	 *
+	 * Iterators resolve their next node lazily so that they see the map’s current state: Elements added ahead of an iterator are visited and deleted elements are skipped.
+	 *
+	 * @param {ReverseIterableMapNode<K, V> | null} lastVisitedNode The node visited last or `null` if the iterator hasn’t started yet.
+	 * @param {boolean} forwards
+	 * @param {ReverseIterableMapNode<K, V> | null} [startNode]
+	 * @param {ReverseIterableMapNode<K, V> | null} [endNode]
+	 * @returns {ReverseIterableMapNode<K, V> | null}
+	 */
+	_getNextIteratorNode(lastVisitedNode, forwards, startNode, endNode) {
+		let node = this._findNextIteratorNode(lastVisitedNode, forwards, startNode, endNode)
+
+		while (node !== null && this._purgeStaleNode(node)) {
+			node = this._findNextIteratorNode(lastVisitedNode, forwards, startNode, endNode)
+		}
+
+		return node
+	}
+
+	/**
+	 * @param {ReverseIterableMapNode<K, V> | null} lastVisitedNode
+	 * @param {boolean} forwards
+	 * @param {ReverseIterableMapNode<K, V> | null} [startNode]
+	 * @param {ReverseIterableMapNode<K, V> | null} [endNode]
+	 * @returns {ReverseIterableMapNode<K, V> | null}
+	 */
+	_findNextIteratorNode(lastVisitedNode, forwards, startNode, endNode) {
+		if (lastVisitedNode === null) {
+			const originNode = forwards || endNode === undefined ? startNode : endNode
+
+			if (originNode === undefined || originNode === null) {
+				return forwards ? this._firstNode : this._lastNode
+			}
+
+			return originNode.removed ? this._getFollowingNode(originNode, forwards) : originNode
+		}
+
+		const stopNode = endNode === undefined ? undefined : forwards ? endNode : startNode
+
+		if (stopNode !== undefined && stopNode !== null) {
+			// If the stop node was deleted, the range ends with the closest node before it.
+			const liveStopNode = this._findLiveNode(stopNode, !forwards)
+
+			if (liveStopNode === null || liveStopNode === lastVisitedNode) {
+				return null
+			}
+		}
+
+		return this._getFollowingNode(lastVisitedNode, forwards)
+	}
+
+	/**
+	 * Removes a node which is no longer valid right before an iterator or cursor visits it. Subclasses like `ExpiringReverseIterableMap` use it to skip elements which expired after the iterator or cursor was created.
+	 *
+	 * @param {ReverseIterableMapNode<K, V>} _node
+	 * @returns {boolean} `true` if the node was removed.
+	 */
+	_purgeStaleNode(_node) {
+		return false
+	}
+
+	/**
+	 * Returns the node following `node` in the given direction.
+	 *
+	 * A deleted node keeps the links to the neighbors it had at the time. Starting from there, the closest node which is still in the map determines the position.
+	 *
+	 * @param {ReverseIterableMapNode<K, V>} node
+	 * @param {boolean} forwards
+	 * @returns {ReverseIterableMapNode<K, V> | null}
+	 */
+	_getFollowingNode(node, forwards) {
+		if (!node.removed) {
+			return forwards ? node.nextNode : node.prevNode
+		}
+
+		const anchorNode = this._findLiveNode(node, !forwards)
+
+		if (anchorNode === null) {
+			return forwards ? this._firstNode : this._lastNode
 		}
+
+		return forwards ? anchorNode.nextNode : anchorNode.prevNode
+	}
+
+	/**
+	 * Returns the closest node which is still in the map starting with `node` itself and following the links of deleted nodes in the given direction.
+	 *
+	 * @param {ReverseIterableMapNode<K, V> | null} node
+	 * @param {boolean} forwards
+	 * @returns {ReverseIterableMapNode<K, V> | null}
+	 */
+	_findLiveNode(node, forwards) {
+		let liveNode = node
+
+		while (liveNode !== null && liveNode.removed) {
+			liveNode = forwards ? liveNode.nextNode : liveNode.prevNode
+		}
+
+		return liveNode
+	}
+}
+
+/**
+ * Compares two entries by their keys like `Array.prototype.sort()` compares elements without a comparison function: `undefined` comes last and everything else is compared as a string.
+ *
+ * @param {[unknown, unknown]} a
+ * @param {[unknown, unknown]} b
+ * @returns {number}
+ */
+function compareEntriesByKey([a], [b]) {
+	if (a === undefined || b === undefined) {
+		return a === b ? 0 : a === undefined ? 1 : -1
+	}
+
+	const stringA = String(a)
+	const stringB = String(b)
+
+	return stringA < stringB ? -1 : stringA > stringB ? 1 : 0
+}
+
+/**
+ * Reports an error which can’t be thrown like an uncaught exception: with `reportError()` where it exists and by throwing it from a microtask otherwise.
+ *
+ * @param {unknown} error
+ */
+function reportUncaughtError(error) {
+	if (typeof globalThis.reportError === 'function') {
+		globalThis.reportError(error)
+	} else {
+		queueMicrotask(() => {
+			throw error
+		})
+	}
+}
+
+/**
+ * Builds a positional index over the list starting with `firstNode` in linear time.
+ *
+ * Assigns random priorities in list order and keeps the right spine of the tree built so far on a stack: Each new node becomes the right child of the last spine node with a greater priority and takes the spine nodes with smaller priorities as its left subtree.
+ *
+ * @template K, V
+ * @param {ReverseIterableMapNode<K, V> | null} firstNode
+ * @returns {PositionalIndex<K, V>}
+ */
+function buildPositionalIndex(firstNode) {
+	/** @type {PositionalIndex<K, V>} */ const positionalIndex = { root: null, indexNodes: new Map() }
+	/** @type {PositionalIndexNode<K, V>[]} */ const spine = []
+
+	for (let node = firstNode; node !== null; node = node.nextNode) {
+		const indexNode = createIndexNode(node)
+		positionalIndex.indexNodes.set(node, indexNode)
+
+		/** @type {PositionalIndexNode<K, V> | null} */ let left = null
+		while (spine.length > 0 && /** @type {PositionalIndexNode<K, V>} */ (spine[spine.length - 1]).priority < indexNode.priority) {
+			left = /** @type {PositionalIndexNode<K, V>} */ (spine.pop())
+			updateIndexNodeSize(left)
+		}
+
+		setIndexNodeChild(indexNode, 'left', left)
+
+		const parent = spine[spine.length - 1]
+		if (parent !== undefined) {
+			setIndexNodeChild(parent, 'right', indexNode)
+		}
+
+		spine.push(indexNode)
+	}
+
+	// The bottom of the spine is the root.
+	positionalIndex.root = spine[0] ?? null
+
+	while (spine.length > 0) {
+		updateIndexNodeSize(/** @type {PositionalIndexNode<K, V>} */ (spine.pop()))
+	}
+
+	return positionalIndex
+}
+
+/**
+ * @template K, V
+ * @param {ReverseIterableMapNode<K, V>} node
+ * @returns {PositionalIndexNode<K, V>}
+ */
+function createIndexNode(node) {
+	return { node, priority: Math.random(), size: 1, left: null, right: null, parent: null }
+}
+
+/**
+ * @template K, V
+ * @param {PositionalIndexNode<K, V> | null} indexNode
+ * @returns {number}
+ */
+function getIndexNodeSize(indexNode) {
+	return indexNode !== null ? indexNode.size : 0
+}
+
+/**
+ * @template K, V
+ * @param {PositionalIndexNode<K, V>} indexNode
+ */
+function updateIndexNodeSize(indexNode) {
+	indexNode.size = getIndexNodeSize(indexNode.left) + getIndexNodeSize(indexNode.right) + 1
+}
+
+/**
+ * @template K, V
+ * @param {PositionalIndexNode<K, V>} parent
+ * @param {'left' | 'right'} side
+ * @param {PositionalIndexNode<K, V> | null} child
+ */
+function setIndexNodeChild(parent, side, child) {
+	parent[side] = child
+
+	if (child !== null) {
+		child.parent = parent
+	}
+}
+
+/**
+ * Returns the node at `position` which must be within bounds.
+ *
+ * @template K, V
+ * @param {PositionalIndex<K, V>} positionalIndex
+ * @param {number} position
+ * @returns {ReverseIterableMapNode<K, V> | undefined}
+ */
+function getIndexNodeAt(positionalIndex, position) {
+	let indexNode = positionalIndex.root
+	let remaining = position
+
+	while (indexNode !== null) {
+		const leftSize = getIndexNodeSize(indexNode.left)
+
+		if (remaining < leftSize) {
+			indexNode = indexNode.left
+		} else if (remaining > leftSize) {
+			remaining -= leftSize + 1
+			indexNode = indexNode.right
+		} else {
+			return indexNode.node
+		}
+	}
+
+	return undefined
+}
+
+/**
+ * Returns the position of `node` or `-1` if it isn’t in the index.
+ *
+ * @template K, V
+ * @param {PositionalIndex<K, V>} positionalIndex
+ * @param {ReverseIterableMapNode<K, V>} node
+ * @returns {number}
+ */
+function getIndexNodePosition(positionalIndex, node) {
+	let indexNode = positionalIndex.indexNodes.get(node)
+
+	if (indexNode === undefined) {
+		return -1
+	}
+
+	let position = getIndexNodeSize(indexNode.left)
+
+	for (let parent = indexNode.parent; parent !== null; indexNode = parent, parent = parent.parent) {
+		if (parent.right === indexNode) {
+			position += getIndexNodeSize(parent.left) + 1
+		}
+	}
+
+	return position
+}
+
+/**
+ * Adds `node` at `position` by splitting the tree there and merging the parts with the new node in between.
+ *
+ * @template K, V
+ * @param {PositionalIndex<K, V>} positionalIndex
+ * @param {ReverseIterableMapNode<K, V>} node
+ * @param {number} position
+ */
+function insertIndexNode(positionalIndex, node, position) {
+	const indexNode = createIndexNode(node)
+	positionalIndex.indexNodes.set(node, indexNode)
+
+	const [left, right] = splitIndexNodes(positionalIndex.root, position)
+	setIndexRoot(positionalIndex, mergeIndexNodes(mergeIndexNodes(left, indexNode), right))
+}
+
+/**
+ * Removes `node` by replacing its index node with the merge of its subtrees.
+ *
+ * @template K, V
+ * @param {PositionalIndex<K, V>} positionalIndex
+ * @param {ReverseIterableMapNode<K, V>} node
+ */
+function deleteIndexNode(positionalIndex, node) {
+	const indexNode = positionalIndex.indexNodes.get(node)
+
+	if (indexNode === undefined) {
+		return
+	}
+
+	positionalIndex.indexNodes.delete(node)
+
+	const replacement = mergeIndexNodes(indexNode.left, indexNode.right)
+	const parent = indexNode.parent
+
+	if (parent === null) {
+		setIndexRoot(positionalIndex, replacement)
+		return
+	}
+
+	setIndexNodeChild(parent, parent.left === indexNode ? 'left' : 'right', replacement)
+
+	for (let ancestor = /** @type {PositionalIndexNode<K, V> | null} */ (parent); ancestor !== null; ancestor = ancestor.parent) {
+		ancestor.size--
+	}
+}
+
+/**
+ * @template K, V
+ * @param {PositionalIndex<K, V>} positionalIndex
+ * @param {PositionalIndexNode<K, V> | null} root
+ */
+function setIndexRoot(positionalIndex, root) {
+	positionalIndex.root = root
+
+	if (root !== null) {
+		root.parent = null
+	}
+}
+
+/**
+ * Splits a tree into one with the first `count` nodes and one with the remaining nodes.
+ *
+ * @template K, V
+ * @param {PositionalIndexNode<K, V> | null} indexNode
+ * @param {number} count
+ * @returns {[PositionalIndexNode<K, V> | null, PositionalIndexNode<K, V> | null]}
+ */
+function splitIndexNodes(indexNode, count) {
+	if (indexNode === null) {
+		return [null, null]
+	}
+
+	const leftSize = getIndexNodeSize(indexNode.left)
+
+	if (count <= leftSize) {
+		const [left, right] = splitIndexNodes(indexNode.left, count)
+		setIndexNodeChild(indexNode, 'left', right)
+		updateIndexNodeSize(indexNode)
+		return [left, indexNode]
+	}
+
+	const [left, right] = splitIndexNodes(indexNode.right, count - leftSize - 1)
+	setIndexNodeChild(indexNode, 'right', left)
+	updateIndexNodeSize(indexNode)
+	return [indexNode, right]
+}
+
+/**
+ * Merges two trees whose nodes come one after another. The node with the greater priority becomes the root.
+ *
+ * @template K, V
+ * @param {PositionalIndexNode<K, V> | null} left
+ * @param {PositionalIndexNode<K, V> | null} right
+ * @returns {PositionalIndexNode<K, V> | null}
+ */
+function mergeIndexNodes(left, right) {
+	if (left === null) {
+		return right
+	}
+
+	if (right === null) {
+		return left
+	}
+
+	if (left.priority > right.priority) {
+		setIndexNodeChild(left, 'right', mergeIndexNodes(left.right, right))
+		updateIndexNodeSize(left)
+		return left
 	}
+
+	setIndexNodeChild(right, 'left', mergeIndexNodes(left, right.left))
+	updateIndexNodeSize(right)
+	return right
 }
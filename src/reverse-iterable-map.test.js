@@ -1,6 +1,7 @@
-import { describe, expect, test } from 'vitest'
+import { describe, expect, test, vi } from 'vitest'
 
 import ReverseIterableMap from './reverse-iterable-map.js'
+import ReverseIterableMapCursor from './reverse-iterable-map-cursor.js'
 
 describe('ReverseIterableMap', () => {
 	test('Construct map without argument', () => {
@@ -189,6 +190,113 @@ describe('ReverseIterableMap', () => {
 		expect([...map.values()]).toEqual(['a', 'b', 'omega'])
 	})
 
+	test('map.insertBefore()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+
+		expect(map.insertBefore(1, 0.5, 'ab')).toBe(map)
+		expect(map.insertBefore(0, -1, 'z')).toBe(map)
+
+		expect([...map.keys()]).toEqual([-1, 0, 0.5, 1, 2])
+		expect([...map.keys().reverseIterator()]).toEqual([2, 1, 0.5, 0, -1])
+		expect(map.get(0.5)).toBe('ab')
+		expect(map.size).toBe(5)
+	})
+
+	test('map.insertAfter()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+
+		expect(map.insertAfter(1, 1.5, 'bc')).toBe(map)
+		expect(map.insertAfter(2, 3, 'd')).toBe(map)
+
+		expect([...map.keys()]).toEqual([0, 1, 1.5, 2, 3])
+		expect([...map.keys().reverseIterator()]).toEqual([3, 2, 1.5, 1, 0])
+		expect(map.get(1.5)).toBe('bc')
+		expect(map.size).toBe(5)
+	})
+
+	test('map.insertBefore() and map.insertAfter() move existing keys', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+
+		map.insertBefore(0, 2, 'C')
+		expect([...map.entries()]).toEqual([[2, 'C'], [0, 'a'], [1, 'b']])
+
+		map.insertAfter(1, 2, 'c')
+		expect([...map.entries()]).toEqual([[0, 'a'], [1, 'b'], [2, 'c']])
+		expect([...map.keys().reverseIterator()]).toEqual([2, 1, 0])
+
+		map.insertAfter(0, 0, 'alpha')
+		expect([...map.entries()]).toEqual([[0, 'alpha'], [1, 'b'], [2, 'c']])
+		expect(map.size).toBe(3)
+	})
+
+	test('map.insertBefore() and map.insertAfter() with non-existing reference key', () => {
+		const map = new ReverseIterableMap([[0, 'a']])
+
+		expect(() => map.insertBefore(1, 2, 'b')).toThrowError(ReferenceError('reference key does not exist in map'))
+		expect(() => map.insertAfter(1, 2, 'b')).toThrowError(ReferenceError('reference key does not exist in map'))
+		expect([...map.keys()]).toEqual([0])
+	})
+
+	test('map.moveToFront() and map.moveToBack()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+
+		expect(map.moveToFront(2)).toBe(true)
+		expect([...map.keys()]).toEqual([2, 0, 1])
+		expect([...map.keys().reverseIterator()]).toEqual([1, 0, 2])
+
+		expect(map.moveToBack(2)).toBe(true)
+		expect([...map.keys()]).toEqual([0, 1, 2])
+		expect([...map.keys().reverseIterator()]).toEqual([2, 1, 0])
+
+		expect(map.moveToFront(0)).toBe(false)
+		expect(map.moveToBack(2)).toBe(false)
+		expect(map.moveToFront(3)).toBe(false)
+		expect(map.moveToBack(3)).toBe(false)
+		expect([...map.entries()]).toEqual([[0, 'a'], [1, 'b'], [2, 'c']])
+		expect(map.size).toBe(3)
+	})
+
+	test('map.moveBefore() and map.moveAfter()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+			[3, 'd'],
+		])
+
+		expect(map.moveBefore(1, 3)).toBe(true)
+		expect([...map.keys()]).toEqual([0, 3, 1, 2])
+
+		expect(map.moveAfter(2, 0)).toBe(true)
+		expect([...map.keys()]).toEqual([3, 1, 2, 0])
+		expect([...map.keys().reverseIterator()]).toEqual([0, 2, 1, 3])
+
+		expect(map.moveBefore(1, 3)).toBe(false)
+		expect(map.moveAfter(2, 0)).toBe(false)
+		expect(map.moveBefore(1, 1)).toBe(false)
+		expect(map.moveAfter(1, 4)).toBe(false)
+		expect([...map.keys()]).toEqual([3, 1, 2, 0])
+
+		expect(() => map.moveBefore(4, 1)).toThrowError(ReferenceError('reference key does not exist in map'))
+		expect(() => map.moveAfter(4, 1)).toThrowError(ReferenceError('reference key does not exist in map'))
+	})
+
 	test('map.delete() node at the start', () => {
 		const map = new ReverseIterableMap()
 			.set(0, 'Hello?')
@@ -256,6 +364,182 @@ describe('ReverseIterableMap', () => {
 		expect(map.size).toBe(1)
 	})
 
+	test('map.first() and map.last()', () => {
+		const map = new ReverseIterableMap()
+
+		expect(map.first()).toBe(undefined)
+		expect(map.last()).toBe(undefined)
+
+		map.set(0, 'a')
+		expect(map.first()).toEqual([0, 'a'])
+		expect(map.last()).toEqual([0, 'a'])
+
+		map.set(1, 'b').setFirst(-1, 'z')
+		expect(map.first()).toEqual([-1, 'z'])
+		expect(map.last()).toEqual([1, 'b'])
+		expect(map.size).toBe(3)
+	})
+
+	test('map.shift() and map.pop()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+
+		expect(map.shift()).toEqual([0, 'a'])
+		expect(map.pop()).toEqual([2, 'c'])
+		expect(map.size).toBe(1)
+		expect(map.has(0)).toBe(false)
+		expect(map.has(2)).toBe(false)
+
+		expect(map.pop()).toEqual([1, 'b'])
+		expect(map.shift()).toBe(undefined)
+		expect(map.pop()).toBe(undefined)
+		expect(map.size).toBe(0)
+	})
+
+	test('map.at()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+			[3, 'd'],
+			[4, 'e'],
+		])
+
+		expect(map.at(0)).toEqual([0, 'a'])
+		expect(map.at(1)).toEqual([1, 'b'])
+		expect(map.at(3)).toEqual([3, 'd'])
+		expect(map.at(4)).toEqual([4, 'e'])
+		expect(map.at(1.7)).toEqual([1, 'b'])
+		expect(map.at(NaN)).toEqual([0, 'a'])
+		expect(map.at(-1)).toEqual([4, 'e'])
+		expect(map.at(-5)).toEqual([0, 'a'])
+		expect(map.at(5)).toBe(undefined)
+		expect(map.at(-6)).toBe(undefined)
+		expect(new ReverseIterableMap().at(0)).toBe(undefined)
+	})
+
+	test('map.indexOf()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+			[3, 'd'],
+		])
+
+		expect(map.indexOf(0)).toBe(0)
+		expect(map.indexOf(1)).toBe(1)
+		expect(map.indexOf(2)).toBe(2)
+		expect(map.indexOf(3)).toBe(3)
+		expect(map.indexOf(4)).toBe(-1)
+
+		map.moveToFront(2)
+		expect(map.indexOf(2)).toBe(0)
+		expect(map.indexOf(0)).toBe(1)
+	})
+
+	test('map.at() and map.indexOf() with positional index', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		], { indexed: true })
+
+		expect(map.at(1)).toEqual([1, 'b'])
+		expect(map.at(-1)).toEqual([2, 'c'])
+		expect(map.indexOf(2)).toBe(2)
+		expect(map.indexOf(3)).toBe(-1)
+
+		map.set(1, 'beta')
+		expect(map.at(1)).toEqual([1, 'beta'])
+
+		map.setFirst(-1, 'z').insertAfter(0, 0.5, 'ab').delete(2)
+		expect(map.at(0)).toEqual([-1, 'z'])
+		expect(map.at(-1)).toEqual([1, 'beta'])
+		expect(map.indexOf(0.5)).toBe(2)
+		expect(map.indexOf(1)).toBe(3)
+
+		map.moveToBack(-1)
+		expect(map.indexOf(-1)).toBe(3)
+
+		map.clear()
+		expect(map.at(0)).toBe(undefined)
+		expect(map.indexOf(-1)).toBe(-1)
+	})
+
+	test('The positional index stays up to date while elements are added, moved and removed', () => {
+		/** @type {ReverseIterableMap<number, number>} */ const map = new ReverseIterableMap(undefined, { indexed: true })
+		/** @type {ReverseIterableMap<number, number>} */ const unindexedMap = new ReverseIterableMap()
+		let seed = 1
+		const random = (/** @type {number} */ limit) => {
+			seed = (seed * 16807) % 2147483647
+			return seed % limit
+		}
+
+		for (let i = 0; i < 500; i++) {
+			const key = random(50)
+			const refKey = unindexedMap.at(random(unindexedMap.size + 1))?.[0] ?? key
+
+			/** @type {((target: ReverseIterableMap<number, number>) => unknown)[]} */ const operations = [
+				(target) => target.set(key, i),
+				(target) => target.setFirst(key, i),
+				(target) => target.has(refKey) && !target.has(key) && target.insertAfter(refKey, key, i),
+				(target) => target.has(refKey) && target.moveBefore(refKey, key),
+				(target) => target.delete(key),
+			]
+			const operation = /** @type {(target: ReverseIterableMap<number, number>) => unknown} */ (operations[i % operations.length])
+			operation(map)
+			operation(unindexedMap)
+
+			const position = random(map.size + 1)
+			expect(map.at(position)).toEqual(unindexedMap.at(position))
+			expect(map.indexOf(key)).toBe(unindexedMap.indexOf(key))
+		}
+
+		expect([...map.keys()].map((key) => map.indexOf(key))).toEqual([...map.keys()].map((_key, index) => index))
+	})
+
+	test('map.nextKey() and map.prevKey()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+
+		expect(map.nextKey(0)).toBe(1)
+		expect(map.nextKey(1)).toBe(2)
+		expect(map.nextKey(2)).toBe(undefined)
+		expect(map.nextKey(2, { wrap: true })).toBe(0)
+
+		expect(map.prevKey(2)).toBe(1)
+		expect(map.prevKey(1)).toBe(0)
+		expect(map.prevKey(0)).toBe(undefined)
+		expect(map.prevKey(0, { wrap: true })).toBe(2)
+
+		expect(() => map.nextKey(3)).toThrowError(ReferenceError('reference key does not exist in map'))
+		expect(() => map.prevKey(3)).toThrowError(ReferenceError('reference key does not exist in map'))
+	})
+
+	test('map.nextEntry() and map.prevEntry()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[undefined, 'b'],
+		])
+
+		expect(map.nextEntry(0)).toEqual([undefined, 'b'])
+		expect(map.nextEntry(undefined)).toBe(undefined)
+		expect(map.nextEntry(undefined, { wrap: true })).toEqual([0, 'a'])
+		expect(map.prevEntry(undefined)).toEqual([0, 'a'])
+		expect(map.prevEntry(0)).toBe(undefined)
+		expect(map.prevEntry(0, { wrap: true })).toEqual([undefined, 'b'])
+
+		const singleElementMap = new ReverseIterableMap([[0, 'a']])
+		expect(singleElementMap.nextEntry(0, { wrap: true })).toEqual([0, 'a'])
+		expect(singleElementMap.prevEntry(0, { wrap: true })).toEqual([0, 'a'])
+	})
+
 	test('map[Symbol.toStringTag]()', () => {
 		const map = new ReverseIterableMap()
 
@@ -290,6 +574,68 @@ describe('ReverseIterableMap', () => {
 		expect(map.get(new String(''))).toBe(undefined)
 	})
 
+	test('map.range()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+			[3, 'd'],
+			[4, 'e'],
+		])
+
+		expect([...map.range(1, 3)]).toEqual([[1, 'b'], [2, 'c'], [3, 'd']])
+		expect([...map.range(1, 3).reverseIterator()]).toEqual([[3, 'd'], [2, 'c'], [1, 'b']])
+		expect([...map.range(1, 3, { inclusive: false })]).toEqual([[2, 'c']])
+		expect([...map.range(1, 3, { inclusive: false }).reverseIterator()]).toEqual([[2, 'c']])
+		expect([...map.range(2, 2)]).toEqual([[2, 'c']])
+		expect([...map.range(0, 4)].length).toBe(5)
+
+		expect([...map.range(3, 1)]).toEqual([])
+		expect([...map.range(3, 1).reverseIterator()]).toEqual([])
+		expect([...map.range(2, 2, { inclusive: false })]).toEqual([])
+		expect([...map.range(2, 3, { inclusive: false })]).toEqual([])
+
+		expect(() => map.range(5, 1)).toThrowError(ReferenceError('reference key does not exist in map'))
+		expect(() => map.range(1, 5)).toThrowError(ReferenceError('reference key does not exist in map'))
+	})
+
+	test('map.range() in reverse', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+			[3, 'd'],
+		])
+
+		const iterator = map.range(3, 1, { reverse: true })
+		expect(iterator.next()).toEqual({ value: [3, 'd'], done: false })
+		expect(iterator.next()).toEqual({ value: [2, 'c'], done: false })
+		expect(iterator.next()).toEqual({ value: [1, 'b'], done: false })
+		expect(iterator.next()).toEqual({ value: undefined, done: true })
+
+		expect([...map.range(3, 0, { reverse: true, inclusive: false })]).toEqual([[2, 'c'], [1, 'b']])
+		expect([...map.range(1, 3, { reverse: true })]).toEqual([])
+	})
+
+	test('map.slice()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+			[3, 'd'],
+		])
+
+		const slice = map.slice(1, 2)
+		expect(slice).toBeInstanceOf(ReverseIterableMap)
+		expect(slice).not.toBe(map)
+		expect([...slice]).toEqual([[1, 'b'], [2, 'c']])
+		expect([...slice.keys().reverseIterator()]).toEqual([2, 1])
+
+		expect([...map.slice(3, 0, { reverse: true, inclusive: false })]).toEqual([[2, 'c'], [1, 'b']])
+		expect(map.slice(3, 0).size).toBe(0)
+		expect(map.size).toBe(4)
+	})
+
 	test('map.forEach() with one-argument-callback', () => {
 		const map = new ReverseIterableMap([
 			[0, 'a'],
@@ -382,6 +728,207 @@ describe('ReverseIterableMap', () => {
 		}, obj)
 	})
 
+	test('map.filter()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+			[3, 'd'],
+		])
+		const obj = {}
+
+		const filtered = map.filter(/** @this {any} */ function (value, key, mapReference) {
+			expect(this).toBe(obj)
+			expect(mapReference).toBe(map)
+			return key % 2 === 1 || value === 'a'
+		}, obj)
+
+		expect(filtered).toBeInstanceOf(ReverseIterableMap)
+		expect([...filtered]).toEqual([[0, 'a'], [1, 'b'], [3, 'd']])
+		expect([...filtered.keys().reverseIterator()]).toEqual([3, 1, 0])
+		expect(map.size).toBe(4)
+	})
+
+	test('map.mapValues()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+		])
+
+		const mapped = map.mapValues((value, key) => value.repeat(key + 1))
+		expect([...mapped]).toEqual([[0, 'a'], [1, 'bb']])
+		expect(map.get(1)).toBe('b')
+	})
+
+	test('map.mapKeys()', () => {
+		const map = new ReverseIterableMap([
+			['a', 1],
+			['B', 2],
+			['A', 3],
+		])
+
+		expect([...map.mapKeys((_value, key) => key + key)]).toEqual([['aa', 1], ['BB', 2], ['AA', 3]])
+		expect([...map.mapKeys((_value, key) => key.toLowerCase())]).toEqual([['a', 3], ['b', 2]])
+		expect([...map.mapKeys((_value, key) => key.toLowerCase(), undefined, { onCollision: 'last' })]).toEqual([['a', 3], ['b', 2]])
+		expect([...map.mapKeys((_value, key) => key.toLowerCase(), undefined, { onCollision: 'first' })]).toEqual([['a', 1], ['b', 2]])
+		expect(() => map.mapKeys((_value, key) => key.toLowerCase(), undefined, { onCollision: 'throw' })).toThrowError(RangeError('mapKeys() callback returned a duplicate key'))
+	})
+
+	test('map.mapKeys() with thisArg', () => {
+		const map = new ReverseIterableMap([
+			['a', 1],
+			['b', 2],
+		])
+		const prefixer = { prefix: 'key-' }
+
+		const mapped = map.mapKeys(/** @this {typeof prefixer} */ function (_value, key) {
+			return this.prefix + key
+		}, prefixer, { onCollision: 'throw' })
+		expect([...mapped]).toEqual([['key-a', 1], ['key-b', 2]])
+	})
+
+	test('map.reverse()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+
+		const reversed = map.reverse()
+		expect(reversed).not.toBe(map)
+		expect([...reversed]).toEqual([[2, 'c'], [1, 'b'], [0, 'a']])
+		expect([...map.keys()]).toEqual([0, 1, 2])
+		expect(new ReverseIterableMap().reverse().size).toBe(0)
+	})
+
+	test('map.sort()', () => {
+		const map = new ReverseIterableMap([
+			['d', 3],
+			['a', 1],
+			['c', 3],
+			['b', 2],
+			['e', 1],
+		])
+		const node = map._map.get('c')
+
+		expect(map.sort((a, b) => a[1] - b[1])).toBe(map)
+		expect([...map.keys()]).toEqual(['a', 'e', 'b', 'd', 'c'])
+		expect([...map.reverseIterator()]).toEqual([['c', 3], ['d', 3], ['b', 2], ['e', 1], ['a', 1]])
+		expect(map.first()).toEqual(['a', 1])
+		expect(map.last()).toEqual(['c', 3])
+		expect(map._map.get('c')).toBe(node)
+
+		map.sort()
+		expect([...map.keys()]).toEqual(['a', 'b', 'c', 'd', 'e'])
+
+		map.set('f', 0)
+		map.delete('a')
+		expect([...map.keys()]).toEqual(['b', 'c', 'd', 'e', 'f'])
+
+		const numbers = new ReverseIterableMap([[10, 'a'], [9, 'b'], [undefined, 'c'], [1, 'd']])
+		expect([...numbers.sort().keys()]).toEqual([1, 10, 9, undefined])
+
+		expect([...new ReverseIterableMap().sort()]).toEqual([])
+		expect([...new ReverseIterableMap([[0, 'a']]).sort()]).toEqual([[0, 'a']])
+		// @ts-expect-error
+		expect(() => map.sort(null)).toThrow(TypeError)
+	})
+
+	test('map.sort() with many elements', () => {
+		const entries = /** @type {[number, number][]} */ (Array.from({ length: 1000 }, (_, index) => [index, (index * 7919) % 101]))
+		const map = new ReverseIterableMap(entries)
+
+		map.sort((a, b) => a[1] - b[1])
+
+		expect([...map]).toEqual([...entries].sort((a, b) => a[1] - b[1]))
+		expect([...map.reverseIterator()]).toEqual([...entries].sort((a, b) => a[1] - b[1]).reverse())
+	})
+
+	test('map.sort() leaves the map unchanged if the comparison function throws', () => {
+		const map = new ReverseIterableMap([[3, 3], [1, 1], [2, 2], [5, 5], [4, 4]])
+		let calls = 0
+
+		expect(() => map.sort((a, b) => {
+			if (++calls === 4) {
+				throw new Error('Comparison failed')
+			}
+
+			return a[0] - b[0]
+		})).toThrow('Comparison failed')
+		expect(map.size).toBe(5)
+		expect([...map.keys()]).toEqual([3, 1, 2, 5, 4])
+		expect([...map.reverseIterator().map(([key]) => key)]).toEqual([4, 5, 2, 1, 3])
+		expect(map.first()).toEqual([3, 3])
+		expect(map.last()).toEqual([4, 4])
+	})
+
+	test('map.sort() keeps the positional index up to date', () => {
+		const map = new ReverseIterableMap([['b', 0], ['a', 1]], { indexed: true })
+
+		expect(map.at(0)).toEqual(['b', 0])
+		map.sort()
+		expect(map.at(0)).toEqual(['a', 1])
+		expect(map.indexOf('b')).toBe(1)
+	})
+
+	test('map.toSorted()', () => {
+		const map = new ReverseIterableMap([
+			['b', 1],
+			['a', 2],
+		])
+
+		const sorted = map.toSorted()
+		expect(sorted).not.toBe(map)
+		expect([...sorted]).toEqual([['a', 2], ['b', 1]])
+		expect([...map.toSorted((a, b) => b[1] - a[1])]).toEqual([['a', 2], ['b', 1]])
+		expect([...map.keys()]).toEqual(['b', 'a'])
+		// @ts-expect-error
+		expect(() => map.toSorted(1)).toThrow(TypeError)
+	})
+
+	test('map.find(), map.findLast(), map.findKey() and map.findLastKey()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'a'],
+		])
+
+		expect(map.find((value) => value === 'a')).toBe('a')
+		expect(map.findKey((value) => value === 'a')).toBe(0)
+		expect(map.findLastKey((value) => value === 'a')).toBe(2)
+		expect(map.findLast((_value, key) => key < 2)).toBe('b')
+		expect(map.find((value) => value === 'z')).toBe(undefined)
+		expect(map.findLastKey((value) => value === 'z')).toBe(undefined)
+
+		const obj = {}
+		map.findKey(/** @this {any} */ function (_value, _key, mapReference) {
+			expect(this).toBe(obj)
+			expect(mapReference).toBe(map)
+			return true
+		}, obj)
+	})
+
+	test('map.reduce() and map.reduceRight()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+
+		expect(map.reduce((accumulator, value) => accumulator + value)).toBe('abc')
+		expect(map.reduceRight((accumulator, value) => accumulator + value)).toBe('cba')
+		expect(map.reduce((accumulator, _value, key) => accumulator + key, 10)).toBe(13)
+		expect(map.reduceRight((accumulator, _value, key, mapReference) => {
+			expect(mapReference).toBe(map)
+			return [...accumulator, key]
+		}, /** @type {number[]} */ ([]))).toEqual([2, 1, 0])
+
+		const emptyMap = new ReverseIterableMap()
+		expect(() => emptyMap.reduce((accumulator) => accumulator)).toThrowError(TypeError('Reduce of empty map with no initial value'))
+		expect(() => emptyMap.reduceRight((accumulator) => accumulator)).toThrowError(TypeError)
+		expect(emptyMap.reduceRight((accumulator) => accumulator, 0)).toBe(0)
+	})
+
 	test('map[Symbol.iterator]()', () => {
 		const map = new ReverseIterableMap()
 			.set(0, 'Hello?')
@@ -654,6 +1201,44 @@ describe('ReverseIterableMap', () => {
 		expect(iteratorResult.value).toBe(undefined)
 	})
 
+	test('map.iteratorFor() with non-existing key', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+		])
+
+		expect([...map.iteratorFor(2)]).toEqual([])
+		expect([...map.iteratorFor(2).reverseIterator()]).toEqual([])
+		expect(() => map.iteratorFor(2, { strict: true })).toThrowError(ReferenceError('reference key does not exist in map'))
+		expect([...map.iteratorFor(1, { strict: true })]).toEqual([[1, 'b']])
+	})
+
+	test('map.keysFor()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+
+		expect([...map.keysFor(1)]).toEqual([1, 2])
+		expect([...map.keysFor(1).reverseIterator()]).toEqual([1, 0])
+		expect([...map.keysFor(3)]).toEqual([])
+		expect(() => map.keysFor(3, { strict: true })).toThrowError(ReferenceError)
+	})
+
+	test('map.valuesFor()', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+
+		expect([...map.valuesFor(1)]).toEqual(['b', 'c'])
+		expect([...map.valuesFor(1).reverseIterator()]).toEqual(['b', 'a'])
+		expect([...map.valuesFor(3)]).toEqual([])
+		expect(() => map.valuesFor(3, { strict: true })).toThrowError(ReferenceError)
+	})
+
 	test('Spread operator: [...map]', () => {
 		const map = new ReverseIterableMap([
 			[0, 'a'],
@@ -732,3 +1317,645 @@ describe('ReverseIterableMap', () => {
 		expect([...map.values()]).toEqual(['a', 'b', 'c', 'd', 'e'])
 	})
 })
+
+describe('ReverseIterableMap with undefined, null and NaN keys and values', () => {
+	/** @returns {ReverseIterableMap<any, any>} */
+	function createMap() {
+		return new ReverseIterableMap([
+			[undefined, 'undefined key'],
+			['undefined value', undefined],
+			[null, 'null key'],
+			['null value', null],
+			[NaN, 'NaN key'],
+			['NaN value', NaN],
+		])
+	}
+
+	const keys = [undefined, 'undefined value', null, 'null value', NaN, 'NaN value']
+	const values = ['undefined key', undefined, 'null key', null, 'NaN key', NaN]
+
+	test('map.entries()', () => {
+		const map = createMap()
+
+		expect([...map.entries()]).toEqual(keys.map((key, index) => [key, values[index]]))
+		expect([...map.entries().reverseIterator()]).toEqual(keys.map((key, index) => [key, values[index]]).reverse())
+	})
+
+	test('map.keys()', () => {
+		const map = createMap()
+
+		expect([...map.keys()]).toEqual(keys)
+		expect([...map.keys().reverseIterator()]).toEqual([...keys].reverse())
+	})
+
+	test('map.values()', () => {
+		const map = createMap()
+
+		expect([...map.values()]).toEqual(values)
+		expect([...map.values().reverseIterator()]).toEqual([...values].reverse())
+	})
+
+	test('map.iteratorFor()', () => {
+		const map = createMap()
+
+		expect([...map.iteratorFor(undefined)].length).toBe(6)
+		expect([...map.iteratorFor(undefined).reverseIterator()]).toEqual([[undefined, 'undefined key']])
+		expect([...map.keysFor(null)]).toEqual([null, 'null value', NaN, 'NaN value'])
+		expect([...map.valuesFor('NaN value').reverseIterator()]).toEqual([...values].reverse())
+	})
+
+	test('map.reverseIterator() and map.forEachReverse()', () => {
+		const map = createMap()
+
+		expect([...map.reverseIterator()].map(([key]) => key)).toEqual([...keys].reverse())
+
+		/** @type {any[]} */
+		const visitedValues = []
+		map.forEachReverse((value) => visitedValues.push(value))
+		expect(visitedValues).toEqual([...values].reverse())
+	})
+
+	test('Iterator results for undefined values', () => {
+		const map = new ReverseIterableMap([[0, undefined]])
+		const iterator = map.values()
+
+		expect(iterator.next()).toEqual({ value: undefined, done: false })
+		expect(iterator.next()).toEqual({ value: undefined, done: true })
+	})
+})
+
+describe('ReverseIterableMap iterators during mutation', () => {
+	test('Forward iterator visits appended and prepended elements ahead of it', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+		])
+		const iterator = map.keys()
+
+		map.setFirst(-1, 'z')
+		expect(iterator.next().value).toBe(-1)
+		expect(iterator.next().value).toBe(0)
+
+		map.set(2, 'c')
+		map.setFirst(-2, 'y')
+		expect([...iterator]).toEqual([1, 2])
+	})
+
+	test('Reverse iterator visits appended and prepended elements ahead of it', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+		])
+		const iterator = map.keys()
+
+		map.set(2, 'c')
+		const reverseIterator = iterator.reverseIterator()
+		expect(reverseIterator.next().value).toBe(2)
+
+		map.set(3, 'd')
+		map.setFirst(-1, 'z')
+		expect([...reverseIterator]).toEqual([1, 0, -1])
+	})
+
+	test('Iterator skips deleted elements', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+			[3, 'd'],
+		])
+		const iterator = map.keys()
+
+		expect(iterator.next().value).toBe(0)
+		map.delete(1)
+		expect(iterator.next().value).toBe(2)
+		map.delete(3)
+		expect(iterator.next().done).toBe(true)
+	})
+
+	test('Iterator continues after its current element is deleted', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+			[3, 'd'],
+		])
+
+		/** @type {number[]} */
+		const keys = []
+		for (const key of map.keys()) {
+			keys.push(key)
+			map.delete(key)
+		}
+		expect(keys).toEqual([0, 1, 2, 3])
+		expect(map.size).toBe(0)
+
+		map.set(0, 'a').set(1, 'b').set(2, 'c').set(3, 'd')
+		const iterator = map.keys()
+		expect(iterator.next().value).toBe(0)
+		expect(iterator.next().value).toBe(1)
+
+		// Delete the current element and its neighbors, then add a new element after the remaining one.
+		map.delete(1)
+		map.delete(2)
+		map.delete(0)
+		map.insertBefore(3, 2.5, 'cd')
+		expect([...iterator]).toEqual([2.5, 3])
+	})
+
+	test('Reverse iterator continues after its current element is deleted', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+		const iterator = map.keys().reverseIterator()
+
+		expect(iterator.next().value).toBe(2)
+		map.delete(2)
+		map.delete(1)
+		expect([...iterator]).toEqual([0])
+	})
+
+	test('Iterator skips a deleted start element', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+		])
+		const iterator = map.iteratorFor(1)
+
+		map.delete(1)
+		expect([...iterator]).toEqual([[2, 'c']])
+	})
+
+	test('Deleting and re-adding an element visits it again', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+		])
+
+		/** @type {number[]} */
+		const keys = []
+		for (const key of map.keys()) {
+			keys.push(key)
+
+			if (keys.length === 1) {
+				map.delete(0)
+				map.set(0, 'alpha')
+			}
+		}
+		expect(keys).toEqual([0, 1, 0])
+	})
+
+	test('Range iterator ends before a deleted end element', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+			[2, 'c'],
+			[3, 'd'],
+		])
+		const iterator = map.range(0, 2)
+
+		expect(iterator.next().value).toEqual([0, 'a'])
+		map.delete(2)
+		expect([...iterator]).toEqual([[1, 'b']])
+
+		const reverseIterator = map.range(0, 3).reverseIterator()
+		map.delete(0)
+		expect([...reverseIterator]).toEqual([[3, 'd'], [1, 'b']])
+	})
+
+	test('map.clear() ends active iterators', () => {
+		const map = new ReverseIterableMap([
+			[0, 'a'],
+			[1, 'b'],
+		])
+		const iterator = map.keys()
+		const reverseIterator = map.keys().reverseIterator()
+
+		expect(iterator.next().value).toBe(0)
+		map.clear()
+		map.set(2, 'c')
+
+		expect(iterator.next().done).toBe(true)
+		expect(reverseIterator.next().done).toBe(true)
+		expect([...map.keys()]).toEqual([2])
+	})
+
+	test('Done iterators stay done', () => {
+		const map = new ReverseIterableMap([[0, 'a']])
+		const iterator = map.keys()
+
+		expect([...iterator]).toEqual([0])
+		map.set(1, 'b')
+		expect(iterator.next().done).toBe(true)
+	})
+})
+
+describe('ReverseIterableMap change notifications', () => {
+	test('map.subscribe() and unsubscribing', () => {
+		const map = new ReverseIterableMap([[0, 'a']])
+		const listener = vi.fn()
+		const unsubscribe = map.subscribe(listener)
+		map.subscribe(listener)
+
+		map.set(1, 'b')
+		expect(listener).toHaveBeenCalledTimes(1)
+		expect(listener).toHaveBeenCalledWith([{ type: 'insert', key: 1, value: 'b', index: 1 }], map)
+
+		unsubscribe()
+		map.set(2, 'c')
+		expect(listener).toHaveBeenCalledTimes(1)
+
+		// @ts-expect-error
+		expect(() => map.subscribe('listener')).toThrowError(TypeError)
+	})
+
+	test('Throwing listeners don’t keep other listeners from being called', () => {
+		const map = new ReverseIterableMap()
+		const error = new Error('listener failed')
+		const listener = vi.fn()
+		const unsubscribe = map.subscribe(() => {
+			throw error
+		})
+		map.subscribe(listener)
+
+		expect(() => map.set(0, 'a')).toThrowError(error)
+		expect(listener).toHaveBeenCalledTimes(1)
+		expect(map.get(0)).toBe('a')
+
+		map.subscribe(() => {
+			throw new Error('another listener failed')
+		})
+		expect(() => map.set(1, 'b')).toThrowError(AggregateError)
+		expect(listener).toHaveBeenCalledTimes(2)
+
+		unsubscribe()
+		map.subscribe(listener)
+		expect(() => map.batch(() => map.delete(0))).toThrowError('another listener failed')
+		expect(listener).toHaveBeenCalledTimes(3)
+	})
+
+	test('Inserts and updates', () => {
+		const map = new ReverseIterableMap([[0, 'a']])
+		/** @type {any[]} */ const records = []
+		map.subscribe((changes) => records.push(...changes))
+
+		map.set(0, 'alpha')
+		map.setFirst(1, 'b')
+		map.setFirst(1, 'beta')
+		map.insertAfter(1, 2, 'c')
+
+		expect(records).toEqual([
+			{ type: 'update', key: 0, value: 'alpha', previousValue: 'a', index: 0 },
+			{ type: 'insert', key: 1, value: 'b', index: 0 },
+			{ type: 'update', key: 1, value: 'beta', previousValue: 'b', index: 0 },
+			{ type: 'insert', key: 2, value: 'c', index: 1 },
+		])
+	})
+
+	test('Moves', () => {
+		const map = new ReverseIterableMap([[0, 'a'], [1, 'b'], [2, 'c']])
+		/** @type {any[]} */ const records = []
+		map.subscribe((changes) => records.push(changes))
+
+		map.moveToFront(2)
+		map.moveToFront(2)
+		map.moveAfter(1, 2)
+		map.insertBefore(0, 1, 'beta')
+
+		expect(records).toEqual([
+			[{ type: 'move', key: 2, index: 0, previousIndex: 2 }],
+			[{ type: 'move', key: 2, index: 2, previousIndex: 0 }],
+			[
+				{ type: 'update', key: 1, value: 'beta', previousValue: 'b', index: 1 },
+				{ type: 'move', key: 1, index: 0, previousIndex: 1 },
+			],
+		])
+		expect([...map.keys()]).toEqual([1, 0, 2])
+	})
+
+	test('Deletes, clear and sort', () => {
+		const map = new ReverseIterableMap([[0, 'a'], [1, 'b'], [2, 'c']])
+		/** @type {any[]} */ const records = []
+		map.subscribe((changes) => records.push(...changes))
+
+		map.delete(1)
+		map.delete(1)
+		map.pop()
+		map.set(1, 'b')
+		map.sort((a, b) => b[0] - a[0])
+		map.clear()
+		map.clear()
+
+		expect(records).toEqual([
+			{ type: 'delete', key: 1, previousValue: 'b', previousIndex: 1 },
+			{ type: 'delete', key: 2, previousValue: 'c', previousIndex: 1 },
+			{ type: 'insert', key: 1, value: 'b', index: 1 },
+			{ type: 'sort', previousKeys: [0, 1] },
+			{ type: 'clear', previousEntries: [[1, 'b'], [0, 'a']] },
+		])
+	})
+
+	test('map.cursor()', () => {
+		const map = new ReverseIterableMap([[undefined, 'a'], [1, 'b'], [2, 'c']])
+
+		expect(map.cursor()).toBeInstanceOf(ReverseIterableMapCursor)
+		expect(map.cursor().entry).toEqual([undefined, 'a'])
+		expect(map.cursor(2).entry).toEqual([2, 'c'])
+		expect(map.cursor(undefined).next()).toEqual([1, 'b'])
+		expect(() => map.cursor(3)).toThrowError(ReferenceError)
+		expect(new ReverseIterableMap().cursor().entry).toBe(undefined)
+	})
+
+	test('Cursor changes', () => {
+		const map = new ReverseIterableMap([[0, 'a']])
+		const listener = vi.fn()
+		map.subscribe(listener)
+
+		const cursor = map.cursor(0)
+		cursor.set('alpha')
+		cursor.insertAfter(1, 'b')
+		cursor.delete()
+
+		expect(listener.mock.calls.map(([records]) => records[0].type)).toEqual(['update', 'insert', 'delete'])
+	})
+
+	test('map.batch()', () => {
+		const map = new ReverseIterableMap([[0, 'a']])
+		const listener = vi.fn()
+		map.subscribe(listener)
+
+		const result = map.batch(() => {
+			map.set(1, 'b')
+			map.batch(() => map.delete(0))
+
+			return 'result'
+		})
+
+		expect(result).toBe('result')
+		expect(listener).toHaveBeenCalledTimes(1)
+		expect(listener).toHaveBeenCalledWith([
+			{ type: 'insert', key: 1, value: 'b', index: 1 },
+			{ type: 'delete', key: 0, previousValue: 'a', previousIndex: 0 },
+		], map)
+
+		map.batch(() => {})
+		expect(listener).toHaveBeenCalledTimes(1)
+
+		expect(() => map.batch(() => {
+			map.set(2, 'c')
+			throw new Error('failed')
+		})).toThrowError('failed')
+		expect(listener).toHaveBeenCalledTimes(2)
+		expect(listener).toHaveBeenLastCalledWith([{ type: 'insert', key: 2, value: 'c', index: 1 }], map)
+	})
+
+	test('map.batch() rethrows the error of the function if a listener throws too', () => {
+		const reportError = vi.fn()
+		vi.stubGlobal('reportError', reportError)
+
+		try {
+			const map = new ReverseIterableMap()
+			const listenerError = new Error('listener failed')
+			map.subscribe(() => {
+				throw listenerError
+			})
+
+			expect(() => map.batch(() => {
+				map.set(0, 'a')
+				throw new Error('failed')
+			})).toThrowError('failed')
+			expect(reportError).toHaveBeenCalledWith(listenerError)
+
+			expect(() => map.batch(() => map.set(1, 'b'))).toThrowError('listener failed')
+			expect(reportError).toHaveBeenCalledTimes(1)
+		} finally {
+			vi.unstubAllGlobals()
+		}
+	})
+
+	test('Change notifications with a positional index', () => {
+		const map = new ReverseIterableMap([[0, 'a'], [1, 'b']], { indexed: true })
+		const listener = vi.fn()
+		map.subscribe(listener)
+
+		map.moveToBack(0)
+		expect(listener).toHaveBeenCalledWith([{ type: 'move', key: 0, index: 1, previousIndex: 0 }], map)
+	})
+})
+
+describe('ReverseIterableMap transactions', () => {
+	test('map.transaction() applies changes and notifies once', () => {
+		const map = new ReverseIterableMap([[0, 'a']])
+		const listener = vi.fn()
+		map.subscribe(listener)
+
+		const result = map.transaction(() => {
+			map.set(1, 'b')
+			map.set(0, 'alpha')
+
+			return 'result'
+		})
+
+		expect(result).toBe('result')
+		expect([...map]).toEqual([[0, 'alpha'], [1, 'b']])
+		expect(listener).toHaveBeenCalledTimes(1)
+		expect(listener).toHaveBeenCalledWith([
+			{ type: 'insert', key: 1, value: 'b', index: 1 },
+			{ type: 'update', key: 0, value: 'alpha', previousValue: 'a', index: 0 },
+		], map)
+	})
+
+	test('map.transaction() rolls back all changes if the function throws', () => {
+		const map = new ReverseIterableMap([[0, 'a'], [1, 'b'], [2, 'c']])
+		const listener = vi.fn()
+		map.subscribe(listener)
+		const error = new Error('invalid')
+
+		expect(() => map.transaction(() => {
+			map.set(0, 'alpha')
+			map.delete(1)
+			map.setFirst(3, 'd')
+			map.moveToFront(2)
+			map.sort()
+			map.pop()
+			throw error
+		})).toThrow(error)
+
+		expect(listener).not.toHaveBeenCalled()
+		expect([...map]).toEqual([[0, 'a'], [1, 'b'], [2, 'c']])
+		expect([...map.reverseIterator()]).toEqual([[2, 'c'], [1, 'b'], [0, 'a']])
+		expect(map.size).toBe(3)
+		expect(map.has(3)).toBe(false)
+		expect(map.first()).toEqual([0, 'a'])
+		expect(map.last()).toEqual([2, 'c'])
+
+		map.set(3, 'd')
+		expect(listener).toHaveBeenCalledTimes(1)
+		expect([...map.keys()]).toEqual([0, 1, 2, 3])
+	})
+
+	test('map.transaction() rolls back clear()', () => {
+		const map = new ReverseIterableMap([[0, 'a'], [1, 'b']], { indexed: true })
+
+		expect(map.at(1)).toEqual([1, 'b'])
+		expect(() => map.transaction(() => {
+			map.clear()
+			map.set(2, 'c')
+			throw new Error('failed')
+		})).toThrowError('failed')
+
+		expect([...map]).toEqual([[0, 'a'], [1, 'b']])
+		expect(map.at(1)).toEqual([1, 'b'])
+		expect(map.indexOf(2)).toBe(-1)
+	})
+
+	test('Iterators and cursors after a rollback', () => {
+		const map = new ReverseIterableMap([[0, 'a'], [1, 'b'], [2, 'c']])
+		const iterator = map.keys()
+		expect(iterator.next().value).toBe(0)
+
+		expect(() => map.transaction(() => {
+			map.delete(1)
+			map.insertAfter(0, 3, 'd')
+			throw new Error('failed')
+		})).toThrowError('failed')
+
+		expect([...iterator]).toEqual([1, 2])
+
+		const cursor = new ReverseIterableMapCursor(map, 1)
+		expect(() => map.transaction(() => {
+			map.insertAfter(1, 3, 'd')
+			cursor.next()
+			throw new Error('failed')
+		})).toThrowError('failed')
+
+		expect(cursor.key).toBe(2)
+	})
+
+	test('Nested transactions', () => {
+		const map = new ReverseIterableMap([[0, 'a']])
+		const listener = vi.fn()
+		map.subscribe(listener)
+
+		map.transaction(() => {
+			map.set(1, 'b')
+
+			expect(() => map.transaction(() => {
+				map.set(2, 'c')
+				throw new Error('failed')
+			})).toThrowError('failed')
+
+			map.batch(() => map.set(3, 'd'))
+		})
+
+		expect([...map.keys()]).toEqual([0, 1, 3])
+		expect(listener).toHaveBeenCalledTimes(1)
+		expect(listener).toHaveBeenCalledWith([
+			{ type: 'insert', key: 1, value: 'b', index: 1 },
+			{ type: 'insert', key: 3, value: 'd', index: 2 },
+		], map)
+	})
+})
+
+describe('ReverseIterableMap JSON serialization', () => {
+	test('map.toJSON()', () => {
+		const map = new ReverseIterableMap([[1, 'a'], ['1', 'b']]).setFirst(0, 'z')
+
+		expect(map.toJSON()).toEqual([[0, 'z'], [1, 'a'], ['1', 'b']])
+		expect(JSON.stringify(map)).toBe('[[0,"z"],[1,"a"],["1","b"]]')
+		expect(JSON.stringify({ map: new ReverseIterableMap() })).toBe('{"map":[]}')
+	})
+
+	test('ReverseIterableMap.fromJSON()', () => {
+		const map = ReverseIterableMap.fromJSON(JSON.parse('[[2,"b"],[1,"a"],[2,"beta"]]'))
+
+		expect(map).toBeInstanceOf(ReverseIterableMap)
+		expect([...map]).toEqual([[2, 'beta'], [1, 'a']])
+		expect(() => ReverseIterableMap.fromJSON({})).toThrowError(TypeError('data must be an array of key-value pairs'))
+		expect(() => ReverseIterableMap.fromJSON([1])).toThrowError(TypeError('iterable for Map should have array-like objects'))
+	})
+
+	test('ReverseIterableMap.fromJSON() with revivers', () => {
+		const data = JSON.parse(JSON.stringify(new ReverseIterableMap([['2024-01-02', '3'], ['2024-01-01', '4']])))
+		/** @type {[Date, number][]} */ const calls = []
+		const map = ReverseIterableMap.fromJSON(data, {
+			reviveKey: (key) => new Date(key),
+			reviveValue: (value, key) => {
+				calls.push([key, value])
+				return Number(value)
+			},
+		})
+
+		expect([...map.values()]).toEqual([3, 4])
+		expect(map.first()?.[0]).toEqual(new Date('2024-01-02'))
+		expect(calls[1]).toEqual([new Date('2024-01-01'), '4'])
+	})
+
+	test('ReverseIterableMap.replacer() and ReverseIterableMap.reviver()', () => {
+		const date = new Date('2024-01-01T00:00:00.000Z')
+		const map = new ReverseIterableMap([
+			[1, 'number'],
+			['1', 'string'],
+			[date, new ReverseIterableMap([[NaN, 10n], [2, new ReverseIterableMap([[Infinity, -Infinity]])]])],
+			[null, { value: new Date(NaN) }],
+		])
+
+		const json = JSON.stringify({ map }, ReverseIterableMap.replacer)
+		expect(JSON.parse(json).map).toEqual({
+			$type: 'ReverseIterableMap',
+			entries: [
+				[1, 'number'],
+				['1', 'string'],
+				[
+					{ $type: 'Date', value: '2024-01-01T00:00:00.000Z' },
+					{ $type: 'ReverseIterableMap', entries: [[{ $type: 'number', value: 'NaN' }, { $type: 'bigint', value: '10' }], [2, { $type: 'ReverseIterableMap', entries: [[{ $type: 'number', value: 'Infinity' }, { $type: 'number', value: '-Infinity' }]] }]] },
+				],
+				[null, { value: { $type: 'Date', value: null } }],
+			],
+		})
+
+		const revived = JSON.parse(json, ReverseIterableMap.reviver).map
+		expect(revived).toBeInstanceOf(ReverseIterableMap)
+		expect([...revived.keys()]).toEqual([1, '1', date, null])
+
+		const nestedMap = revived.get(revived.at(2)[0])
+		expect(nestedMap).toBeInstanceOf(ReverseIterableMap)
+		expect(nestedMap.get(NaN)).toBe(10n)
+		expect([...nestedMap.get(2)]).toEqual([[Infinity, -Infinity]])
+		expect(revived.get(null).value.getTime()).toBe(NaN)
+	})
+
+	test('ReverseIterableMap.reviver() leaves unknown objects alone', () => {
+		const data = { a: { $type: 'Set', value: [] }, b: { $type: 'Date' }, c: { d: [1, 2] } }
+
+		expect(JSON.parse(JSON.stringify(data), ReverseIterableMap.reviver)).toEqual(data)
+	})
+})
+
+describe('ReverseIterableMap structured cloning', () => {
+	test('map.toTransferable() and ReverseIterableMap.fromTransferable()', () => {
+		const date = new Date(0)
+		const map = new ReverseIterableMap(/** @type {[number, unknown][]} */ ([[2, new Map([['b', date]])], [1, 'a']])).setFirst(NaN, undefined)
+		const transferable = map.toTransferable()
+
+		expect(transferable).toEqual({ type: 'ReverseIterableMap', entries: [[NaN, undefined], [2, new Map([['b', date]])], [1, 'a']] })
+
+		const copy = ReverseIterableMap.fromTransferable(structuredClone(transferable))
+		expect(copy).toBeInstanceOf(ReverseIterableMap)
+		expect([...copy]).toEqual([...map])
+		expect(copy.get(2)).not.toBe(map.get(2))
+		expect(copy.get(2).get('b')).toEqual(date)
+	})
+
+	test('ReverseIterableMap.fromTransferable() with illegal arguments', () => {
+		const error = TypeError('data must be an object returned by toTransferable()')
+
+		expect(() => ReverseIterableMap.fromTransferable(structuredClone(new ReverseIterableMap([[1, 'a']])))).toThrowError(error)
+		expect(() => ReverseIterableMap.fromTransferable([[1, 'a']])).toThrowError(error)
+		expect(() => ReverseIterableMap.fromTransferable(null)).toThrowError(error)
+		expect(() => ReverseIterableMap.fromTransferable({ type: 'ReverseIterableMap', entries: {} })).toThrowError(TypeError('data must be an array of key-value pairs'))
+	})
+})
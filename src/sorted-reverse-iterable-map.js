@@ -0,0 +1,461 @@
+import ReverseIterableMap from './reverse-iterable-map.js'
+
+/**
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableIterator<V>} ReverseIterableIterator
+ */
+/**
+ * @template K
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableMapNode<K, V>} ReverseIterableMapNode
+ */
+
+/**
+ * A node which is also linked into the express lanes of the skip list. Lane `0` is the first lane above the node chain itself.
+ *
+ * @template K
+ * @template V
+ * @typedef {ReverseIterableMapNode<K, V> & { laneNextNodes: Array<SkipListNode<K, V> | null>, lanePrevNodes: Array<SkipListNode<K, V> | null> }} SkipListNode
+ */
+
+/**
+ * @template K
+ * @template V
+ * @typedef {import('./reverse-iterable-map.js').MapSnapshot<K, V> & { lanes: [SkipListNode<K, V>, Array<SkipListNode<K, V> | null>, Array<SkipListNode<K, V> | null>][], laneFirstNodes: Array<SkipListNode<K, V> | null> }} SortedMapSnapshot
+ */
+
+/**
+ * @template K
+ * @typedef {object} SortedReverseIterableMapOptions
+ * @property {(a: K, b: K) => number} [compare] Returns a negative number if `a` comes first, a positive number if `b` comes first and zero otherwise. Defaults to comparing keys with `<` and `>`.
+ */
+
+/**
+ * The maximum number of express lanes. Enough for maps with billions of elements.
+ */
+const MAX_LANES = 32
+
+/**
+ * A `ReverseIterableMap` whose elements are ordered by their keys instead of by insertion.
+ *
+ * `set()` adds new elements at their sorted position in logarithmic time using a skip list over the nodes. `get()` and `has()` still take constant time. Methods which place elements at a specific position throw.
+ *
+ * @template K
+ * @template V
+ * @extends {ReverseIterableMap<K, V>}
+ */
+export default class SortedReverseIterableMap extends ReverseIterableMap {
+	/** @type {(a: K, b: K) => number} */ _compare
+	/** @type {Array<SkipListNode<K, V> | null>} */ _laneFirstNodes
+
+	/**
+	 * @param {SortedReverseIterableMapOptions<K>} [options]
+	 * @param {Iterable<[K, V] | readonly any[]>} [iterable]
+	 */
+	constructor(options = {}, iterable) {
+		const { compare = compareKeys } = options
+
+		if (typeof compare !== 'function') {
+			throw new TypeError('compare must be a function')
+		}
+
+		super()
+
+		this._compare = compare
+		this._laneFirstNodes = []
+
+		if (iterable !== undefined) {
+			// Let the base class validate the iterable.
+			for (const [key, value] of new ReverseIterableMap(iterable)) {
+				this.set(key, value)
+			}
+		}
+	}
+
+	get [Symbol.toStringTag]() {
+		return 'SortedReverseIterableMap'
+	}
+
+	clear() {
+		super.clear()
+		this._laneFirstNodes = []
+	}
+
+	/**
+	 * Adds a new element at its sorted position or updates the value of an existing element. Elements whose keys compare as equal are kept in insertion order.
+	 *
+	 * @param {K} key
+	 * @param {V} value
+	 * @returns {this}
+	 */
+	set(key, value) {
+		if (this._updateExistingNode(key, value)) {
+			return this
+		}
+
+		/** @type {Array<SkipListNode<K, V> | null>} */ const laneNodes = []
+		const prevNode = this._findLastNode(key, true, laneNodes)
+		const node = /** @type {SkipListNode<K, V>} */ (this._createNode(key, value))
+
+		if (prevNode !== null) {
+			this._linkNodeAfter(node, prevNode)
+		} else if (this._firstNode !== null) {
+			this._linkNodeBefore(node, this._firstNode)
+		} else {
+			this._linkOnlyNode(node)
+		}
+
+		const laneCount = getRandomLaneCount()
+
+		for (let lane = 0; lane < laneCount; lane++) {
+			if (lane === this._laneFirstNodes.length) {
+				this._laneFirstNodes.push(null)
+			}
+
+			const lanePrevNode = laneNodes[lane] ?? null
+			const laneNextNode = (lanePrevNode !== null ? lanePrevNode.laneNextNodes[lane] : this._laneFirstNodes[lane]) ?? null
+
+			node.lanePrevNodes.push(lanePrevNode)
+			node.laneNextNodes.push(laneNextNode)
+
+			if (lanePrevNode !== null) {
+				lanePrevNode.laneNextNodes[lane] = node
+			} else {
+				this._laneFirstNodes[lane] = node
+			}
+
+			if (laneNextNode !== null) {
+				laneNextNode.lanePrevNodes[lane] = node
+			}
+		}
+
+		this._notifyInsert(node)
+
+		return this
+	}
+
+	/**
+	 * Not supported because elements are kept in sorted order.
+	 *
+	 * @param {K} _key
+	 * @param {V} _value
+	 * @returns {never}
+	 * @throws {TypeError}
+	 */
+	setFirst(_key, _value) {
+		throw unsupportedError('setFirst')
+	}
+
+	/**
+	 * Not supported because elements are kept in sorted order.
+	 *
+	 * @param {K} _refKey
+	 * @param {K} _key
+	 * @param {V} _value
+	 * @returns {never}
+	 * @throws {TypeError}
+	 */
+	insertBefore(_refKey, _key, _value) {
+		throw unsupportedError('insertBefore')
+	}
+
+	/**
+	 * Not supported because elements are kept in sorted order.
+	 *
+	 * @param {K} _refKey
+	 * @param {K} _key
+	 * @param {V} _value
+	 * @returns {never}
+	 * @throws {TypeError}
+	 */
+	insertAfter(_refKey, _key, _value) {
+		throw unsupportedError('insertAfter')
+	}
+
+	/**
+	 * Not supported because elements are kept in sorted order.
+	 *
+	 * @param {K} _key
+	 * @returns {never}
+	 * @throws {TypeError}
+	 */
+	moveToFront(_key) {
+		throw unsupportedError('moveToFront')
+	}
+
+	/**
+	 * Not supported because elements are kept in sorted order.
+	 *
+	 * @param {K} _key
+	 * @returns {never}
+	 * @throws {TypeError}
+	 */
+	moveToBack(_key) {
+		throw unsupportedError('moveToBack')
+	}
+
+	/**
+	 * Not supported because elements are kept in sorted order.
+	 *
+	 * @param {K} _refKey
+	 * @param {K} _key
+	 * @returns {never}
+	 * @throws {TypeError}
+	 */
+	moveBefore(_refKey, _key) {
+		throw unsupportedError('moveBefore')
+	}
+
+	/**
+	 * Not supported because elements are kept in sorted order.
+	 *
+	 * @param {K} _refKey
+	 * @param {K} _key
+	 * @returns {never}
+	 * @throws {TypeError}
+	 */
+	moveAfter(_refKey, _key) {
+		throw unsupportedError('moveAfter')
+	}
+
+	/**
+	 * Not supported because elements are kept in sorted order. Use `toSorted()` to get a copy in a different order.
+	 *
+	 * @param {(a: [K, V], b: [K, V]) => number} [_compareFn]
+	 * @returns {never}
+	 * @throws {TypeError}
+	 */
+	sort(_compareFn) {
+		throw unsupportedError('sort')
+	}
+
+	/**
+	 * The `floorKey()` method returns the last key which comes before the given key or compares as equal to it.
+	 *
+	 * @param {K} key
+	 * @returns {K | undefined} the found key or `undefined` if there is none.
+	 */
+	floorKey(key) {
+		const node = this._findLastNode(key, true)
+		return node !== null ? node.key : undefined
+	}
+
+	/**
+	 * The `lowerKey()` method returns the last key which comes before the given key.
+	 *
+	 * @param {K} key
+	 * @returns {K | undefined} the found key or `undefined` if there is none.
+	 */
+	lowerKey(key) {
+		const node = this._findLastNode(key, false)
+		return node !== null ? node.key : undefined
+	}
+
+	/**
+	 * The `ceilingKey()` method returns the first key which comes after the given key or compares as equal to it.
+	 *
+	 * @param {K} key
+	 * @returns {K | undefined} the found key or `undefined` if there is none.
+	 */
+	ceilingKey(key) {
+		const node = this._findFirstNode(key, true)
+		return node !== null ? node.key : undefined
+	}
+
+	/**
+	 * The `higherKey()` method returns the first key which comes after the given key.
+	 *
+	 * @param {K} key
+	 * @returns {K | undefined} the found key or `undefined` if there is none.
+	 */
+	higherKey(key) {
+		const node = this._findFirstNode(key, false)
+		return node !== null ? node.key : undefined
+	}
+
+	/**
+	 * Returns an iterator over the elements whose keys lie between `fromKey` and `toKey`. Unlike with `ReverseIterableMap`, the keys don’t need to exist in the map.
+	 *
+	 * The iterator walks from `fromKey` up to `toKey` or, with the `reverse` option, from `fromKey` down to `toKey`. If `toKey` cannot be reached that way, the iterator is empty.
+	 *
+	 * @param {K} fromKey
+	 * @param {K} toKey
+	 * @param {import('./reverse-iterable-map.js').RangeOptions} [options]
+	 * @returns {ReverseIterableIterator<[K, V]>}
+	 */
+	range(fromKey, toKey, { inclusive = true, reverse = false } = {}) {
+		const lowKey = reverse ? toKey : fromKey
+		const highKey = reverse ? fromKey : toKey
+		const getIteratorValue = /** @type {(node: ReverseIterableMapNode<K, V>) => [K, V]} */ (node) => [node.key, node.value]
+		let startNode = this._findFirstNode(lowKey, inclusive)
+		let endNode = this._findLastNode(highKey, inclusive)
+
+		if (startNode === null || endNode === null || this._compare(startNode.key, endNode.key) > 0) {
+			startNode = null
+			endNode = null
+		}
+
+		const iterator = this._iterableIterator(getIteratorValue, startNode, endNode)
+
+		return reverse ? iterator.reverseIterator() : iterator
+	}
+
+	/**
+	 * @param {ReverseIterableMapNode<K, V>} node
+	 */
+	_unlinkNode(node) {
+		super._unlinkNode(node)
+
+		const { laneNextNodes, lanePrevNodes } = /** @type {SkipListNode<K, V>} */ (node)
+
+		for (let lane = 0; lane < laneNextNodes.length; lane++) {
+			const laneNextNode = laneNextNodes[lane] ?? null
+			const lanePrevNode = lanePrevNodes[lane] ?? null
+
+			if (lanePrevNode !== null) {
+				lanePrevNode.laneNextNodes[lane] = laneNextNode
+			} else {
+				this._laneFirstNodes[lane] = laneNextNode
+			}
+
+			if (laneNextNode !== null) {
+				laneNextNode.lanePrevNodes[lane] = lanePrevNode
+			}
+		}
+	}
+
+	/**
+	 * @returns {SortedMapSnapshot<K, V>}
+	 */
+	_createSnapshot() {
+		/** @type {SortedMapSnapshot<K, V>['lanes']} */ const lanes = []
+
+		for (const node of this._map.values()) {
+			const { laneNextNodes, lanePrevNodes } = /** @type {SkipListNode<K, V>} */ (node)
+			lanes.push([/** @type {SkipListNode<K, V>} */ (node), [...laneNextNodes], [...lanePrevNodes]])
+		}
+
+		return {
+			...super._createSnapshot(),
+			lanes,
+			laneFirstNodes: [...this._laneFirstNodes],
+		}
+	}
+
+	/**
+	 * @param {SortedMapSnapshot<K, V>} snapshot
+	 */
+	_restoreSnapshot(snapshot) {
+		super._restoreSnapshot(snapshot)
+
+		for (const [node, laneNextNodes, lanePrevNodes] of snapshot.lanes) {
+			node.laneNextNodes = laneNextNodes
+			node.lanePrevNodes = lanePrevNodes
+		}
+
+		this._laneFirstNodes = snapshot.laneFirstNodes
+	}
+
+	/**
+	 * @param {K} key
+	 * @param {V} value
+	 * @returns {ReverseIterableMapNode<K, V>}
+	 */
+	_createNode(key, value) {
+		/** @type {SkipListNode<K, V>} */ const node = {
+			key,
+			value,
+			nextNode: null,
+			prevNode: null,
+			removed: false,
+			laneNextNodes: [],
+			lanePrevNodes: [],
+		}
+		this._map.set(key, node)
+
+		return node
+	}
+
+	/**
+	 * Returns the last node whose key comes before `key` (or compares as equal to it if `inclusive` is `true`).
+	 *
+	 * @param {K} key
+	 * @param {boolean} inclusive
+	 * @param {Array<SkipListNode<K, V> | null>} [laneNodes] Receives the last such node of each express lane.
+	 * @returns {SkipListNode<K, V> | null}
+	 */
+	_findLastNode(key, inclusive, laneNodes) {
+		/** @type {SkipListNode<K, V> | null} */ let node = null
+		/** @param {SkipListNode<K, V>} nextNode */
+		const isBefore = (nextNode) => {
+			const comparison = this._compare(nextNode.key, key)
+			return inclusive ? comparison <= 0 : comparison < 0
+		}
+
+		for (let lane = this._laneFirstNodes.length - 1; lane >= 0; lane--) {
+			/** @type {SkipListNode<K, V> | null} */ let nextNode = (node !== null ? node.laneNextNodes[lane] : this._laneFirstNodes[lane]) ?? null
+
+			while (nextNode !== null && isBefore(nextNode)) {
+				node = nextNode
+				nextNode = nextNode.laneNextNodes[lane] ?? null
+			}
+
+			if (laneNodes !== undefined) {
+				laneNodes[lane] = node
+			}
+		}
+
+		let nextNode = /** @type {SkipListNode<K, V> | null} */ (node !== null ? node.nextNode : this._firstNode)
+
+		while (nextNode !== null && isBefore(nextNode)) {
+			node = nextNode
+			nextNode = /** @type {SkipListNode<K, V> | null} */ (nextNode.nextNode)
+		}
+
+		return node
+	}
+
+	/**
+	 * Returns the first node whose key comes after `key` (or compares as equal to it if `inclusive` is `true`).
+	 *
+	 * @param {K} key
+	 * @param {boolean} inclusive
+	 * @returns {ReverseIterableMapNode<K, V> | null}
+	 */
+	_findFirstNode(key, inclusive) {
+		const node = this._findLastNode(key, !inclusive)
+		return node !== null ? node.nextNode : this._firstNode
+	}
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @returns {number}
+ */
+function compareKeys(a, b) {
+	return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * Returns how many express lanes a new node is linked into. Each additional lane is half as likely.
+ *
+ * @returns {number}
+ */
+function getRandomLaneCount() {
+	let laneCount = 0
+
+	while (laneCount < MAX_LANES && Math.random() < 0.5) {
+		laneCount++
+	}
+
+	return laneCount
+}
+
+/**
+ * @param {string} methodName
+ * @returns {TypeError}
+ */
+function unsupportedError(methodName) {
+	return new TypeError(`${methodName}() is not supported by SortedReverseIterableMap`)
+}
@@ -0,0 +1,194 @@
+import { describe, expect, test, vi } from 'vitest'
+
+import ReverseIterableMap from './reverse-iterable-map.js'
+import SortedReverseIterableMap from './sorted-reverse-iterable-map.js'
+
+describe('SortedReverseIterableMap', () => {
+	test('Construct map', () => {
+		const map = new SortedReverseIterableMap()
+
+		expect(map instanceof ReverseIterableMap).toBe(true)
+		expect(map.size).toBe(0)
+		expect(map.toString()).toBe('[object SortedReverseIterableMap]')
+	})
+
+	test('Construct map with iterable', () => {
+		const map = new SortedReverseIterableMap({}, [
+			[3, 'c'],
+			[1, 'a'],
+			[2, 'b'],
+		])
+
+		expect([...map]).toEqual([[1, 'a'], [2, 'b'], [3, 'c']])
+		expect([...map.reverseIterator()]).toEqual([[3, 'c'], [2, 'b'], [1, 'a']])
+	})
+
+	test('Construct map with illegal arguments', () => {
+		// @ts-expect-error
+		expect(() => new SortedReverseIterableMap({ compare: 'asc' })).toThrowError(TypeError('compare must be a function'))
+		expect(() => {
+			// @ts-ignore because this is a deliberately wrong call to the constructor
+			new SortedReverseIterableMap({}, [1, 2, 3])
+		}).toThrowError(TypeError('iterable for Map should have array-like objects'))
+	})
+
+	test('map.set() keeps elements sorted by the comparator', () => {
+		/** @type {SortedReverseIterableMap<string, number>} */
+		const map = new SortedReverseIterableMap({ compare: (a, b) => b.localeCompare(a) })
+
+		map.set('b', 2).set('d', 4).set('a', 1).set('c', 3)
+		expect([...map.keys()]).toEqual(['d', 'c', 'b', 'a'])
+		expect(map.first()).toEqual(['d', 4])
+		expect(map.last()).toEqual(['a', 1])
+
+		map.set('c', 30)
+		expect([...map.entries()]).toEqual([['d', 4], ['c', 30], ['b', 2], ['a', 1]])
+		expect(map.get('c')).toBe(30)
+		expect(map.has('e')).toBe(false)
+	})
+
+	test('map.set() keeps elements with equal keys in insertion order', () => {
+		/** @type {SortedReverseIterableMap<{ rank: number }, string>} */
+		const map = new SortedReverseIterableMap({ compare: (a, b) => a.rank - b.rank })
+		const first = { rank: 1 }
+		const second = { rank: 1 }
+
+		map.set(second, 'second').set({ rank: 2 }, 'third').set(first, 'first').set({ rank: 0 }, 'zeroth')
+		expect([...map.values()]).toEqual(['zeroth', 'second', 'first', 'third'])
+
+		map.delete(second)
+		expect([...map.values()]).toEqual(['zeroth', 'first', 'third'])
+	})
+
+	test('map.delete(), map.shift(), map.pop() and map.clear()', () => {
+		const map = new SortedReverseIterableMap({}, [5, 1, 4, 2, 3].map((key) => [key, String(key)]))
+
+		expect(map.delete(3)).toBe(true)
+		expect(map.delete(3)).toBe(false)
+		expect(map.shift()).toEqual([1, '1'])
+		expect(map.pop()).toEqual([5, '5'])
+		expect([...map.keys()]).toEqual([2, 4])
+
+		map.set(3, '3')
+		expect([...map.keys()]).toEqual([2, 3, 4])
+
+		map.clear()
+		map.set(1, '1').set(0, '0')
+		expect([...map.keys()]).toEqual([0, 1])
+	})
+
+	test('Many elements in random order', () => {
+		const keys = Array.from({ length: 2000 }, (_, index) => (index * 7919) % 2000)
+		const map = new SortedReverseIterableMap()
+
+		for (const key of keys) {
+			map.set(key, key)
+		}
+
+		for (const key of keys.slice(0, 1000)) {
+			map.delete(key)
+		}
+
+		const expectedKeys = keys.slice(1000).sort((a, b) => a - b)
+		expect([...map.keys()]).toEqual(expectedKeys)
+		expect([...map.keys().reverseIterator()]).toEqual([...expectedKeys].reverse())
+		expect(map.floorKey(1000.5)).toBe(expectedKeys.filter((key) => key <= 1000.5).pop())
+		expect(map.ceilingKey(1000.5)).toBe(expectedKeys.find((key) => key >= 1000.5))
+	})
+
+	test('map.floorKey(), map.ceilingKey(), map.lowerKey() and map.higherKey()', () => {
+		const map = new SortedReverseIterableMap({}, [
+			[10, 'a'],
+			[20, 'b'],
+			[30, 'c'],
+		])
+
+		expect(map.floorKey(20)).toBe(20)
+		expect(map.floorKey(25)).toBe(20)
+		expect(map.floorKey(5)).toBe(undefined)
+		expect(map.lowerKey(20)).toBe(10)
+		expect(map.lowerKey(10)).toBe(undefined)
+		expect(map.ceilingKey(20)).toBe(20)
+		expect(map.ceilingKey(15)).toBe(20)
+		expect(map.ceilingKey(35)).toBe(undefined)
+		expect(map.higherKey(20)).toBe(30)
+		expect(map.higherKey(30)).toBe(undefined)
+		expect(new SortedReverseIterableMap().floorKey(1)).toBe(undefined)
+	})
+
+	test('map.range()', () => {
+		const map = new SortedReverseIterableMap({}, [
+			[10, 'a'],
+			[20, 'b'],
+			[30, 'c'],
+			[40, 'd'],
+		])
+
+		expect([...map.range(15, 40)]).toEqual([[20, 'b'], [30, 'c'], [40, 'd']])
+		expect([...map.range(20, 40, { inclusive: false })]).toEqual([[30, 'c']])
+		expect([...map.range(35, 15, { reverse: true })]).toEqual([[30, 'c'], [20, 'b']])
+		expect([...map.range(15, 35).reverseIterator()]).toEqual([[30, 'c'], [20, 'b']])
+		expect([...map.range(40, 10)]).toEqual([])
+		expect([...map.range(10, 40, { reverse: true })]).toEqual([])
+		expect([...map.range(21, 29)]).toEqual([])
+		expect([...map.range(30, 30, { inclusive: false })]).toEqual([])
+		expect([...map.range(0, 100).map(([key]) => key)]).toEqual([10, 20, 30, 40])
+		expect([...map.slice(20, 30)]).toEqual([[20, 'b'], [30, 'c']])
+	})
+
+	test('map.subscribe() reports sorted positions', () => {
+		const map = new SortedReverseIterableMap({}, [[10, 'a'], [30, 'c']])
+		const listener = vi.fn()
+		map.subscribe(listener)
+
+		map.set(20, 'b')
+		expect(listener).toHaveBeenCalledWith([{ type: 'insert', key: 20, value: 'b', index: 1 }], map)
+	})
+
+	test('map.transaction() rolls back the skip list', () => {
+		const map = new SortedReverseIterableMap({}, Array.from({ length: 100 }, (_, index) => [index * 2, index]))
+
+		expect(() => map.transaction(() => {
+			for (let key = 1; key < 200; key += 2) {
+				map.set(key, key)
+			}
+			map.delete(100)
+			throw new Error('failed')
+		})).toThrowError('failed')
+
+		expect(map.floorKey(101)).toBe(100)
+		expect(map.higherKey(99)).toBe(100)
+
+		map.set(101, 101).delete(100)
+		expect(map.floorKey(101)).toBe(101)
+		expect(map.lowerKey(101)).toBe(98)
+		expect([...map.keys()]).toEqual([...Array.from({ length: 100 }, (_, index) => index * 2).filter((key) => key !== 100), 101].sort((a, b) => a - b))
+	})
+
+	test('Positional methods throw', () => {
+		const map = new SortedReverseIterableMap({}, [
+			[1, 'a'],
+			[2, 'b'],
+		])
+
+		expect(() => map.setFirst(0, 'z')).toThrowError(TypeError('setFirst() is not supported by SortedReverseIterableMap'))
+		expect(() => map.insertBefore(1, 0, 'z')).toThrowError(TypeError)
+		expect(() => map.insertAfter(1, 0, 'z')).toThrowError(TypeError)
+		expect(() => map.moveToFront(2)).toThrowError(TypeError)
+		expect(() => map.moveToBack(1)).toThrowError(TypeError)
+		expect(() => map.moveBefore(1, 2)).toThrowError(TypeError)
+		expect(() => map.moveAfter(2, 1)).toThrowError(TypeError)
+		expect(() => map.sort()).toThrowError(TypeError)
+		expect([...map.keys()]).toEqual([1, 2])
+		expect([...map.toSorted((a, b) => b[0] - a[0]).keys()]).toEqual([2, 1])
+	})
+
+	test('SortedReverseIterableMap.fromJSON() creates a ReverseIterableMap', () => {
+		const data = JSON.parse(JSON.stringify(new SortedReverseIterableMap({}, [[2, 'b'], [1, 'a']])))
+		const map = SortedReverseIterableMap.fromJSON(data)
+
+		expect(map).not.toBeInstanceOf(SortedReverseIterableMap)
+		expect(map.toString()).toBe('[object ReverseIterableMap]')
+		expect([...new SortedReverseIterableMap({}, map).set(0, 'z').keys()]).toEqual([0, 1, 2])
+	})
+})
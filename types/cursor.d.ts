@@ -0,0 +1,68 @@
+import type ReverseIterableMap from './index.js'
+
+/**
+ * A cursor pointing at an element of a `ReverseIterableMap` object. It follows its element when it moves and continues with a neighbor when it gets deleted.
+ */
+export default class ReverseIterableMapCursor<K, V> {
+	/**
+	 * Creates a cursor pointing at the element with the specified key or, without a key, at the first element.
+	 */
+	constructor(map: ReverseIterableMap<K, V>, key?: K)
+
+	readonly [Symbol.toStringTag]: string
+
+	/**
+	 * The key of the element the cursor points at or `undefined` if the map is empty.
+	 */
+	readonly key: K | undefined
+
+	/**
+	 * The value of the element the cursor points at or `undefined` if the map is empty.
+	 */
+	readonly value: V | undefined
+
+	/**
+	 * The `[key, value]` pair of the element the cursor points at or `undefined` if the map is empty.
+	 */
+	readonly entry: [K, V] | undefined
+
+	/**
+	 * Moves the cursor to the next element. Returns its `[key, value]` pair or `undefined` if there is none.
+	 */
+	next(): [K, V] | undefined
+
+	/**
+	 * Moves the cursor to the previous element. Returns its `[key, value]` pair or `undefined` if there is none.
+	 */
+	prev(): [K, V] | undefined
+
+	/**
+	 * Returns the `[key, value]` pair of the next element without moving the cursor.
+	 */
+	peekNext(): [K, V] | undefined
+
+	/**
+	 * Returns the `[key, value]` pair of the previous element without moving the cursor.
+	 */
+	peekPrev(): [K, V] | undefined
+
+	/**
+	 * Replaces the value of the element the cursor points at.
+	 */
+	set(value: V): this
+
+	/**
+	 * Deletes the element the cursor points at. Returns `false` if the map is empty.
+	 */
+	delete(): boolean
+
+	/**
+	 * Adds an element before the element the cursor points at.
+	 */
+	insertBefore(key: K, value: V): this
+
+	/**
+	 * Adds an element after the element the cursor points at.
+	 */
+	insertAfter(key: K, value: V): this
+}
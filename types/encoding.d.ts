@@ -0,0 +1,37 @@
+import type ReverseIterableMap from './index.js'
+
+/**
+ * A codec converting keys or values to bytes and back. `encode()` must return a `Uint8Array` object which `decode()` turns back into the original key or value.
+ */
+export interface Codec<T> {
+	encode: (value: T) => Uint8Array
+	decode: (bytes: Uint8Array) => T
+}
+
+export interface EncodingOptions<K, V> {
+	/**
+	 * Codec for the keys. Defaults to encoding them as MessagePack values.
+	 */
+	keyCodec?: Codec<K>
+	/**
+	 * Codec for the values. Defaults to encoding them as MessagePack values.
+	 */
+	valueCodec?: Codec<V>
+}
+
+/**
+ * Returns the elements of `map` in a compact binary format based on MessagePack which `decode()` turns back into a map.
+ */
+export function encode<K, V>(map: Iterable<[K, V]>, options?: EncodingOptions<K, V>): Uint8Array
+
+/**
+ * Creates a `ReverseIterableMap` object from bytes returned by `encode()`. It’s a `ReverseIterableMap` object even if an object of a subclass was encoded.
+ *
+ * This is a function instead of a static `ReverseIterableMap.decode()` method so that the core module doesn’t import the encoding.
+ */
+export function decode<K, V>(bytes: Uint8Array, options?: EncodingOptions<K, V>): ReverseIterableMap<K, V>
+
+/**
+ * Returns an iterator which decodes the elements of bytes returned by `encode()` one at a time.
+ */
+export function decodeEntries<K, V>(bytes: Uint8Array, options?: EncodingOptions<K, V>): IterableIterator<[K, V]>
@@ -0,0 +1,63 @@
+import ReverseIterableMap, { type ReverseIterableMapOptions } from './index.js'
+
+export interface ExpiringReverseIterableMapOptions extends ReverseIterableMapOptions {
+	/**
+	 * The default time to live of an element in milliseconds. Defaults to `Infinity`.
+	 */
+	ttl?: number
+	/**
+	 * Returns the current time in milliseconds. Defaults to `Date.now`.
+	 */
+	now?: () => number
+}
+
+export interface ExpiringSetOptions {
+	/**
+	 * The time to live of the element in milliseconds. Defaults to the map’s default time to live.
+	 */
+	ttl?: number
+}
+
+/**
+ * A `ReverseIterableMap` whose elements expire after a time to live (TTL). Expired elements are treated as absent by all methods and iterators.
+ */
+export default class ExpiringReverseIterableMap<K = any, V = any> extends ReverseIterableMap<K, V> {
+	/**
+	 * Creates a map with the elements of `iterable` which expire after the default time to live.
+	 */
+	constructor(options?: ExpiringReverseIterableMapOptions, iterable?: Iterable<readonly [K, V]>)
+	/**
+	 * Creates a map with the elements of `iterable`, an iterable object whose elements are arrays. The first item of each array is used as the key and the second item as the value.
+	 */
+	constructor(options: ExpiringReverseIterableMapOptions | undefined, iterable: Iterable<readonly unknown[]>)
+
+	/**
+	 * Returns the remaining time to live of an element in milliseconds or `undefined` if the element does not exist.
+	 */
+	ttl(key: K): number | undefined
+
+	/**
+	 * Adds or updates an element at the end and (re-)starts its time to live.
+	 */
+	set(key: K, value: V, options?: ExpiringSetOptions): this
+
+	/**
+	 * Adds or updates an element at the start and (re-)starts its time to live.
+	 */
+	setFirst(key: K, value: V, options?: ExpiringSetOptions): this
+
+	/**
+	 * Adds an element before the element with the key `refKey`.
+	 */
+	insertBefore(refKey: K, key: K, value: V, options?: ExpiringSetOptions): this
+
+	/**
+	 * Adds an element after the element with the key `refKey`.
+	 */
+	insertAfter(refKey: K, key: K, value: V, options?: ExpiringSetOptions): this
+
+	/**
+	 * Removes all expired elements. Returns the number of removed elements.
+	 */
+	purgeExpired(): number
+}
@@ -0,0 +1,50 @@
+import type ReverseIterableMap from './index.js'
+
+export interface HistoryOptions {
+	/**
+	 * The maximum number of undo steps. Older steps are discarded. Defaults to `100`.
+	 */
+	depth?: number
+}
+
+/**
+ * Records the changes of a `ReverseIterableMap` object so that they can be undone and redone.
+ */
+export default class ReverseIterableMapHistory<K, V> {
+	/**
+	 * Starts recording the changes of `map`.
+	 */
+	constructor(map: ReverseIterableMap<K, V>, options?: HistoryOptions)
+
+	readonly [Symbol.toStringTag]: string
+
+	/**
+	 * Whether there is a step to undo.
+	 */
+	readonly canUndo: boolean
+
+	/**
+	 * Whether there is a step to redo.
+	 */
+	readonly canRedo: boolean
+
+	/**
+	 * Reverts the last recorded step. Returns `false` if there was none.
+	 */
+	undo(): boolean
+
+	/**
+	 * Repeats the last undone step. Returns `false` if there was none.
+	 */
+	redo(): boolean
+
+	/**
+	 * Discards all recorded steps.
+	 */
+	clear(): void
+
+	/**
+	 * Stops recording changes of the map.
+	 */
+	dispose(): void
+}
@@ -0,0 +1,125 @@
+import type ReverseIterableMap from './index.js'
+import type { IteratorForOptions, ReverseIterableIterator } from './index.js'
+
+/**
+ * An immutable version of `ReverseIterableMap`. `set()`, `setFirst()` and `delete()` return a new map which shares all unchanged parts with the original one.
+ *
+ * Changes which have no effect return the map itself so that comparing versions by reference detects changes.
+ */
+export default class ImmutableReverseIterableMap<K = any, V = any> {
+	/**
+	 * Creates a map with the elements of `iterable`, an iterable object whose elements are key-value pairs, e.g. a `ReverseIterableMap` object.
+	 */
+	constructor(iterable?: Iterable<readonly [K, V]>)
+	/**
+	 * Creates a map with the elements of `iterable`, an iterable object whose elements are arrays. The first item of each array is used as the key and the second item as the value.
+	 */
+	constructor(iterable: Iterable<readonly unknown[]>)
+
+	get [Symbol.toStringTag](): string
+
+	/**
+	 * The number of elements in the map.
+	 */
+	get size(): number
+
+	/**
+	 * Returns whether an element with the specified key exists.
+	 */
+	has(key: K): boolean
+
+	/**
+	 * Returns the value of the element with the specified key or `undefined` if there is none.
+	 */
+	get(key: K): V | undefined
+
+	/**
+	 * Returns a new map with the element added at the end or with the value of an existing element updated. Returns the map itself if the element already has this value.
+	 */
+	set(key: K, value: V): ImmutableReverseIterableMap<K, V>
+
+	/**
+	 * Returns a new map with the element added at the start or with the value of an existing element updated. Returns the map itself if the element already has this value.
+	 */
+	setFirst(key: K, value: V): ImmutableReverseIterableMap<K, V>
+
+	/**
+	 * Returns a new map without the specified element. Returns the map itself if there is no such element.
+	 */
+	delete(key: K): ImmutableReverseIterableMap<K, V>
+
+	/**
+	 * Returns an empty map. Returns the map itself if it is empty.
+	 */
+	clear(): ImmutableReverseIterableMap<K, V>
+
+	/**
+	 * Returns the `[key, value]` pair of the first element or `undefined` if the map is empty.
+	 */
+	first(): [K, V] | undefined
+
+	/**
+	 * Returns the `[key, value]` pair of the last element or `undefined` if the map is empty.
+	 */
+	last(): [K, V] | undefined
+
+	/**
+	 * Calls `callbackfn` once for each element in insertion order.
+	 */
+	forEach(callbackfn: (value: V, key: K, map: ImmutableReverseIterableMap<K, V>) => void, thisArg?: any): void
+
+	/**
+	 * Calls `callbackfn` once for each element in reverse insertion order.
+	 */
+	forEachReverse(callbackfn: (value: V, key: K, map: ImmutableReverseIterableMap<K, V>) => void, thisArg?: any): void
+
+	/**
+	 * Returns an iterator of the `[key, value]` pairs in insertion order.
+	 */
+	[Symbol.iterator](): ReverseIterableIterator<[K, V]>
+
+	/**
+	 * Returns an iterator of the `[key, value]` pairs in reverse insertion order.
+	 */
+	reverseIterator(): ReverseIterableIterator<[K, V]>
+
+	/**
+	 * Returns an iterator of the `[key, value]` pairs in insertion order.
+	 */
+	entries(): ReverseIterableIterator<[K, V]>
+
+	/**
+	 * Returns an iterator of the keys in insertion order.
+	 */
+	keys(): ReverseIterableIterator<K>
+
+	/**
+	 * Returns an iterator of the values in insertion order.
+	 */
+	values(): ReverseIterableIterator<V>
+
+	/**
+	 * Returns an iterator of the `[key, value]` pairs in insertion order starting with the element with the specified key. Its `reverseIterator()` walks from that element to the start.
+	 */
+	iteratorFor(key: K, options?: IteratorForOptions): ReverseIterableIterator<[K, V]>
+
+	/**
+	 * Returns an iterator of the keys in insertion order starting with the element with the specified key.
+	 */
+	keysFor(key: K, options?: IteratorForOptions): ReverseIterableIterator<K>
+
+	/**
+	 * Returns an iterator of the values in insertion order starting with the element with the specified key.
+	 */
+	valuesFor(key: K, options?: IteratorForOptions): ReverseIterableIterator<V>
+
+	/**
+	 * Returns whether another map has the same elements in the same order. Keys and values are compared using SameValueZero.
+	 */
+	equals(other: unknown): boolean
+
+	/**
+	 * Returns a new mutable `ReverseIterableMap` object with the same elements.
+	 */
+	toMutable(): ReverseIterableMap<K, V>
+}
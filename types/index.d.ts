@@ -1,8 +1,68 @@
+import type ReverseIterableMapCursor from './cursor.js'
+
 /**
  * Custom `IterableIterator` interface including a `reverseIterator` function. Should reverse-iteration make it into ECMAScript, this function would probably be named `[Symbol.reverseIterator]`.
+ *
+ * It also implements the [iterator helpers](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Iterator#iterator_helpers). The lazy ones return reverse-iterable iterators themselves: Calling `reverseIterator()` on them applies the same operations to the reverse iteration of the underlying iterator. For example, `map.keys().take(2).reverseIterator()` yields the last two keys.
  */
 export interface ReverseIterableIterator<T> extends IterableIterator<T> {
-	reverseIterator(): IterableIterator<T>
+	/**
+	 * Restarts the iterator in reverse order. Returns the iterator itself.
+	 */
+	reverseIterator(): ReverseIterableIterator<T>
+
+	/**
+	 * Returns a lazy iterator of the values returned by `callbackfn`. For reference, see [`Iterator.prototype.map`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Iterator/map).
+	 */
+	map<U>(callbackfn: (value: T, index: number) => U): ReverseIterableIterator<U>
+
+	/**
+	 * Returns a lazy iterator of the values for which `predicate` returns a truthy value. For reference, see [`Iterator.prototype.filter`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Iterator/filter).
+	 */
+	filter<S extends T>(predicate: (value: T, index: number) => value is S): ReverseIterableIterator<S>
+	filter(predicate: (value: T, index: number) => unknown): ReverseIterableIterator<T>
+
+	/**
+	 * Returns a lazy iterator of at most `limit` values. For reference, see [`Iterator.prototype.take`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Iterator/take).
+	 */
+	take(limit: number): ReverseIterableIterator<T>
+
+	/**
+	 * Returns a lazy iterator skipping the first `limit` values. For reference, see [`Iterator.prototype.drop`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Iterator/drop).
+	 */
+	drop(limit: number): ReverseIterableIterator<T>
+
+	/**
+	 * Returns a lazy iterator of the values of the iterables returned by `callbackfn`. For reference, see [`Iterator.prototype.flatMap`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Iterator/flatMap).
+	 */
+	flatMap<U>(callbackfn: (value: T, index: number) => Iterable<U>): ReverseIterableIterator<U>
+
+	/**
+	 * Reduces the remaining values to a single value. For reference, see [`Iterator.prototype.reduce`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Iterator/reduce).
+	 */
+	reduce(callbackfn: (accumulator: T, value: T, index: number) => T): T
+	reduce<U>(callbackfn: (accumulator: U, value: T, index: number) => U, initialValue: U): U
+
+	/**
+	 * Returns whether `predicate` returns a truthy value for any of the remaining values. For reference, see [`Iterator.prototype.some`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Iterator/some).
+	 */
+	some(predicate: (value: T, index: number) => unknown): boolean
+
+	/**
+	 * Returns whether `predicate` returns a truthy value for all of the remaining values. For reference, see [`Iterator.prototype.every`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Iterator/every).
+	 */
+	every(predicate: (value: T, index: number) => unknown): boolean
+
+	/**
+	 * Returns the first of the remaining values for which `predicate` returns a truthy value. For reference, see [`Iterator.prototype.find`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Iterator/find).
+	 */
+	find<S extends T>(predicate: (value: T, index: number) => value is S): S | undefined
+	find(predicate: (value: T, index: number) => unknown): T | undefined
+
+	/**
+	 * Returns an array of the remaining values. For reference, see [`Iterator.prototype.toArray`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Iterator/toArray).
+	 */
+	toArray(): T[]
 }
 
 /**
@@ -11,6 +71,434 @@ export interface ReverseIterableIterator<T> extends IterableIterator<T> {
 export interface ReverseIterableMapNode<K, V> {
 	key: K
 	value: V
-	nextNode: ReverseIterableSetNode<K, V> | null
-	prevNode: ReverseIterableSetNode<K, V> | null
+	nextNode: ReverseIterableMapNode<K, V> | null
+	prevNode: ReverseIterableMapNode<K, V> | null
+	/**
+	 * Whether the node was deleted from its map. A deleted node keeps its links so that iterators visiting it can find their way back into the map.
+	 */
+	removed: boolean
+}
+
+export interface ReverseIterableMapOptions {
+	/**
+	 * Whether to maintain a positional index which makes `at()` and `indexOf()` take logarithmic time instead of linear time. Adding, removing and moving elements then takes logarithmic time, too. Defaults to `false`.
+	 */
+	indexed?: boolean
+}
+
+export interface NeighborOptions {
+	/**
+	 * Whether to continue at the other end when reaching the first or last element. Defaults to `false`.
+	 */
+	wrap?: boolean
+}
+
+export interface IteratorForOptions {
+	/**
+	 * Whether to throw if no element with the given key exists instead of returning an empty iterator. Defaults to `false`.
+	 */
+	strict?: boolean
+}
+
+export interface MapKeysOptions {
+	/**
+	 * What to do if the callback returns the same key for several elements. Defaults to `'last'`.
+	 */
+	onCollision?: 'last' | 'first' | 'throw'
+}
+
+export interface RangeOptions {
+	/**
+	 * Whether the elements specified by `fromKey` and `toKey` are part of the range. Defaults to `true`.
+	 */
+	inclusive?: boolean
+	/**
+	 * Whether to walk from `fromKey` to `toKey` in reverse insertion order. Defaults to `false`.
+	 */
+	reverse?: boolean
+}
+
+export interface FromJSONOptions<K, V> {
+	/**
+	 * Function that gets passed each key of `data` and returns the key to use instead.
+	 */
+	reviveKey?: (key: any) => K
+	/**
+	 * Function that gets passed each value of `data` along with its revived key and returns the value to use instead.
+	 */
+	reviveValue?: (value: any, key: K) => V
+}
+
+/**
+ * The elements of a `ReverseIterableMap` object in a form which survives the [structured clone algorithm](https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API/Structured_clone_algorithm) of `structuredClone()` and `postMessage()`.
+ */
+export interface TransferableReverseIterableMap<K, V> {
+	type: 'ReverseIterableMap'
+	entries: [K, V][]
+}
+
+/**
+ * A change record describing an added element. `index` is the position of the new element.
+ */
+export interface InsertRecord<K, V> {
+	type: 'insert'
+	key: K
+	value: V
+	index: number
+}
+
+/**
+ * A change record describing an element whose value was replaced.
+ */
+export interface UpdateRecord<K, V> {
+	type: 'update'
+	key: K
+	value: V
+	previousValue: V
+	index: number
+}
+
+/**
+ * A change record describing an element which moved from `previousIndex` to `index`.
+ */
+export interface MoveRecord<K> {
+	type: 'move'
+	key: K
+	index: number
+	previousIndex: number
+}
+
+/**
+ * A change record describing a removed element. `previousIndex` is the position it was removed from.
+ */
+export interface DeleteRecord<K, V> {
+	type: 'delete'
+	key: K
+	previousValue: V
+	previousIndex: number
+}
+
+/**
+ * A change record describing the removal of all elements.
+ */
+export interface ClearRecord<K, V> {
+	type: 'clear'
+	previousEntries: [K, V][]
+}
+
+/**
+ * A change record describing a reordering of all elements by `sort()`.
+ */
+export interface SortRecord<K> {
+	type: 'sort'
+	previousKeys: K[]
+}
+
+export type ChangeRecord<K, V> = InsertRecord<K, V> | UpdateRecord<K, V> | MoveRecord<K> | DeleteRecord<K, V> | ClearRecord<K, V> | SortRecord<K>
+
+export type ChangeListener<K, V> = (records: ChangeRecord<K, V>[], map: ReverseIterableMap<K, V>) => void
+
+/**
+ * A reverse-iterable map implementation based on the built-in [`Map`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map) object.
+ *
+ * It exposes its order via iterable iterators which can be used for both forwards and backwards iteration. As per `Map`, the order of a `ReverseIterableMap` is the insertion order.
+ */
+export default class ReverseIterableMap<K = any, V = any> {
+	/**
+	 * Creates a map with the elements of `iterable`, an [iterable](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols#The_iterable_protocol) object whose elements are key-value pairs.
+	 */
+	constructor(iterable?: Iterable<readonly [K, V]>, options?: ReverseIterableMapOptions)
+	/**
+	 * Creates a map with the elements of `iterable`, an iterable object whose elements are arrays. The first item of each array is used as the key and the second item as the value.
+	 */
+	constructor(iterable: Iterable<readonly unknown[]>, options?: ReverseIterableMapOptions)
+
+	/**
+	 * Creates a `ReverseIterableMap` object from an array of key-value pairs like the one returned by `toJSON()`. Called on a subclass, it still creates a `ReverseIterableMap` object.
+	 */
+	static fromJSON<K, V>(data: unknown, options?: FromJSONOptions<K, V>): ReverseIterableMap<K, V>
+
+	/**
+	 * Creates a `ReverseIterableMap` object from the result of `toTransferable()`. Called on a subclass, it still creates a `ReverseIterableMap` object.
+	 */
+	static fromTransferable<K, V>(data: unknown): ReverseIterableMap<K, V>
+
+	/**
+	 * A replacer function for `JSON.stringify()` which serializes `ReverseIterableMap` objects, `Date` objects, BigInts and non-finite numbers in a form which `ReverseIterableMap.reviver()` turns back into the original values.
+	 */
+	static replacer(this: any, key: string, value: unknown): unknown
+
+	/**
+	 * A reviver function for `JSON.parse()` which restores the values serialized by `ReverseIterableMap.replacer()`.
+	 */
+	static reviver(key: string, value: unknown): unknown
+
+	get [Symbol.toStringTag](): string
+
+	/**
+	 * The number of elements in the map.
+	 */
+	get size(): number
+
+	/**
+	 * Removes all elements.
+	 */
+	clear(): void
+
+	/**
+	 * Returns whether an element with the specified key exists.
+	 */
+	has(key: K): boolean
+
+	/**
+	 * Returns the value of the element with the specified key or `undefined` if there is none.
+	 */
+	get(key: K): V | undefined
+
+	/**
+	 * Adds an element with the specified key and value at the end or updates the value of an existing element.
+	 */
+	set(key: K, value: V): this
+
+	/**
+	 * Adds an element with the specified key and value at the start or updates the value of an existing element.
+	 */
+	setFirst(key: K, value: V): this
+
+	/**
+	 * Adds an element with the specified key and value before the element with the key `refKey`.
+	 */
+	insertBefore(refKey: K, key: K, value: V): this
+
+	/**
+	 * Adds an element with the specified key and value after the element with the key `refKey`.
+	 */
+	insertAfter(refKey: K, key: K, value: V): this
+
+	/**
+	 * Moves an element to the start. Returns whether the element existed and changed its position.
+	 */
+	moveToFront(key: K): boolean
+
+	/**
+	 * Moves an element to the end. Returns whether the element existed and changed its position.
+	 */
+	moveToBack(key: K): boolean
+
+	/**
+	 * Moves an element before the element with the key `refKey`. Returns whether the element existed and changed its position.
+	 */
+	moveBefore(refKey: K, key: K): boolean
+
+	/**
+	 * Moves an element after the element with the key `refKey`. Returns whether the element existed and changed its position.
+	 */
+	moveAfter(refKey: K, key: K): boolean
+
+	/**
+	 * Removes the element with the specified key. Returns whether it existed.
+	 */
+	delete(key: K): boolean
+
+	/**
+	 * Returns the `[key, value]` pair of the first element or `undefined` if the map is empty.
+	 */
+	first(): [K, V] | undefined
+
+	/**
+	 * Returns the `[key, value]` pair of the last element or `undefined` if the map is empty.
+	 */
+	last(): [K, V] | undefined
+
+	/**
+	 * Removes the first element. Returns its `[key, value]` pair or `undefined` if the map is empty.
+	 */
+	shift(): [K, V] | undefined
+
+	/**
+	 * Removes the last element. Returns its `[key, value]` pair or `undefined` if the map is empty.
+	 */
+	pop(): [K, V] | undefined
+
+	/**
+	 * Returns the `[key, value]` pair of the element at the specified position. Negative positions count back from the last element.
+	 */
+	at(index: number): [K, V] | undefined
+
+	/**
+	 * Returns the position of the element with the specified key or `-1` if it does not exist.
+	 */
+	indexOf(key: K): number
+
+	/**
+	 * Returns the key of the element after the element with the specified key.
+	 */
+	nextKey(key: K, options?: NeighborOptions): K | undefined
+
+	/**
+	 * Returns the key of the element before the element with the specified key.
+	 */
+	prevKey(key: K, options?: NeighborOptions): K | undefined
+
+	/**
+	 * Returns the `[key, value]` pair of the element after the element with the specified key.
+	 */
+	nextEntry(key: K, options?: NeighborOptions): [K, V] | undefined
+
+	/**
+	 * Returns the `[key, value]` pair of the element before the element with the specified key.
+	 */
+	prevEntry(key: K, options?: NeighborOptions): [K, V] | undefined
+
+	/**
+	 * Calls `callbackfn` once for each element in insertion order.
+	 */
+	forEach(callbackfn: (value: V, key: K, map: ReverseIterableMap<K, V>) => void, thisArg?: any): void
+
+	/**
+	 * Calls `callbackfn` once for each element in reverse-insertion order.
+	 */
+	forEachReverse(callbackfn: (value: V, key: K, map: ReverseIterableMap<K, V>) => void, thisArg?: any): void
+
+	/**
+	 * Returns a new map with the elements for which `predicate` returns a truthy value.
+	 */
+	filter(predicate: (value: V, key: K, map: ReverseIterableMap<K, V>) => unknown, thisArg?: any): ReverseIterableMap<K, V>
+
+	/**
+	 * Returns a new map with the same keys and the values returned by `callbackfn`.
+	 */
+	mapValues<U>(callbackfn: (value: V, key: K, map: ReverseIterableMap<K, V>) => U, thisArg?: any): ReverseIterableMap<K, U>
+
+	/**
+	 * Returns a new map with the keys returned by `callbackfn` and the same values.
+	 */
+	mapKeys<L>(callbackfn: (value: V, key: K, map: ReverseIterableMap<K, V>) => L, thisArg?: any, options?: MapKeysOptions): ReverseIterableMap<L, V>
+
+	/**
+	 * Returns a new map with the elements in reverse order.
+	 */
+	reverse(): ReverseIterableMap<K, V>
+
+	/**
+	 * Sorts the elements in place.
+	 */
+	sort(compareFn?: (a: [K, V], b: [K, V]) => number): this
+
+	/**
+	 * Returns a new map with the elements in sorted order.
+	 */
+	toSorted(compareFn?: (a: [K, V], b: [K, V]) => number): ReverseIterableMap<K, V>
+
+	/**
+	 * Returns an array of the `[key, value]` pairs for `JSON.stringify()`.
+	 */
+	toJSON(): [K, V][]
+
+	/**
+	 * Returns the elements in a form which can be passed to `structuredClone()` and `postMessage()`.
+	 */
+	toTransferable(): TransferableReverseIterableMap<K, V>
+
+	/**
+	 * Returns the value of the first element for which `predicate` returns a truthy value.
+	 */
+	find(predicate: (value: V, key: K, map: ReverseIterableMap<K, V>) => unknown, thisArg?: any): V | undefined
+
+	/**
+	 * Returns the value of the last element for which `predicate` returns a truthy value.
+	 */
+	findLast(predicate: (value: V, key: K, map: ReverseIterableMap<K, V>) => unknown, thisArg?: any): V | undefined
+
+	/**
+	 * Returns the key of the first element for which `predicate` returns a truthy value.
+	 */
+	findKey(predicate: (value: V, key: K, map: ReverseIterableMap<K, V>) => unknown, thisArg?: any): K | undefined
+
+	/**
+	 * Returns the key of the last element for which `predicate` returns a truthy value.
+	 */
+	findLastKey(predicate: (value: V, key: K, map: ReverseIterableMap<K, V>) => unknown, thisArg?: any): K | undefined
+
+	/**
+	 * Reduces the values to a single value in insertion order.
+	 */
+	reduce(callbackfn: (accumulator: V, value: V, key: K, map: ReverseIterableMap<K, V>) => V): V
+	reduce<U>(callbackfn: (accumulator: U, value: V, key: K, map: ReverseIterableMap<K, V>) => U, initialValue: U): U
+
+	/**
+	 * Reduces the values to a single value in reverse-insertion order.
+	 */
+	reduceRight(callbackfn: (accumulator: V, value: V, key: K, map: ReverseIterableMap<K, V>) => V): V
+	reduceRight<U>(callbackfn: (accumulator: U, value: V, key: K, map: ReverseIterableMap<K, V>) => U, initialValue: U): U
+
+	/**
+	 * Returns an iterator of the `[key, value]` pairs in insertion order.
+	 */
+	[Symbol.iterator](): ReverseIterableIterator<[K, V]>
+
+	/**
+	 * Returns an iterator of the `[key, value]` pairs in reverse-insertion order.
+	 */
+	reverseIterator(): ReverseIterableIterator<[K, V]>
+
+	/**
+	 * Returns an iterator of the `[key, value]` pairs in insertion order.
+	 */
+	entries(): ReverseIterableIterator<[K, V]>
+
+	/**
+	 * Returns an iterator of the keys in insertion order.
+	 */
+	keys(): ReverseIterableIterator<K>
+
+	/**
+	 * Returns an iterator of the values in insertion order.
+	 */
+	values(): ReverseIterableIterator<V>
+
+	/**
+	 * Returns an iterator of the `[key, value]` pairs starting with the element with the specified key.
+	 */
+	iteratorFor(key: K, options?: IteratorForOptions): ReverseIterableIterator<[K, V]>
+
+	/**
+	 * Returns an iterator of the keys starting with the element with the specified key.
+	 */
+	keysFor(key: K, options?: IteratorForOptions): ReverseIterableIterator<K>
+
+	/**
+	 * Returns an iterator of the values starting with the element with the specified key.
+	 */
+	valuesFor(key: K, options?: IteratorForOptions): ReverseIterableIterator<V>
+
+	/**
+	 * Returns an iterator of the `[key, value]` pairs from the element with the key `fromKey` to the element with the key `toKey`.
+	 */
+	range(fromKey: K, toKey: K, options?: RangeOptions): ReverseIterableIterator<[K, V]>
+
+	/**
+	 * Returns a new map with the elements from the element with the key `fromKey` to the element with the key `toKey`.
+	 */
+	slice(fromKey: K, toKey: K, options?: RangeOptions): ReverseIterableMap<K, V>
+
+	/**
+	 * Returns a cursor pointing at the element with the specified key or at the first element.
+	 */
+	cursor(key?: K): ReverseIterableMapCursor<K, V>
+
+	/**
+	 * Calls `listener` with the change records of each change. Returns a function which removes the listener again.
+	 */
+	subscribe(listener: ChangeListener<K, V>): () => void
+
+	/**
+	 * Calls `fn` and notifies listeners of all its changes at once. If `fn` throws, its error is rethrown even if listeners throw too.
+	 */
+	batch<T>(fn: (map: this) => T): T
+
+	/**
+	 * Calls `fn` and reverts all its changes if it throws. Listeners are notified of all its changes at once.
+	 */
+	transaction<T>(fn: (map: this) => T): T
 }
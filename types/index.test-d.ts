@@ -0,0 +1,310 @@
+import { describe, expectTypeOf, test } from 'vitest'
+
+import ImplementationExpiring from '../src/expiring-reverse-iterable-map.js'
+import ImplementationImmutable from '../src/immutable-reverse-iterable-map.js'
+import ImplementationLru from '../src/lru-reverse-iterable-map.js'
+import ImplementationMemoryStorageAdapter from '../src/memory-storage-adapter.js'
+import Implementation from '../src/reverse-iterable-map.js'
+import ImplementationCursor from '../src/reverse-iterable-map-cursor.js'
+import * as ImplementationEncoding from '../src/reverse-iterable-map-encoding.js'
+import ImplementationHistory from '../src/reverse-iterable-map-history.js'
+import ImplementationPersistence, * as ImplementationPersistenceModule from '../src/reverse-iterable-map-persistence.js'
+import * as ImplementationReplication from '../src/reverse-iterable-map-replication.js'
+import ImplementationSorted from '../src/sorted-reverse-iterable-map.js'
+import ReverseIterableMap, {
+	type ChangeRecord,
+	type ReverseIterableIterator,
+	type ReverseIterableMapNode,
+} from './index.js'
+import ReverseIterableMapCursor from './cursor.js'
+import * as Encoding from './encoding.js'
+import ExpiringReverseIterableMap from './expiring.js'
+import ReverseIterableMapHistory from './history.js'
+import ImmutableReverseIterableMap from './immutable.js'
+import LruReverseIterableMap from './lru.js'
+import MemoryStorageAdapter from './memory-storage-adapter.js'
+import ReverseIterableMapPersistence, * as Persistence from './persistence.js'
+import * as Replication from './replication.js'
+import SortedReverseIterableMap from './sorted.js'
+
+/**
+ * The names of the members which aren’t private by convention.
+ */
+type PublicKeys<T> = Exclude<keyof T, `_${string}`>
+
+describe('Declarations match the implementation', () => {
+	test('ReverseIterableMap', () => {
+		expectTypeOf<PublicKeys<Implementation<string, number>>>().toEqualTypeOf<keyof ReverseIterableMap<string, number>>()
+		expectTypeOf<Exclude<keyof typeof Implementation, 'prototype'>>().toEqualTypeOf<Exclude<keyof typeof ReverseIterableMap, 'prototype'>>()
+		expectTypeOf<Implementation<string, number>>().toMatchTypeOf<ReverseIterableMap<string, number>>()
+		expectTypeOf(Implementation).toMatchTypeOf<typeof ReverseIterableMap>()
+	})
+
+	test('reverse-iterable-map/cursor', () => {
+		expectTypeOf<PublicKeys<ImplementationCursor<string, number>>>().toEqualTypeOf<keyof ReverseIterableMapCursor<string, number>>()
+		expectTypeOf<ImplementationCursor<string, number>>().toMatchTypeOf<ReverseIterableMapCursor<string, number>>()
+	})
+
+	test('reverse-iterable-map/encoding', () => {
+		expectTypeOf<keyof typeof ImplementationEncoding>().toEqualTypeOf<keyof typeof Encoding>()
+		expectTypeOf(ImplementationEncoding).toMatchTypeOf<typeof Encoding>()
+	})
+
+	test('reverse-iterable-map/expiring', () => {
+		expectTypeOf<PublicKeys<ImplementationExpiring<string, number>>>().toEqualTypeOf<keyof ExpiringReverseIterableMap<string, number>>()
+		expectTypeOf<ImplementationExpiring<string, number>>().toMatchTypeOf<ExpiringReverseIterableMap<string, number>>()
+	})
+
+	test('reverse-iterable-map/history', () => {
+		expectTypeOf<PublicKeys<ImplementationHistory<string, number>>>().toEqualTypeOf<keyof ReverseIterableMapHistory<string, number>>()
+		expectTypeOf<ImplementationHistory<string, number>>().toMatchTypeOf<ReverseIterableMapHistory<string, number>>()
+	})
+
+	test('reverse-iterable-map/immutable', () => {
+		expectTypeOf<PublicKeys<ImplementationImmutable<string, number>>>().toEqualTypeOf<keyof ImmutableReverseIterableMap<string, number>>()
+		expectTypeOf<ImplementationImmutable<string, number>>().toMatchTypeOf<ImmutableReverseIterableMap<string, number>>()
+	})
+
+	test('reverse-iterable-map/lru', () => {
+		expectTypeOf<PublicKeys<ImplementationLru<string, number>>>().toEqualTypeOf<keyof LruReverseIterableMap<string, number>>()
+		expectTypeOf<ImplementationLru<string, number>>().toMatchTypeOf<LruReverseIterableMap<string, number>>()
+	})
+
+	test('reverse-iterable-map/memory-storage-adapter', () => {
+		expectTypeOf<PublicKeys<ImplementationMemoryStorageAdapter>>().toEqualTypeOf<keyof MemoryStorageAdapter>()
+		expectTypeOf<ImplementationMemoryStorageAdapter>().toMatchTypeOf<MemoryStorageAdapter>()
+		expectTypeOf(ImplementationMemoryStorageAdapter).toMatchTypeOf<typeof MemoryStorageAdapter>()
+	})
+
+	test('reverse-iterable-map/persistence', () => {
+		expectTypeOf<keyof typeof ImplementationPersistenceModule>().toEqualTypeOf<keyof typeof Persistence>()
+		expectTypeOf<PublicKeys<ImplementationPersistence<string, number>>>().toEqualTypeOf<keyof ReverseIterableMapPersistence<string, number>>()
+		expectTypeOf<ImplementationPersistence<string, number>>().toMatchTypeOf<ReverseIterableMapPersistence<string, number>>()
+		expectTypeOf<Parameters<typeof ImplementationPersistenceModule.persist>['length']>().toEqualTypeOf<Parameters<typeof Persistence.persist>['length']>()
+	})
+
+	test('reverse-iterable-map/replication', () => {
+		expectTypeOf<keyof typeof ImplementationReplication>().toEqualTypeOf<keyof typeof Replication>()
+		expectTypeOf<Parameters<typeof ImplementationReplication.replicate>['length']>().toEqualTypeOf<Parameters<typeof Replication.replicate>['length']>()
+		expectTypeOf<Parameters<typeof ImplementationReplication.follow>['length']>().toEqualTypeOf<Parameters<typeof Replication.follow>['length']>()
+	})
+
+	test('reverse-iterable-map/sorted', () => {
+		expectTypeOf<PublicKeys<ImplementationSorted<string, number>>>().toEqualTypeOf<keyof SortedReverseIterableMap<string, number>>()
+		expectTypeOf<ImplementationSorted<string, number>>().toMatchTypeOf<SortedReverseIterableMap<string, number>>()
+	})
+})
+
+describe('ReverseIterableMap', () => {
+	test('Constructor', () => {
+		expectTypeOf(new ReverseIterableMap()).toEqualTypeOf<ReverseIterableMap<any, any>>()
+		expectTypeOf(new ReverseIterableMap([[1, 'a'], [2, 'b']])).toEqualTypeOf<ReverseIterableMap<number, string>>()
+		expectTypeOf(new ReverseIterableMap(new Map([['a', true]]), { indexed: true })).toEqualTypeOf<ReverseIterableMap<string, boolean>>()
+		expectTypeOf(new ReverseIterableMap<string, number>(undefined, { indexed: true })).toEqualTypeOf<ReverseIterableMap<string, number>>()
+		expectTypeOf(new ReverseIterableMap('a=1,b=2'.split(',').map((pair) => pair.split('=')))).toEqualTypeOf<ReverseIterableMap<any, any>>()
+
+		// @ts-expect-error
+		new ReverseIterableMap([1, 2])
+	})
+
+	test('set() and setFirst() return the map itself', () => {
+		class NamedMap<V> extends ReverseIterableMap<string, V> {
+			name = 'named'
+		}
+		const map = new NamedMap<number>()
+
+		expectTypeOf(map.set('a', 1)).toEqualTypeOf<NamedMap<number>>()
+		expectTypeOf(map.setFirst('b', 2).set('c', 3)).toEqualTypeOf<NamedMap<number>>()
+		expectTypeOf(map.insertBefore('a', 'd', 4)).toEqualTypeOf<NamedMap<number>>()
+		expectTypeOf(map.sort()).toEqualTypeOf<NamedMap<number>>()
+
+		// @ts-expect-error
+		map.set(1, 1)
+		// @ts-expect-error
+		map.setFirst('a', 'b')
+	})
+
+	test('Iterators', () => {
+		const map = new ReverseIterableMap([['a', 1]])
+
+		expectTypeOf(map[Symbol.iterator]()).toEqualTypeOf<ReverseIterableIterator<[string, number]>>()
+		expectTypeOf(map.reverseIterator()).toEqualTypeOf<ReverseIterableIterator<[string, number]>>()
+		expectTypeOf(map.entries()).toEqualTypeOf<ReverseIterableIterator<[string, number]>>()
+		expectTypeOf(map.keys()).toEqualTypeOf<ReverseIterableIterator<string>>()
+		expectTypeOf(map.values()).toEqualTypeOf<ReverseIterableIterator<number>>()
+		expectTypeOf(map.iteratorFor('a')).toEqualTypeOf<ReverseIterableIterator<[string, number]>>()
+		expectTypeOf(map.keysFor('a', { strict: true })).toEqualTypeOf<ReverseIterableIterator<string>>()
+		expectTypeOf(map.valuesFor('a')).toEqualTypeOf<ReverseIterableIterator<number>>()
+		expectTypeOf(map.range('a', 'a', { reverse: true })).toEqualTypeOf<ReverseIterableIterator<[string, number]>>()
+		expectTypeOf(map.keys().map((key) => key.length).reverseIterator()).toEqualTypeOf<ReverseIterableIterator<number>>()
+		expectTypeOf([...map]).toEqualTypeOf<[string, number][]>()
+
+		// @ts-expect-error
+		map.iteratorFor(1)
+	})
+
+	test('forEachReverse()', () => {
+		const map = new ReverseIterableMap([['a', 1]])
+
+		map.forEachReverse((value, key, map) => {
+			expectTypeOf(value).toEqualTypeOf<number>()
+			expectTypeOf(key).toEqualTypeOf<string>()
+			expectTypeOf(map).toEqualTypeOf<ReverseIterableMap<string, number>>()
+		})
+		expectTypeOf(map.forEachReverse(() => {})).toEqualTypeOf<void>()
+	})
+
+	test('Callbacks', () => {
+		const map = new ReverseIterableMap([['a', 1]])
+
+		expectTypeOf(map.mapValues(String)).toEqualTypeOf<ReverseIterableMap<string, string>>()
+		expectTypeOf(map.mapKeys((_value, key) => key.length)).toEqualTypeOf<ReverseIterableMap<number, number>>()
+		expectTypeOf(map.mapKeys((_value, key) => key.length, undefined, { onCollision: 'first' })).toEqualTypeOf<ReverseIterableMap<number, number>>()
+		expectTypeOf(map.reduce((sum, value) => sum + value)).toEqualTypeOf<number>()
+		expectTypeOf(map.reduceRight((keys, _value, key) => [...keys, key], [] as string[])).toEqualTypeOf<string[]>()
+		expectTypeOf(map.batch((map) => map.size)).toEqualTypeOf<number>()
+
+		map.subscribe((records) => {
+			expectTypeOf(records).toEqualTypeOf<ChangeRecord<string, number>[]>()
+		})
+	})
+
+	test('Static methods', () => {
+		expectTypeOf(ReverseIterableMap.fromJSON([[1, 2]], { reviveKey: String })).toEqualTypeOf<ReverseIterableMap<string, unknown>>()
+		expectTypeOf(JSON.parse('[]', ReverseIterableMap.reviver)).toBeAny()
+	})
+
+	test('Cursor', () => {
+		const map = new ReverseIterableMap([['a', 1]])
+
+		expectTypeOf(new ReverseIterableMapCursor(map)).toEqualTypeOf<ReverseIterableMapCursor<string, number>>()
+		expectTypeOf(new ReverseIterableMapCursor(map, 'a').next()).toEqualTypeOf<[string, number] | undefined>()
+		expectTypeOf(map.cursor()).toEqualTypeOf<ReverseIterableMapCursor<string, number>>()
+		expectTypeOf(map.cursor('a')).toEqualTypeOf<ReverseIterableMapCursor<string, number>>()
+
+		// @ts-expect-error
+		new ReverseIterableMapCursor(map, 1)
+		// @ts-expect-error
+		map.cursor(1)
+	})
+
+	test('Encoding', () => {
+		const map = new ReverseIterableMap([['a', 1]])
+
+		expectTypeOf(Encoding.encode(map)).toEqualTypeOf<Uint8Array>()
+		expectTypeOf(Encoding.decode<string, number>(Encoding.encode(map))).toEqualTypeOf<ReverseIterableMap<string, number>>()
+		expectTypeOf(Encoding.decodeEntries<string, number>(new Uint8Array())).toEqualTypeOf<IterableIterator<[string, number]>>()
+
+		// @ts-expect-error
+		Encoding.decode(new ArrayBuffer(8))
+	})
+
+	test('Persistence', async () => {
+		const map = new ReverseIterableMap([['a', 1]])
+		const persistence = await Persistence.persist(map, { get: () => null, set: () => {}, delete: async () => {} }, { flushDelay: 100, onError: () => {} })
+
+		expectTypeOf(persistence).toEqualTypeOf<ReverseIterableMapPersistence<string, number>>()
+		expectTypeOf(persistence.flush()).toEqualTypeOf<Promise<void>>()
+
+		// @ts-expect-error
+		new ReverseIterableMapPersistence()
+		// @ts-expect-error
+		Persistence.persist(map, { get: () => null }, { onError: () => {} })
+		// @ts-expect-error
+		Persistence.persist(map, { get: () => null, set: () => {}, delete: () => {} })
+	})
+
+	test('Replication', () => {
+		const { port1, port2 } = new MessageChannel()
+		const map = new ReverseIterableMap([['a', 1]])
+
+		expectTypeOf(Replication.replicate(map, port1, { onError: (error) => console.error(error) })).toEqualTypeOf<() => void>()
+		expectTypeOf(Replication.follow(new ReverseIterableMap(), port2)).toEqualTypeOf<() => void>()
+
+		// @ts-expect-error
+		Replication.replicate(map, {})
+	})
+
+	test('History', () => {
+		const map = new ReverseIterableMap([['a', 1]])
+		const history = new ReverseIterableMapHistory(map, { depth: 10 })
+
+		expectTypeOf(history).toEqualTypeOf<ReverseIterableMapHistory<string, number>>()
+		expectTypeOf(history.undo()).toEqualTypeOf<boolean>()
+
+		// @ts-expect-error
+		new ReverseIterableMapHistory(map, { depth: '10' })
+	})
+
+	test('LruReverseIterableMap', () => {
+		const map = new LruReverseIterableMap({ capacity: 2, onEvict: (key: string, value: number) => console.log(key, value) }, [['a', 1]])
+
+		expectTypeOf(map).toEqualTypeOf<LruReverseIterableMap<string, number>>()
+		expectTypeOf(map.set('b', 2)).toEqualTypeOf<LruReverseIterableMap<string, number>>()
+		expectTypeOf(map.peek('a')).toEqualTypeOf<number | undefined>()
+		expectTypeOf(map.capacity).toEqualTypeOf<number>()
+		expectTypeOf(map).toMatchTypeOf<ReverseIterableMap<string, number>>()
+
+		// @ts-expect-error
+		new LruReverseIterableMap()
+		// @ts-expect-error
+		new LruReverseIterableMap({ capacity: '2' })
+	})
+
+	test('ExpiringReverseIterableMap', () => {
+		const map = new ExpiringReverseIterableMap({ ttl: 1000, now: Date.now }, [['a', 1]])
+
+		expectTypeOf(map).toEqualTypeOf<ExpiringReverseIterableMap<string, number>>()
+		expectTypeOf(map.set('b', 2, { ttl: 10 }).setFirst('c', 3)).toEqualTypeOf<ExpiringReverseIterableMap<string, number>>()
+		expectTypeOf(map.ttl('a')).toEqualTypeOf<number | undefined>()
+		expectTypeOf(map.purgeExpired()).toEqualTypeOf<number>()
+		expectTypeOf(new ExpiringReverseIterableMap<string, number>()).toMatchTypeOf<ReverseIterableMap<string, number>>()
+
+		// @ts-expect-error
+		map.set('b', 2, { ttl: '10' })
+	})
+
+	test('SortedReverseIterableMap', () => {
+		const map = new SortedReverseIterableMap({ compare: (a: number, b: number) => b - a }, [[1, 'a']])
+
+		expectTypeOf(map).toEqualTypeOf<SortedReverseIterableMap<number, string>>()
+		expectTypeOf(map.set(2, 'b')).toEqualTypeOf<SortedReverseIterableMap<number, string>>()
+		expectTypeOf(map.floorKey(3)).toEqualTypeOf<number | undefined>()
+		expectTypeOf(map.range(0, 5, { inclusive: false })).toEqualTypeOf<ReverseIterableIterator<[number, string]>>()
+		expectTypeOf(map.setFirst).returns.toBeNever()
+
+		// @ts-expect-error
+		map.set('b', 2)
+	})
+
+	test('ImmutableReverseIterableMap', () => {
+		const map = new ImmutableReverseIterableMap([['a', 1]])
+
+		expectTypeOf(map).toEqualTypeOf<ImmutableReverseIterableMap<string, number>>()
+		expectTypeOf(map.set('b', 2).delete('a')).toEqualTypeOf<ImmutableReverseIterableMap<string, number>>()
+		expectTypeOf(map.keys()).toEqualTypeOf<ReverseIterableIterator<string>>()
+		expectTypeOf(map.iteratorFor('a', { strict: true })).toEqualTypeOf<ReverseIterableIterator<[string, number]>>()
+		expectTypeOf(map.valuesFor('a')).toEqualTypeOf<ReverseIterableIterator<number>>()
+		expectTypeOf(map.toMutable()).toEqualTypeOf<ReverseIterableMap<string, number>>()
+		expectTypeOf(new ImmutableReverseIterableMap(new ReverseIterableMap([[1, true]]))).toEqualTypeOf<ImmutableReverseIterableMap<number, boolean>>()
+
+		// @ts-expect-error
+		map.set(1, 1)
+	})
+
+	test('MemoryStorageAdapter', async () => {
+		const adapter = new MemoryStorageAdapter([['a', 1]])
+
+		expectTypeOf(adapter.data).toEqualTypeOf<ReadonlyMap<string, unknown>>()
+		expectTypeOf(adapter).toMatchTypeOf<Persistence.StorageAdapter>()
+		expectTypeOf(await Persistence.persist(new ReverseIterableMap([['a', 1]]), new MemoryStorageAdapter(adapter.data), { onError: () => {} })).toEqualTypeOf<ReverseIterableMapPersistence<string, number>>()
+
+		// @ts-expect-error
+		new MemoryStorageAdapter([[1, 1]])
+	})
+
+	test('ReverseIterableMapNode', () => {
+		expectTypeOf<ReverseIterableMapNode<string, number>['nextNode']>().toEqualTypeOf<ReverseIterableMapNode<string, number> | null>()
+		expectTypeOf<ReverseIterableMapNode<string, number>['prevNode']>().toEqualTypeOf<ReverseIterableMapNode<string, number> | null>()
+	})
+})
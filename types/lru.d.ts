@@ -0,0 +1,55 @@
+import ReverseIterableMap from './index.js'
+
+export interface LruReverseIterableMapOptions<K, V> {
+	/**
+	 * The maximum number of elements. Adding an element beyond that evicts the least-recently used elements.
+	 */
+	capacity: number
+	/**
+	 * Called once for each evicted element.
+	 */
+	onEvict?: (key: K, value: V) => void
+	/**
+	 * Whether `get()` marks an element as most-recently used. Defaults to `true`. Marking an element is a `'move'` change for change listeners, so it’s also an undo step, a persistence write and a replication message.
+	 */
+	promoteOnGet?: boolean
+}
+
+/**
+ * A least-recently-used (LRU) cache based on `ReverseIterableMap`. The first element is the least-recently used one and the last element is the most-recently used one.
+ */
+export default class LruReverseIterableMap<K = any, V = any> extends ReverseIterableMap<K, V> {
+	/**
+	 * Creates a cache with the elements of `iterable`. If there are more elements than `capacity`, the first ones are evicted.
+	 */
+	constructor(options: LruReverseIterableMapOptions<K, V>, iterable?: Iterable<readonly [K, V]>)
+	/**
+	 * Creates a cache with the elements of `iterable`, an iterable object whose elements are arrays. The first item of each array is used as the key and the second item as the value.
+	 */
+	constructor(options: LruReverseIterableMapOptions<K, V>, iterable: Iterable<readonly unknown[]>)
+
+	/**
+	 * The maximum number of elements.
+	 */
+	get capacity(): number
+
+	/**
+	 * Returns the value of the element with the specified key and, unless `promoteOnGet` is `false`, marks it as most-recently used.
+	 */
+	get(key: K): V | undefined
+
+	/**
+	 * Returns the value of the element with the specified key without changing its position.
+	 */
+	peek(key: K): V | undefined
+
+	/**
+	 * Adds or updates an element and marks it as most-recently used. Evicts the least-recently used elements if the capacity is exceeded.
+	 */
+	set(key: K, value: V): this
+
+	/**
+	 * Adds or updates an element as least-recently used element. Evicts the least-recently used elements if the capacity is exceeded.
+	 */
+	setFirst(key: K, value: V): this
+}
@@ -0,0 +1,33 @@
+import type { StorageAdapter } from './persistence.js'
+
+/**
+ * A storage adapter for `persist()` which keeps the stored values in memory. It’s meant for tests and as an example for writing adapters.
+ */
+export default class MemoryStorageAdapter implements StorageAdapter {
+	/**
+	 * Creates an adapter storing the key-value pairs of `iterable`, e.g. the `data` of another `MemoryStorageAdapter` object.
+	 */
+	constructor(iterable?: Iterable<[string, unknown]>)
+
+	get [Symbol.toStringTag](): string
+
+	/**
+	 * The stored key-value pairs.
+	 */
+	get data(): ReadonlyMap<string, unknown>
+
+	/**
+	 * Returns the value stored under `key` or `undefined` if there is none.
+	 */
+	get(key: string): unknown
+
+	/**
+	 * Stores `value` under `key`.
+	 */
+	set(key: string, value: unknown): void
+
+	/**
+	 * Removes the value stored under `key`.
+	 */
+	delete(key: string): void
+}
@@ -0,0 +1,63 @@
+import type ReverseIterableMap from './index.js'
+
+/**
+ * A key-value storage like `localStorage`, IndexedDB or a directory of files. Each method may return a promise.
+ */
+export interface StorageAdapter {
+	/**
+	 * Returns the value stored under `key` or `undefined`/`null` if there is none.
+	 */
+	get: (key: string) => unknown
+	/**
+	 * Stores `value` under `key`.
+	 */
+	set: (key: string, value: any) => unknown
+	/**
+	 * Removes the value stored under `key`.
+	 */
+	delete: (key: string) => unknown
+}
+
+export interface PersistenceOptions {
+	/**
+	 * The prefix of all storage keys. Use different prefixes to store several maps in the same storage. Defaults to `'reverse-iterable-map'`.
+	 */
+	prefix?: string
+	/**
+	 * The number of milliseconds to wait after a change before writing it. Further changes within that time restart the wait and are written together. Defaults to `0` which writes changes right away.
+	 */
+	flushDelay?: number
+	/**
+	 * Function that gets passed errors of writes which weren’t started by calling `flush()`. It’s required because these writes happen in the background where nothing else could handle their errors. The next flush retries the failed writes.
+	 */
+	onError: (error: unknown) => void
+}
+
+/**
+ * Writes the changes of a `ReverseIterableMap` object to a storage. Use `persist()` to create it.
+ */
+export default class ReverseIterableMapPersistence<K, V> {
+	private constructor()
+
+	readonly [Symbol.toStringTag]: string
+
+	/**
+	 * Whether there are changes which weren’t written yet.
+	 */
+	readonly hasPendingWrites: boolean
+
+	/**
+	 * Writes pending changes right away. Resolves once the storage finished all writes, including the ones of earlier flushes.
+	 */
+	flush(): Promise<void>
+
+	/**
+	 * Writes pending changes and stops writing further changes of the map.
+	 */
+	dispose(): Promise<void>
+}
+
+/**
+ * Loads `map` from `adapter` or stores it there if the storage is empty. Afterwards, changes are written to the storage.
+ */
+export function persist<K, V>(map: ReverseIterableMap<K, V>, adapter: StorageAdapter, options: PersistenceOptions): Promise<ReverseIterableMapPersistence<K, V>>
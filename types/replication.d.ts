@@ -0,0 +1,28 @@
+import type ReverseIterableMap from './index.js'
+
+/**
+ * The end of a message channel, e.g. a `MessagePort` object from a `MessageChannel` or the `worker_threads` module of Node.js.
+ */
+export interface ReplicationPort {
+	postMessage: (message: any) => void
+	addEventListener: (type: 'message', listener: (event: { data: any }) => void) => void
+	removeEventListener: (type: 'message', listener: (event: { data: any }) => void) => void
+	start?: () => void
+}
+
+export interface ReplicationOptions {
+	/**
+	 * Function that gets passed errors of posting changes, e.g. a `DataCloneError` if a key or value can’t be cloned. Without it, they are thrown like errors of other change listeners by the method which changed the map after the change was made. Either way, the next change posts all elements again so that the replicas catch up.
+	 */
+	onError?: (error: unknown) => void
+}
+
+/**
+ * Posts the elements and afterwards the changes of `map` to `port`. Returns a function which stops posting changes.
+ */
+export function replicate<K, V>(map: ReverseIterableMap<K, V>, port: ReplicationPort, options?: ReplicationOptions): () => void
+
+/**
+ * Applies the elements and changes posted by `replicate()` to `map`. Returns a function which stops applying changes.
+ */
+export function follow<K, V>(map: ReverseIterableMap<K, V>, port: ReplicationPort): () => void
@@ -0,0 +1,92 @@
+import ReverseIterableMap, { type ReverseIterableIterator, type RangeOptions } from './index.js'
+
+export interface SortedReverseIterableMapOptions<K> {
+	/**
+	 * Returns a negative number if `a` comes first, a positive number if `b` comes first and zero otherwise. Defaults to comparing keys with `<` and `>`.
+	 */
+	compare?: (a: K, b: K) => number
+}
+
+/**
+ * A `ReverseIterableMap` whose elements are ordered by their keys instead of by insertion. Methods which place elements at a specific position throw a `TypeError`.
+ */
+export default class SortedReverseIterableMap<K = any, V = any> extends ReverseIterableMap<K, V> {
+	/**
+	 * Creates a map with the elements of `iterable` in sorted order.
+	 */
+	constructor(options?: SortedReverseIterableMapOptions<K>, iterable?: Iterable<readonly [K, V]>)
+	/**
+	 * Creates a map with the elements of `iterable`, an iterable object whose elements are arrays. The first item of each array is used as the key and the second item as the value.
+	 */
+	constructor(options: SortedReverseIterableMapOptions<K> | undefined, iterable: Iterable<readonly unknown[]>)
+
+	/**
+	 * Adds a new element at its sorted position or updates the value of an existing element.
+	 */
+	set(key: K, value: V): this
+
+	/**
+	 * Not supported because elements are kept in sorted order.
+	 */
+	setFirst(key: K, value: V): never
+
+	/**
+	 * Not supported because elements are kept in sorted order.
+	 */
+	insertBefore(refKey: K, key: K, value: V): never
+
+	/**
+	 * Not supported because elements are kept in sorted order.
+	 */
+	insertAfter(refKey: K, key: K, value: V): never
+
+	/**
+	 * Not supported because elements are kept in sorted order.
+	 */
+	moveToFront(key: K): never
+
+	/**
+	 * Not supported because elements are kept in sorted order.
+	 */
+	moveToBack(key: K): never
+
+	/**
+	 * Not supported because elements are kept in sorted order.
+	 */
+	moveBefore(refKey: K, key: K): never
+
+	/**
+	 * Not supported because elements are kept in sorted order.
+	 */
+	moveAfter(refKey: K, key: K): never
+
+	/**
+	 * Not supported because elements are kept in sorted order. Use `toSorted()` to get a copy in a different order.
+	 */
+	sort(compareFn?: (a: [K, V], b: [K, V]) => number): never
+
+	/**
+	 * Returns the last key which comes before the given key or compares as equal to it or `undefined` if there is none.
+	 */
+	floorKey(key: K): K | undefined
+
+	/**
+	 * Returns the last key which comes before the given key or `undefined` if there is none.
+	 */
+	lowerKey(key: K): K | undefined
+
+	/**
+	 * Returns the first key which comes after the given key or compares as equal to it or `undefined` if there is none.
+	 */
+	ceilingKey(key: K): K | undefined
+
+	/**
+	 * Returns the first key which comes after the given key or `undefined` if there is none.
+	 */
+	higherKey(key: K): K | undefined
+
+	/**
+	 * Returns an iterator over the elements whose keys lie between `fromKey` and `toKey`. Unlike with `ReverseIterableMap`, the keys don’t need to exist in the map.
+	 */
+	range(fromKey: K, toKey: K, options?: RangeOptions): ReverseIterableIterator<[K, V]>
+}
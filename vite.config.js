@@ -3,5 +3,9 @@ import { defineConfig } from 'vitest/config'
 export default defineConfig({
 	test: {
 		environment: 'jsdom',
+		typecheck: {
+			enabled: true,
+			tsconfig: './jsconfig.json',
+		},
 	},
 })